@@ -34,9 +34,10 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'Cache-Control',
-    'X-Access-Token'
+    'X-Access-Token',
+    'Upload-Offset'
   ],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar', 'Upload-Offset'],
   maxAge: 86400 // 24 hours
 };
 
@@ -3,6 +3,9 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../utils/logger');
+const fileTypeDetector = require('../services/fileTypeDetector');
+const fileRegistry = require('../services/fileRegistry');
+const { AppError } = require('../utils/errorHandler');
 
 // Create upload directory if it doesn't exist
 const createUploadDir = async (dirPath) => {
@@ -22,6 +25,7 @@ const storage = multer.diskStorage({
     
     try {
       await createUploadDir(uploadPath);
+      await fileRegistry.trackUploadFolder(uploadPath);
       cb(null, uploadPath);
     } catch (error) {
       cb(error);
@@ -34,42 +38,58 @@ const storage = multer.diskStorage({
   }
 });
 
+// Basic file type validation, shared by multipart and resumable uploads
+const allowedTypes = [
+  'application/pdf',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'text/plain',
+  'text/csv',
+  'text/xml',
+  'application/json',
+  'application/xml',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/bmp',
+  'video/mp4',
+  'video/avi',
+  'video/mov',
+  'video/wmv',
+  'audio/mp3',
+  'audio/wav',
+  'audio/flac',
+  'audio/aac'
+];
+
+// Generic labels such as application/octet-stream get through; the content check
+// decides what those files are
+const isAllowedType = (mimetype = '') => allowedTypes.includes(mimetype) ||
+  mimetype.startsWith('image/') ||
+  mimetype.startsWith('video/') ||
+  mimetype.startsWith('audio/') ||
+  fileTypeDetector.isGenericType(mimetype);
+
 // File filter
 const fileFilter = (req, file, cb) => {
-  // Basic file type validation
-  const allowedTypes = [
-    'application/pdf',
-    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'application/vnd.ms-excel',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'text/plain',
-    'text/csv',
-    'application/json',
-    'image/jpeg',
-    'image/png',
-    'image/gif',
-    'image/bmp',
-    'video/mp4',
-    'video/avi',
-    'video/mov',
-    'video/wmv',
-    'audio/mp3',
-    'audio/wav',
-    'audio/flac',
-    'audio/aac'
-  ];
-
-  if (allowedTypes.includes(file.mimetype) || 
-      file.mimetype.startsWith('image/') || 
-      file.mimetype.startsWith('video/') || 
-      file.mimetype.startsWith('audio/')) {
+  if (isAllowedType(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error(`File type ${file.mimetype} not supported`), false);
   }
 };
 
+// Checks a saved file's content and returns the type to store, which must itself be allowed
+const verifyFileType = async (file) => {
+  const type = await fileTypeDetector.verify(file);
+  if (!isAllowedType(type) || fileTypeDetector.isGenericType(type)) {
+    throw new AppError(`${file.originalname} contains ${type}, which is not supported`, 415);
+  }
+  return type;
+};
+
 // Configure multer
 const upload = multer({
   storage,
@@ -80,6 +100,46 @@ const upload = multer({
   }
 });
 
+// The browser-reported mimetype only passes the filter above; after upload each file's
+// content is checked against it. Files that do not match are deleted and listed in
+// req.rejectedFiles, and the others carry the detected type from here on.
+const verifyFileTypes = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  const accepted = [];
+  req.rejectedFiles = [];
+
+  for (const file of files) {
+    try {
+      const type = await verifyFileType(file);
+      if (type !== file.mimetype) {
+        logger.info(`Detected ${type} for ${file.originalname} (uploaded as ${file.mimetype})`);
+      }
+      file.declaredMimetype = file.mimetype;
+      file.mimetype = type;
+      accepted.push(file);
+    } catch (error) {
+      logger.warn(`Rejected upload ${file.originalname}: ${error.message}`);
+      req.rejectedFiles.push({ name: file.originalname, type: file.mimetype, error: error.message });
+
+      await fs.rm(file.path, { force: true });
+      await fs.rmdir(path.dirname(file.path)).catch(() => {});
+    }
+  }
+
+  if (files.length > 0 && accepted.length === 0) {
+    return res.status(415).json({
+      error: 'File type not supported',
+      message: req.rejectedFiles.map(file => file.error).join('; '),
+      rejected: req.rejectedFiles
+    });
+  }
+
+  if (req.files) {
+    req.files = accepted;
+  }
+  next();
+};
+
 // Error handling middleware for multer
 const handleMulterErrors = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -113,5 +173,8 @@ const handleMulterErrors = (error, req, res, next) => {
 
 module.exports = {
   upload,
+  isAllowedType,
+  verifyFileType,
+  verifyFileTypes,
   handleMulterErrors
 };
\ No newline at end of file
@@ -1,19 +1,33 @@
 // backend/src/middleware/validation.js
 const Joi = require('joi');
 
+// Uploaded file metadata as returned by /api/files/upload
+const fileReference = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().required(),
+  size: Joi.number().required(),
+  type: Joi.string().required(),
+  path: Joi.string(),
+  uploadedAt: Joi.string()
+}).unknown(true);
+
 // Validation schemas
 const schemas = {
   chatMessage: Joi.object({
     message: Joi.string().required().min(1).max(10000),
     conversationId: Joi.string().required(),
-    files: Joi.array().items(Joi.object({
-      id: Joi.string().required(),
-      name: Joi.string().required(),
-      size: Joi.number().required(),
-      type: Joi.string().required(),
-      path: Joi.string(),
-      uploadedAt: Joi.string()
-    })).optional()
+    modelId: Joi.string().optional(),
+    personaId: Joi.string().optional(),
+    files: Joi.array().items(fileReference).optional(),
+    excludeFileIds: Joi.array().items(Joi.string()).optional(),
+    useAttachedFiles: Joi.boolean().optional(),
+    attachFiles: Joi.boolean().optional(),
+    requestId: Joi.string().optional(),
+    async: Joi.boolean().optional()
+  }),
+
+  conversationFiles: Joi.object({
+    files: Joi.array().items(fileReference).min(1).required()
   }),
 
   modelSwitch: Joi.object({
@@ -27,9 +41,66 @@ const schemas = {
 
   conversationId: Joi.object({
     conversationId: Joi.string().required()
+  }),
+
+  persona: Joi.object({
+    name: Joi.string().required().min(1).max(100),
+    description: Joi.string().allow('').max(500).optional(),
+    systemPrompt: Joi.string().required().min(1).max(10000),
+    tone: Joi.string().allow('').max(500).optional(),
+    outputFormat: Joi.string().allow('').max(2000).optional()
+  }),
+
+  feedback: Joi.object({
+    rating: Joi.string().valid('up', 'down').required(),
+    comment: Joi.string().allow('').max(5000).optional()
+  }),
+
+  personaUpdate: Joi.object({
+    name: Joi.string().min(1).max(100),
+    description: Joi.string().allow('').max(500),
+    systemPrompt: Joi.string().min(1).max(10000),
+    tone: Joi.string().allow('').max(500),
+    outputFormat: Joi.string().allow('').max(2000)
+  }).min(1),
+
+  conversationTitle: Joi.object({
+    title: Joi.string().trim().required().min(1).max(200)
+  }),
+
+  conversationTags: Joi.object({
+    tags: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).required()
+  }),
+
+  // Milliseconds to keep the conversation's files; null keeps them as long as the conversation exists
+  conversationRetention: Joi.object({
+    duration: Joi.number().integer().min(0).allow(null).required()
+  }),
+
+  // Starts a resumable upload; the SHA-256 may instead be given when completing it
+  uploadSession: Joi.object({
+    name: Joi.string().trim().required().min(1).max(255),
+    size: Joi.number().integer().min(1).required(),
+    type: Joi.string().allow('').optional(),
+    sha256: Joi.string().hex().length(64).optional()
+  }),
+
+  uploadComplete: Joi.object({
+    sha256: Joi.string().hex().length(64).optional()
+  }),
+
+  // null moves the conversation out of its folder
+  conversationFolder: Joi.object({
+    folder: Joi.string().trim().min(1).max(100).allow(null).required()
   })
 };
 
+// An edited message is checked like a new one; the conversation comes from the URL
+// and the new answer is always generated right away
+schemas.messageEdit = schemas.chatMessage
+  .fork(['conversationId'], schema => schema.optional())
+  .fork(['async', 'attachFiles'], schema => schema.forbidden());
+
 // Generic validation middleware factory
 const validate = (schema, property = 'body') => {
   return (req, res, next) => {
@@ -50,9 +121,20 @@ const validate = (schema, property = 'body') => {
 
 // Specific validation middlewares
 const validateChatMessage = validate(schemas.chatMessage);
+const validateMessageEdit = validate(schemas.messageEdit);
 const validateModelSwitch = validate(schemas.modelSwitch);
 const validateApiKey = validate(schemas.apiKey);
 const validateConversationId = validate(schemas.conversationId, 'params');
+const validatePersona = validate(schemas.persona);
+const validatePersonaUpdate = validate(schemas.personaUpdate);
+const validateFeedback = validate(schemas.feedback);
+const validateConversationFiles = validate(schemas.conversationFiles);
+const validateConversationTitle = validate(schemas.conversationTitle);
+const validateConversationTags = validate(schemas.conversationTags);
+const validateConversationFolder = validate(schemas.conversationFolder);
+const validateConversationRetention = validate(schemas.conversationRetention);
+const validateUploadSession = validate(schemas.uploadSession);
+const validateUploadComplete = validate(schemas.uploadComplete);
 
 // Custom validation functions
 const validateFileUpload = (req, res, next) => {
@@ -137,9 +219,20 @@ const sanitizeInput = (req, res, next) => {
 module.exports = {
   validate,
   validateChatMessage,
+  validateMessageEdit,
   validateModelSwitch,
   validateApiKey,
   validateConversationId,
+  validatePersona,
+  validatePersonaUpdate,
+  validateFeedback,
+  validateConversationFiles,
+  validateConversationTitle,
+  validateConversationTags,
+  validateConversationFolder,
+  validateConversationRetention,
+  validateUploadSession,
+  validateUploadComplete,
   validateFileUpload,
   validateConversationExists,
   sanitizeInput,
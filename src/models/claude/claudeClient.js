@@ -1,6 +1,8 @@
 // backend/src/models/claude/claudeClient.js
 const axios = require('axios');
 const logger = require('../../utils/logger');
+const { parseEventStream } = require('../../utils/eventStream');
+const { RequestCancelledError } = require('../../utils/errorHandler');
 
 class ClaudeClient {
   constructor(config) {
@@ -37,36 +39,68 @@ class ClaudeClient {
     }
   }
 
-  async generateResponse(prompt, systemPrompt = '') {
+  buildRequestData(prompt, systemPrompt = '') {
+    const requestData = {
+      model: this.model,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    };
+
+    // Add system prompt if provided
+    if (systemPrompt) {
+      requestData.system = systemPrompt;
+    }
+
+    return requestData;
+  }
+
+  getHeaders() {
+    return {
+      'x-api-key': this.apiKey,
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01'
+    };
+  }
+
+  mapApiError(error) {
+    if (error.response) {
+      const status = error.response.status;
+      const data = error.response.data || {};
+      
+      if (status === 401) {
+        return new Error('Invalid Anthropic API key');
+      } else if (status === 429) {
+        return new Error('Claude API rate limit exceeded');
+      } else if (status === 400) {
+        return new Error(`Claude API error: ${data.error?.message || 'Bad request'}`);
+      } else {
+        return new Error(`Claude API error: ${status} - ${data.error?.message || 'Unknown error'}`);
+      }
+    }
+    
+    return error;
+  }
+
+  async generateResponse(prompt, systemPrompt = '', options = {}) {
+    const { signal } = options;
+
     try {
       if (!this.apiKey) {
         throw new Error('Anthropic API key not set');
       }
 
-      const requestData = {
-        model: this.model,
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      };
-
-      // Add system prompt if provided
-      if (systemPrompt) {
-        requestData.system = systemPrompt;
-      }
+      const requestData = this.buildRequestData(prompt, systemPrompt);
 
       const response = await axios.post(this.apiEndpoint, requestData, {
-        headers: {
-          'x-api-key': this.apiKey,
-          'Content-Type': 'application/json',
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: 120000 // Increased timeout for complex orchestration
+        headers: this.getHeaders(),
+        timeout: 120000, // Increased timeout for complex orchestration
+        signal
       });
 
       if (response.data && response.data.content && response.data.content.length > 0) {
@@ -76,29 +110,63 @@ class ClaudeClient {
       }
 
     } catch (error) {
+      if (signal && signal.aborted) {
+        throw new RequestCancelledError();
+      }
+
       logger.error('Error generating Claude response:', error);
-      
-      if (error.response) {
-        const status = error.response.status;
-        const data = error.response.data;
-        
-        if (status === 401) {
-          throw new Error('Invalid Anthropic API key');
-        } else if (status === 429) {
-          throw new Error('Claude API rate limit exceeded');
-        } else if (status === 400) {
-          throw new Error(`Claude API error: ${data.error?.message || 'Bad request'}`);
-        } else {
-          throw new Error(`Claude API error: ${status} - ${data.error?.message || 'Unknown error'}`);
+      throw this.mapApiError(error);
+    }
+  }
+
+  // Streams the response via the Messages API SSE mode, calling onToken for each text delta
+  async generateResponseStream(prompt, systemPrompt = '', onToken = () => {}, options = {}) {
+    const { signal } = options;
+
+    try {
+      if (!this.apiKey) {
+        throw new Error('Anthropic API key not set');
+      }
+
+      const requestData = {
+        ...this.buildRequestData(prompt, systemPrompt),
+        stream: true
+      };
+
+      const response = await axios.post(this.apiEndpoint, requestData, {
+        headers: this.getHeaders(),
+        timeout: 120000,
+        responseType: 'stream',
+        signal
+      });
+
+      let fullText = '';
+
+      await parseEventStream(response.data, ({ data }) => {
+        const payload = JSON.parse(data);
+
+        if (payload.type === 'content_block_delta' && payload.delta && payload.delta.text) {
+          fullText += payload.delta.text;
+          onToken(payload.delta.text);
+        } else if (payload.type === 'error') {
+          throw new Error(`Claude API error: ${payload.error?.message || 'Stream error'}`);
         }
+      });
+
+      return fullText.trim();
+
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw new RequestCancelledError();
       }
-      
-      throw error;
+
+      logger.error('Error streaming Claude response:', error);
+      throw this.mapApiError(error);
     }
   }
 
   // Enhanced method for tool orchestration with structured responses
-  async generateStructuredResponse(prompt, systemPrompt = '', responseFormat = 'json') {
+  async generateStructuredResponse(prompt, systemPrompt = '', responseFormat = 'json', options = {}) {
     try {
       const enhancedSystemPrompt = `${systemPrompt}
 
@@ -108,7 +176,7 @@ IMPORTANT: You must respond in valid JSON format. Always provide your response i
 
 Please respond in valid JSON format only. Do not include any text outside the JSON structure.`;
 
-      const response = await this.generateResponse(structuredPrompt, enhancedSystemPrompt);
+      const response = await this.generateResponse(structuredPrompt, enhancedSystemPrompt, options);
       
       // Try to parse as JSON if requested
       if (responseFormat === 'json') {
@@ -208,12 +276,13 @@ Please respond in valid JSON format only. Do not include any text outside the JS
       temperature: this.temperature,
       provider: 'Anthropic',
       supportsToolCalling: true,
-      supportsStructuredOutput: true
+      supportsStructuredOutput: true,
+      supportsStreaming: true
     };
   }
 
   // Claude-specific method for better tool orchestration
-  async orchestrateTools(userRequest, availableTools, uploadedFiles, conversationContext = []) {
+  async orchestrateTools(userRequest, availableTools, uploadedFiles, conversationContext = '', options = {}) {
     try {
       const systemPrompt = `You are an expert tool orchestrator. Analyze the user request and available tools to determine:
 1. Which tools are needed to fulfill the request
@@ -242,11 +311,12 @@ Always respond in valid JSON format with this exact structure:
 
       const prompt = `User request: "${userRequest}"
 
-Context from conversation: ${JSON.stringify(conversationContext.slice(-3), null, 2)}
+Context from conversation:
+${conversationContext || 'No previous conversation.'}
 
 Please analyze this request and provide the optimal tool orchestration strategy.`;
 
-      return await this.generateStructuredResponse(prompt, systemPrompt, 'json');
+      return await this.generateStructuredResponse(prompt, systemPrompt, 'json', options);
     } catch (error) {
       logger.error('Error in Claude tool orchestration:', error);
       throw error;
@@ -254,9 +324,12 @@ Please analyze this request and provide the optimal tool orchestration strategy.
   }
 
   // Method to synthesize final response from tool results
-  async synthesizeResponse(userRequest, toolResults, conversationContext = []) {
+  async synthesizeResponse(userRequest, toolResults, conversationContext = '', options = {}) {
+    const { onToken = null } = options;
+
     try {
-      const systemPrompt = `You are an expert data analyst and report synthesizer. Your job is to:
+      // A persona's system prompt takes the place of the default synthesizer instructions
+      const systemPrompt = options.systemPrompt || `You are an expert data analyst and report synthesizer. Your job is to:
 1. Analyze the results from various tools
 2. Create a comprehensive, well-structured response
 3. Highlight key findings and insights
@@ -271,11 +344,15 @@ Tool execution results:
 ${JSON.stringify(toolResults, null, 2)}
 
 Previous conversation context:
-${JSON.stringify(conversationContext.slice(-3), null, 2)}
+${conversationContext || 'No previous conversation.'}
 
 Please synthesize these results into a comprehensive response that directly addresses the user's request.`;
 
-      return await this.generateResponse(prompt, systemPrompt);
+      if (onToken) {
+        return await this.generateResponseStream(prompt, systemPrompt, onToken, options);
+      }
+
+      return await this.generateResponse(prompt, systemPrompt, options);
     } catch (error) {
       logger.error('Error in Claude response synthesis:', error);
       throw error;
@@ -1,6 +1,8 @@
 // backend/src/models/deepseek/deepseekClient.js
 const axios = require('axios');
 const logger = require('../../utils/logger');
+const { parseEventStream } = require('../../utils/eventStream');
+const { RequestCancelledError } = require('../../utils/errorHandler');
 
 class DeepSeekClient {
   constructor(config) {
@@ -28,43 +30,73 @@ class DeepSeekClient {
     }
   }
 
-  async generateResponse(prompt, systemPrompt = '') {
+  buildRequestData(prompt, systemPrompt = '') {
+    const messages = [];
+    
+    if (systemPrompt) {
+      messages.push({
+        role: 'system',
+        content: systemPrompt
+      });
+    }
+    
+    messages.push({
+      role: 'user',
+      content: prompt
+    });
+
+    return {
+      model: this.model,
+      messages: messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      top_p: 0.95,
+      frequency_penalty: 0,
+      presence_penalty: 0,
+      stream: false
+    };
+  }
+
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  mapApiError(error) {
+    if (error.response) {
+      const status = error.response.status;
+      const data = error.response.data || {};
+      
+      if (status === 401) {
+        return new Error('Invalid DeepSeek API key');
+      } else if (status === 429) {
+        return new Error('DeepSeek API rate limit exceeded');
+      } else if (status === 400) {
+        return new Error(`DeepSeek API error: ${data.error?.message || 'Bad request'}`);
+      } else {
+        return new Error(`DeepSeek API error: ${status} - ${data.error?.message || 'Unknown error'}`);
+      }
+    }
+    
+    return error;
+  }
+
+  async generateResponse(prompt, systemPrompt = '', options = {}) {
+    const { signal } = options;
+
     try {
       if (!this.apiKey) {
         throw new Error('DeepSeek API key not set');
       }
 
-      const messages = [];
-      
-      if (systemPrompt) {
-        messages.push({
-          role: 'system',
-          content: systemPrompt
-        });
-      }
-      
-      messages.push({
-        role: 'user',
-        content: prompt
-      });
-
-      const requestData = {
-        model: this.model,
-        messages: messages,
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        top_p: 0.95,
-        frequency_penalty: 0,
-        presence_penalty: 0,
-        stream: false
-      };
+      const requestData = this.buildRequestData(prompt, systemPrompt);
 
       const response = await axios.post(this.apiEndpoint, requestData, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000
+        headers: this.getHeaders(),
+        timeout: 60000,
+        signal
       });
 
       if (response.data && response.data.choices && response.data.choices.length > 0) {
@@ -74,24 +106,57 @@ class DeepSeekClient {
       }
 
     } catch (error) {
+      if (signal && signal.aborted) {
+        throw new RequestCancelledError();
+      }
+
       logger.error('Error generating DeepSeek response:', error);
-      
-      if (error.response) {
-        const status = error.response.status;
-        const data = error.response.data;
-        
-        if (status === 401) {
-          throw new Error('Invalid DeepSeek API key');
-        } else if (status === 429) {
-          throw new Error('DeepSeek API rate limit exceeded');
-        } else if (status === 400) {
-          throw new Error(`DeepSeek API error: ${data.error?.message || 'Bad request'}`);
-        } else {
-          throw new Error(`DeepSeek API error: ${status} - ${data.error?.message || 'Unknown error'}`);
+      throw this.mapApiError(error);
+    }
+  }
+
+  // Streams the completion via SSE, calling onToken for each content delta
+  async generateResponseStream(prompt, systemPrompt = '', onToken = () => {}, options = {}) {
+    const { signal } = options;
+
+    try {
+      if (!this.apiKey) {
+        throw new Error('DeepSeek API key not set');
+      }
+
+      const requestData = {
+        ...this.buildRequestData(prompt, systemPrompt),
+        stream: true
+      };
+
+      const response = await axios.post(this.apiEndpoint, requestData, {
+        headers: this.getHeaders(),
+        timeout: 60000,
+        responseType: 'stream',
+        signal
+      });
+
+      let fullText = '';
+
+      await parseEventStream(response.data, ({ data }) => {
+        const payload = JSON.parse(data);
+        const delta = payload.choices && payload.choices[0] && payload.choices[0].delta;
+
+        if (delta && delta.content) {
+          fullText += delta.content;
+          onToken(delta.content);
         }
+      });
+
+      return fullText.trim();
+
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw new RequestCancelledError();
       }
-      
-      throw error;
+
+      logger.error('Error streaming DeepSeek response:', error);
+      throw this.mapApiError(error);
     }
   }
 
@@ -153,7 +218,8 @@ class DeepSeekClient {
       model: this.model,
       maxTokens: this.maxTokens,
       temperature: this.temperature,
-      provider: 'DeepSeek'
+      provider: 'DeepSeek',
+      supportsStreaming: true
     };
   }
 
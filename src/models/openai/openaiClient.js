@@ -1,6 +1,8 @@
 // backend/src/models/openai/openaiClient.js
 const axios = require('axios');
 const logger = require('../../utils/logger');
+const { parseEventStream } = require('../../utils/eventStream');
+const { RequestCancelledError } = require('../../utils/errorHandler');
 
 class OpenAIClient {
   constructor(config) {
@@ -28,42 +30,72 @@ class OpenAIClient {
     }
   }
 
-  async generateResponse(prompt, systemPrompt = '') {
+  buildRequestData(prompt, systemPrompt = '') {
+    const messages = [];
+    
+    if (systemPrompt) {
+      messages.push({
+        role: 'system',
+        content: systemPrompt
+      });
+    }
+    
+    messages.push({
+      role: 'user',
+      content: prompt
+    });
+
+    return {
+      model: this.model,
+      messages: messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      top_p: 1,
+      frequency_penalty: 0,
+      presence_penalty: 0
+    };
+  }
+
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  mapApiError(error) {
+    if (error.response) {
+      const status = error.response.status;
+      const data = error.response.data || {};
+      
+      if (status === 401) {
+        return new Error('Invalid OpenAI API key');
+      } else if (status === 429) {
+        return new Error('OpenAI API rate limit exceeded');
+      } else if (status === 400) {
+        return new Error(`OpenAI API error: ${data.error?.message || 'Bad request'}`);
+      } else {
+        return new Error(`OpenAI API error: ${status} - ${data.error?.message || 'Unknown error'}`);
+      }
+    }
+    
+    return error;
+  }
+
+  async generateResponse(prompt, systemPrompt = '', options = {}) {
+    const { signal } = options;
+
     try {
       if (!this.apiKey) {
         throw new Error('OpenAI API key not set');
       }
 
-      const messages = [];
-      
-      if (systemPrompt) {
-        messages.push({
-          role: 'system',
-          content: systemPrompt
-        });
-      }
-      
-      messages.push({
-        role: 'user',
-        content: prompt
-      });
-
-      const requestData = {
-        model: this.model,
-        messages: messages,
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        top_p: 1,
-        frequency_penalty: 0,
-        presence_penalty: 0
-      };
+      const requestData = this.buildRequestData(prompt, systemPrompt);
 
       const response = await axios.post(this.apiEndpoint, requestData, {
-        headers: {
-          'Authorization': `Bearer ${this.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000
+        headers: this.getHeaders(),
+        timeout: 60000,
+        signal
       });
 
       if (response.data && response.data.choices && response.data.choices.length > 0) {
@@ -73,24 +105,57 @@ class OpenAIClient {
       }
 
     } catch (error) {
+      if (signal && signal.aborted) {
+        throw new RequestCancelledError();
+      }
+
       logger.error('Error generating OpenAI response:', error);
-      
-      if (error.response) {
-        const status = error.response.status;
-        const data = error.response.data;
-        
-        if (status === 401) {
-          throw new Error('Invalid OpenAI API key');
-        } else if (status === 429) {
-          throw new Error('OpenAI API rate limit exceeded');
-        } else if (status === 400) {
-          throw new Error(`OpenAI API error: ${data.error?.message || 'Bad request'}`);
-        } else {
-          throw new Error(`OpenAI API error: ${status} - ${data.error?.message || 'Unknown error'}`);
+      throw this.mapApiError(error);
+    }
+  }
+
+  // Streams the completion via SSE, calling onToken for each content delta
+  async generateResponseStream(prompt, systemPrompt = '', onToken = () => {}, options = {}) {
+    const { signal } = options;
+
+    try {
+      if (!this.apiKey) {
+        throw new Error('OpenAI API key not set');
+      }
+
+      const requestData = {
+        ...this.buildRequestData(prompt, systemPrompt),
+        stream: true
+      };
+
+      const response = await axios.post(this.apiEndpoint, requestData, {
+        headers: this.getHeaders(),
+        timeout: 60000,
+        responseType: 'stream',
+        signal
+      });
+
+      let fullText = '';
+
+      await parseEventStream(response.data, ({ data }) => {
+        const payload = JSON.parse(data);
+        const delta = payload.choices && payload.choices[0] && payload.choices[0].delta;
+
+        if (delta && delta.content) {
+          fullText += delta.content;
+          onToken(delta.content);
         }
+      });
+
+      return fullText.trim();
+
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw new RequestCancelledError();
       }
-      
-      throw error;
+
+      logger.error('Error streaming OpenAI response:', error);
+      throw this.mapApiError(error);
     }
   }
 
@@ -152,7 +217,8 @@ class OpenAIClient {
       model: this.model,
       maxTokens: this.maxTokens,
       temperature: this.temperature,
-      provider: 'OpenAI'
+      provider: 'OpenAI',
+      supportsStreaming: true
     };
   }
 }
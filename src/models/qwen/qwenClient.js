@@ -3,6 +3,7 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../../utils/logger');
+const { RequestCancelledError } = require('../../utils/errorHandler');
 
 class QwenClient {
   constructor(config) {
@@ -13,6 +14,11 @@ class QwenClient {
     this.topP = config.config.top_p || 0.9;
     this.isInitialized = false;
     this.pythonProcess = null;
+    this.requestCounter = 0;
+    // The inference process runs one generation at a time; waiting requests stay here
+    // so an aborted or timed-out request that never started is dropped without a signal
+    this.requestQueue = [];
+    this.activeRequest = null;
   }
 
   async initialize() {
@@ -83,10 +89,25 @@ class QwenClient {
     return `
 import sys
 import json
+import queue
 import traceback
-from transformers import AutoTokenizer, AutoModelForCausalLM
+from threading import Event, Lock, Thread
+from transformers import AutoTokenizer, AutoModelForCausalLM, TextIteratorStreamer, StoppingCriteria, StoppingCriteriaList
 import torch
 
+# Set by a "CANCEL <id>" line on stdin naming the running generation; checked between tokens
+cancel_event = Event()
+state_lock = Lock()
+active_request_id = None
+# Cancelled before they started, e.g. when the cancel overtakes the request
+cancelled_ids = set()
+# Seconds a streamed generation may go without producing text
+STREAM_TIMEOUT = 60
+
+class CancelCriteria(StoppingCriteria):
+    def __call__(self, input_ids, scores, **kwargs):
+        return cancel_event.is_set()
+
 class QwenInference:
     def __init__(self):
         self.model_path = "${this.modelPath}"
@@ -111,12 +132,14 @@ class QwenInference:
             print(f"Error loading model: {e}", file=sys.stderr, flush=True)
             return False
     
+    def build_prompt(self, prompt, system_prompt=""):
+        if system_prompt:
+            return f"System: {system_prompt}\\n\\nUser: {prompt}\\n\\nAssistant:"
+        return f"User: {prompt}\\n\\nAssistant:"
+    
     def generate_response(self, prompt, system_prompt="", max_tokens=${this.maxTokens}, temperature=${this.temperature}):
         try:
-            if system_prompt:
-                full_prompt = f"System: {system_prompt}\\n\\nUser: {prompt}\\n\\nAssistant:"
-            else:
-                full_prompt = f"User: {prompt}\\n\\nAssistant:"
+            full_prompt = self.build_prompt(prompt, system_prompt)
             
             inputs = self.tokenizer(full_prompt, return_tensors="pt")
             
@@ -127,7 +150,8 @@ class QwenInference:
                     temperature=temperature,
                     top_p=${this.topP},
                     do_sample=True,
-                    pad_token_id=self.tokenizer.eos_token_id
+                    pad_token_id=self.tokenizer.eos_token_id,
+                    stopping_criteria=StoppingCriteriaList([CancelCriteria()])
                 )
             
             response = self.tokenizer.decode(
@@ -142,46 +166,141 @@ class QwenInference:
             print(error_msg, file=sys.stderr, flush=True)
             traceback.print_exc(file=sys.stderr)
             return "I apologize, but I encountered an error processing your request."
+    
+    def stream_response(self, prompt, system_prompt="", max_tokens=${this.maxTokens}, temperature=${this.temperature}):
+        full_prompt = self.build_prompt(prompt, system_prompt)
+        inputs = self.tokenizer(full_prompt, return_tensors="pt")
+        # Without a timeout a stalled generation would block every later request
+        streamer = TextIteratorStreamer(self.tokenizer, skip_prompt=True, skip_special_tokens=True, timeout=STREAM_TIMEOUT)
+        
+        generation_kwargs = dict(
+            inputs=inputs.input_ids,
+            streamer=streamer,
+            max_new_tokens=max_tokens,
+            temperature=temperature,
+            top_p=${this.topP},
+            do_sample=True,
+            pad_token_id=self.tokenizer.eos_token_id,
+            stopping_criteria=StoppingCriteriaList([CancelCriteria()])
+        )
+        
+        # A failure in the worker ends the stream and is raised to the reader below
+        errors = []
+        def generate():
+            try:
+                self.model.generate(**generation_kwargs)
+            except Exception as e:
+                errors.append(e)
+                streamer.end()
+        
+        thread = Thread(target=generate, daemon=True)
+        thread.start()
+        
+        try:
+            for text in streamer:
+                if text:
+                    yield text
+        except queue.Empty:
+            cancel_event.set()
+            thread.join(STREAM_TIMEOUT)
+            raise RuntimeError(f"No output from the model for {STREAM_TIMEOUT} seconds")
+        
+        thread.join()
+        if errors:
+            raise RuntimeError(f"Error generating response: {errors[0]}")
 
 # Initialize inference
 qwen = QwenInference()
 if not qwen.load_model():
     sys.exit(1)
 
+# Read stdin on its own thread so CANCEL can arrive while a generation is running
+pending_requests = queue.Queue()
+
+def cancel_request(target):
+    try:
+        target = int(target)
+    except ValueError:
+        return
+    with state_lock:
+        if target == active_request_id:
+            cancel_event.set()
+        else:
+            cancelled_ids.add(target)
+
+def read_stdin():
+    for raw_line in sys.stdin:
+        line = raw_line.strip()
+        if line.startswith("CANCEL "):
+            cancel_request(line[len("CANCEL "):].strip())
+        elif line:
+            pending_requests.put(line)
+    pending_requests.put("QUIT")
+
+Thread(target=read_stdin, daemon=True).start()
+
 # Process requests
 try:
     while True:
-        line = input()
-        if line.strip() == "QUIT":
+        line = pending_requests.get()
+        if line == "QUIT":
             break
+        
+        request_id = None
             
         try:
             request = json.loads(line)
+            request_id = request.get("id")
+
+            with state_lock:
+                cancel_event.clear()
+                active_request_id = request_id
+                skip = request_id in cancelled_ids
+                # IDs only grow, so older cancellations can no longer match
+                cancelled_ids = {i for i in cancelled_ids if request_id is None or i > request_id}
+
+            if skip:
+                print(json.dumps({"id": request_id, "success": True, "cancelled": True, "response": ""}), flush=True)
+                continue
             prompt = request.get("prompt", "")
             system_prompt = request.get("system_prompt", "")
             max_tokens = request.get("max_tokens", ${this.maxTokens})
             temperature = request.get("temperature", ${this.temperature})
             
-            response = qwen.generate_response(prompt, system_prompt, max_tokens, temperature)
+            if request.get("stream"):
+                chunks = []
+                for text in qwen.stream_response(prompt, system_prompt, max_tokens, temperature):
+                    chunks.append(text)
+                    print(json.dumps({"id": request_id, "success": True, "delta": text}), flush=True)
+                response = "".join(chunks).strip()
+            else:
+                response = qwen.generate_response(prompt, system_prompt, max_tokens, temperature)
             
             result = {
+                "id": request_id,
                 "success": True,
+                "cancelled": cancel_event.is_set(),
                 "response": response
             }
             print(json.dumps(result), flush=True)
             
         except json.JSONDecodeError:
             error_result = {
+                "id": request_id,
                 "success": False,
                 "error": "Invalid JSON request"
             }
             print(json.dumps(error_result), flush=True)
         except Exception as e:
             error_result = {
+                "id": request_id,
                 "success": False,
                 "error": str(e)
             }
             print(json.dumps(error_result), flush=True)
+        finally:
+            with state_lock:
+                active_request_id = None
             
 except KeyboardInterrupt:
     print("Shutting down Qwen inference server", file=sys.stderr, flush=True)
@@ -191,78 +310,175 @@ except Exception as e:
 `;
   }
 
-  async generateResponse(prompt, systemPrompt = '') {
+  async generateResponse(prompt, systemPrompt = '', options = {}) {
     try {
       if (!this.isInitialized || !this.pythonProcess) {
         throw new Error('Qwen client not initialized');
       }
 
-      return new Promise((resolve, reject) => {
-        const request = {
-          prompt,
-          system_prompt: systemPrompt,
-          max_tokens: this.maxTokens,
-          temperature: this.temperature
-        };
+      return await this.sendRequest({
+        prompt,
+        system_prompt: systemPrompt,
+        max_tokens: this.maxTokens,
+        temperature: this.temperature
+      }, null, options.signal);
 
-        // Set up response handler
-        const responseHandler = (data) => {
+    } catch (error) {
+      logger.error('Error generating Qwen response:', error);
+      throw error;
+    }
+  }
+
+  // Streams tokens from the inference process, calling onToken for each decoded chunk
+  async generateResponseStream(prompt, systemPrompt = '', onToken = () => {}, options = {}) {
+    try {
+      if (!this.isInitialized || !this.pythonProcess) {
+        throw new Error('Qwen client not initialized');
+      }
+
+      return await this.sendRequest({
+        prompt,
+        system_prompt: systemPrompt,
+        max_tokens: this.maxTokens,
+        temperature: this.temperature,
+        stream: true
+      }, onToken, options.signal);
+
+    } catch (error) {
+      logger.error('Error streaming Qwen response:', error);
+      throw error;
+    }
+  }
+
+  sendRequest(request, onToken = null, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new RequestCancelledError());
+        return;
+      }
+
+      // Responses are tagged with the request ID so output from an abandoned
+      // generation is never mistaken for the answer to a later request
+      const entry = {
+        id: ++this.requestCounter,
+        request,
+        onToken,
+        buffer: '',
+        timeout: null,
+        settled: false
+      };
+
+      entry.settle = (error, response) => {
+        if (entry.settled) return;
+        entry.settled = true;
+
+        clearTimeout(entry.timeout);
+        if (signal) {
+          signal.removeEventListener('abort', abortHandler);
+        }
+        this.requestQueue = this.requestQueue.filter(queued => queued !== entry);
+        if (this.activeRequest === entry) {
+          this.pythonProcess.stdout.removeListener('data', entry.responseHandler);
+          this.activeRequest = null;
+        }
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(response);
+        }
+        this.processQueue();
+      };
+
+      // A running generation is cancelled by its ID; a queued request is only dropped
+      const stop = (error) => {
+        if (this.activeRequest === entry) {
+          this.cancelGeneration(entry.id);
+        }
+        entry.settle(error);
+      };
+
+      // Each generated chunk resets the timer, so long streamed answers are not cut off
+      entry.armTimeout = () => {
+        clearTimeout(entry.timeout);
+        entry.timeout = setTimeout(() => stop(new Error('Qwen response timeout')), 60000); // 60 second timeout
+      };
+
+      const abortHandler = () => stop(new RequestCancelledError());
+
+      entry.armTimeout();
+
+      if (signal) {
+        signal.addEventListener('abort', abortHandler, { once: true });
+      }
+
+      this.requestQueue.push(entry);
+      this.processQueue();
+    });
+  }
+
+  // Sends the next waiting request once the previous one has finished
+  processQueue() {
+    if (this.activeRequest || this.requestQueue.length === 0 || !this.pythonProcess) {
+      return;
+    }
+
+    const entry = this.requestQueue.shift();
+    this.activeRequest = entry;
+
+    entry.responseHandler = (data) => {
+      try {
+        entry.buffer += data.toString();
+        const lines = entry.buffer.split('\n');
+        entry.buffer = lines.pop();
+
+        for (const line of lines.filter(l => l.trim())) {
+          if (line.includes('QWEN_READY')) continue;
+
+          let result;
           try {
-            const lines = data.toString().split('\n').filter(line => line.trim());
-            
-            for (const line of lines) {
-              if (line.includes('QWEN_READY')) continue;
-              
-              try {
-                const result = JSON.parse(line);
-                this.pythonProcess.stdout.removeListener('data', responseHandler);
-                
-                if (result.success) {
-                  resolve(result.response);
-                } else {
-                  reject(new Error(result.error));
-                }
-                return;
-              } catch (parseError) {
-                // Continue processing other lines
-              }
+            result = JSON.parse(line);
+          } catch (parseError) {
+            // Continue processing other lines
+            continue;
+          }
+
+          if (result.id !== entry.id) continue;
+
+          if (result.success && result.delta !== undefined) {
+            entry.armTimeout();
+            if (entry.onToken) {
+              entry.onToken(result.delta);
             }
-          } catch (error) {
-            this.pythonProcess.stdout.removeListener('data', responseHandler);
-            reject(error);
+            continue;
           }
-        };
 
-        // Set up timeout
-        const timeout = setTimeout(() => {
-          this.pythonProcess.stdout.removeListener('data', responseHandler);
-          reject(new Error('Qwen response timeout'));
-        }, 60000); // 60 second timeout
+          if (result.success) {
+            entry.settle(null, result.response);
+          } else {
+            entry.settle(new Error(result.error));
+          }
+          return;
+        }
+      } catch (error) {
+        entry.settle(error);
+      }
+    };
 
-        // Listen for response
-        this.pythonProcess.stdout.on('data', responseHandler);
+    entry.armTimeout();
 
-        // Send request
-        this.pythonProcess.stdin.write(JSON.stringify(request) + '\n');
+    // Listen for response
+    this.pythonProcess.stdout.on('data', entry.responseHandler);
 
-        // Clear timeout when done
-        const originalResolve = resolve;
-        const originalReject = reject;
-        
-        resolve = (value) => {
-          clearTimeout(timeout);
-          originalResolve(value);
-        };
-        
-        reject = (error) => {
-          clearTimeout(timeout);
-          originalReject(error);
-        };
-      });
+    // Send request
+    this.pythonProcess.stdin.write(JSON.stringify({ ...entry.request, id: entry.id }) + '\n');
+  }
 
-    } catch (error) {
-      logger.error('Error generating Qwen response:', error);
-      throw error;
+  // Stops the given generation in the inference process; other requests are unaffected
+  cancelGeneration(requestId) {
+    if (this.pythonProcess) {
+      this.pythonProcess.stdin.write(`CANCEL ${requestId}\n`);
+      logger.info(`Sent cancel signal for Qwen request ${requestId}`);
     }
   }
 
@@ -1,114 +1,271 @@
 // backend/src/routes/chat.js
 const express = require('express');
 const router = express.Router();
+const chatService = require('../services/chatService');
+const conversationStore = require('../services/conversationStore');
+const modelManager = require('../services/modelManager');
 const mcpBridge = require('../services/mcpBridge');
+const exportService = require('../services/exportService');
+const searchService = require('../services/searchService');
+const personaManager = require('../services/personaManager');
+const shareService = require('../services/shareService');
+const feedbackService = require('../services/feedbackService');
+const jobService = require('../services/jobService');
 const logger = require('../utils/logger');
+const { writeEvent } = require('../utils/eventStream');
+const { generateId, sanitizeFilename } = require('../utils/helpers');
+const {
+  validateChatMessage,
+  validateMessageEdit,
+  validateFeedback,
+  validateConversationFiles,
+  validateConversationTitle,
+  validateConversationTags,
+  validateConversationFolder,
+  validateConversationRetention
+} = require('../middleware/validation');
 
-// Store conversation history (in production, use a database)
-const conversations = new Map();
+// Send the result of a chat turn in the shape shared by all message endpoints
+const sendOutcome = (res, outcome) => {
+  res.status(outcome.failed ? 500 : 200).json(chatService.describeOutcome(outcome));
+};
 
-// Process chat message
-router.post('/message', async (req, res) => {
+// Process chat message; with "async": true (or ?mode=async) it is queued as a job instead
+router.post('/message', validateChatMessage, async (req, res) => {
   try {
-    const { message, conversationId, files } = req.body;
+    const { message, conversationId, files, requestId, modelId, personaId } = req.body;
+    const { excludeFileIds, useAttachedFiles, attachFiles } = req.body;
+    const runAsJob = req.body.async === true || req.query.mode === 'async';
 
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
+    const selectionError = chatService.getSelectionError({ modelId, personaId });
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
     }
 
-    if (!conversationId) {
-      return res.status(400).json({ error: 'Conversation ID is required' });
+    const params = {
+      message,
+      conversationId,
+      files,
+      excludeFileIds,
+      useAttachedFiles,
+      attachFiles,
+      requestId,
+      modelId,
+      personaId
+    };
+
+    if (runAsJob) {
+      const job = await jobService.enqueue(params);
+
+      return res.status(202).json({
+        message: 'Chat job queued',
+        jobId: job.id,
+        requestId: job.requestId,
+        state: job.state,
+        statusUrl: `/api/jobs/${job.id}`
+      });
     }
 
-    logger.info(`Processing chat message for conversation: ${conversationId}`);
+    const outcome = await chatService.processMessage(req.io, params);
+    sendOutcome(res, outcome);
 
-    // Get or create conversation
-    if (!conversations.has(conversationId)) {
-      conversations.set(conversationId, []);
+  } catch (error) {
+    // Unknown commands, invalid tool mentions and a full job queue are reported as they are
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
     }
 
-    const conversation = conversations.get(conversationId);
+    logger.error('Chat route error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Add user message to conversation
-    const userMessage = {
-      id: Date.now(),
-      text: message,
-      sender: 'user',
-      timestamp: new Date().toISOString()
-    };
+// Process chat message as a Server-Sent Events stream
+router.post('/stream', validateChatMessage, async (req, res) => {
+  const { message, conversationId, files, modelId, personaId } = req.body;
+  const { excludeFileIds, useAttachedFiles, attachFiles } = req.body;
+  const requestId = req.body.requestId || generateId('req');
 
-    conversation.push(userMessage);
+  const selectionError = chatService.getSelectionError({ modelId, personaId });
+  if (selectionError) {
+    return res.status(400).json({ error: selectionError });
+  }
 
-    try {
-      // Process request through MCP Bridge
-      const result = await mcpBridge.processUserRequest(
-        conversationId,
-        message,
-        files || []
-      );
-
-      // Create AI response message
-      const aiMessage = {
-        id: Date.now() + 1,
-        text: result.response,
-        sender: 'ai',
-        timestamp: new Date().toISOString(),
-        toolsUsed: result.toolsUsed,
-        confidence: result.confidence
-      };
-
-      conversation.push(aiMessage);
-
-      // Emit to WebSocket clients
-      if (req.io) {
-        req.io.to(conversationId).emit('new_message', {
-          conversationId,
-          message: aiMessage
-        });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  // Stop the work if the client goes away before the answer is complete
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      chatService.cancelRequest(requestId);
+    }
+  });
+
+  try {
+    const outcome = await chatService.processMessage(req.io, {
+      message,
+      conversationId,
+      files,
+      excludeFileIds,
+      useAttachedFiles,
+      attachFiles,
+      requestId,
+      modelId,
+      personaId
+    }, {
+      onProgress: (event, messageId) => {
+        writeEvent(res, event.type, { conversationId, messageId, ...event });
+      },
+      onToken: (delta, messageId) => {
+        writeEvent(res, 'message_delta', { conversationId, messageId, delta });
       }
+    });
 
-      res.json({
-        message: aiMessage,
-        toolsUsed: result.toolsUsed,
-        confidence: result.confidence
-      });
+    if (outcome.command) {
+      writeEvent(res, 'command_result', { conversationId, command: outcome.command, message: outcome.message });
+    } else if (outcome.cancelled) {
+      writeEvent(res, 'message_cancelled', { conversationId, requestId, message: outcome.message });
+    } else if (outcome.failed) {
+      writeEvent(res, 'error', { conversationId, message: outcome.message, error: 'Processing failed' });
+    } else {
+      writeEvent(res, 'message_complete', { conversationId, message: outcome.message });
+    }
+
+  } catch (error) {
+    if (error.isOperational) {
+      writeEvent(res, 'error', { conversationId, error: error.message });
+    } else {
+      logger.error('Chat stream route error:', error);
+      writeEvent(res, 'error', { conversationId, error: 'Internal server error' });
+    }
+  }
 
-    } catch (mcpError) {
-      logger.error('MCP Bridge error:', mcpError);
+  res.end();
+});
 
-      // Create error response
-      const errorMessage = {
-        id: Date.now() + 1,
-        text: 'I apologize, but I encountered an error processing your request. Please try again.',
-        sender: 'ai',
-        timestamp: new Date().toISOString(),
-        error: true
-      };
+// Cancel an in-flight chat request by request ID, or every request in a conversation
+router.post('/cancel', (req, res) => {
+  try {
+    const { requestId, conversationId } = req.body;
 
-      conversation.push(errorMessage);
+    if (!requestId && !conversationId) {
+      return res.status(400).json({ error: 'Request ID or conversation ID is required' });
+    }
 
-      res.status(500).json({
-        message: errorMessage,
-        error: 'Processing failed'
-      });
+    const cancelled = requestId
+      ? [chatService.cancelRequest(requestId)].filter(Boolean)
+      : chatService.cancelConversation(conversationId);
+
+    if (cancelled.length === 0) {
+      return res.status(404).json({ error: 'No in-flight request found' });
     }
 
+    res.json({
+      message: 'Cancellation requested',
+      cancelled
+    });
+
   } catch (error) {
-    logger.error('Chat route error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error('Error cancelling chat request:', error);
+    res.status(500).json({ error: 'Failed to cancel request' });
+  }
+});
+
+// Get in-flight chat requests
+router.get('/requests', (req, res) => {
+  try {
+    const requests = chatService.getActiveRequests(req.query.conversationId || null);
+
+    res.json({
+      requests,
+      total: requests.length
+    });
+
+  } catch (error) {
+    logger.error('Error getting active chat requests:', error);
+    res.status(500).json({ error: 'Failed to get active requests' });
   }
 });
 
-// Get conversation history
+// Search message text and stored tool output across all conversations
+router.get('/search', (req, res) => {
+  try {
+    const { q, from, to, model, tool, conversationId, type, limit, offset } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({ error: 'Search query is required' });
+    }
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    if (type && !['message', 'tool_result'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be message or tool_result' });
+    }
+
+    res.json(searchService.search(q, {
+      from,
+      to,
+      modelId: model,
+      toolId: tool,
+      conversationId,
+      type,
+      limit,
+      offset
+    }));
+
+  } catch (error) {
+    logger.error('Error searching conversations:', error);
+    res.status(500).json({ error: 'Failed to search conversations' });
+  }
+});
+
+// Satisfaction report by model, tool and persona over time
+router.get('/feedback/report', (req, res) => {
+  try {
+    const { from, to, interval = 'day', model } = req.query;
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+
+    if (!['day', 'week', 'month'].includes(interval)) {
+      return res.status(400).json({ error: 'Interval must be day, week or month' });
+    }
+
+    res.json(feedbackService.getReport({ from, to, interval, modelId: model }));
+
+  } catch (error) {
+    logger.error('Error building feedback report:', error);
+    res.status(500).json({ error: 'Failed to build feedback report' });
+  }
+});
+
+// Get conversation history (the selected branch, or every branch with ?branches=all)
 router.get('/history/:conversationId', (req, res) => {
   try {
     const { conversationId } = req.params;
-    const conversation = conversations.get(conversationId) || [];
+    const allBranches = req.query.branches === 'all';
+    const conversation = conversationStore.get(conversationId);
+
+    const messages = (allBranches
+      ? conversationStore.getAllMessages(conversationId)
+      : conversationStore.getMessages(conversationId)
+    ).map(message => {
+      const siblingIds = conversationStore.getSiblingIds(conversationId, message);
+      return siblingIds.length > 1 ? { ...message, siblingIds } : message;
+    });
 
     res.json({
       conversationId,
-      messages: conversation,
-      messageCount: conversation.length
+      activeMessageId: conversation ? conversation.activeMessageId : null,
+      messages,
+      messageCount: messages.length
     });
 
   } catch (error) {
@@ -117,13 +274,246 @@ router.get('/history/:conversationId', (req, res) => {
   }
 });
 
+// Export the selected branch of a conversation as Markdown, HTML, JSON or PDF
+router.get('/history/:conversationId/export', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const format = req.query.format || 'markdown';
+
+    if (!exportService.resolveFormat(format)) {
+      return res.status(400).json({
+        error: `Unsupported export format: ${format}`,
+        supportedFormats: exportService.getSupportedFormats()
+      });
+    }
+
+    const exported = await exportService.exportConversation(conversationId, format);
+    if (!exported) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const filename = sanitizeFilename(`conversation-${conversationId}.${exported.extension}`);
+
+    res.setHeader('Content-Type', exported.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(exported.body);
+
+  } catch (error) {
+    logger.error('Error exporting conversation:', error);
+    res.status(500).json({ error: 'Failed to export conversation' });
+  }
+});
+
+// Edit a user message: the new text starts a sibling branch and gets a fresh answer
+router.put('/history/:conversationId/messages/:messageId', validateMessageEdit, async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    const { message, files, excludeFileIds, useAttachedFiles, requestId, modelId, personaId } = req.body;
+
+    const original = conversationStore.getMessage(conversationId, messageId);
+    if (!original || original.sender !== 'user') {
+      return res.status(404).json({ error: 'User message not found' });
+    }
+
+    const selectionError = chatService.getSelectionError({ modelId, personaId });
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
+    }
+
+    logger.info(`Editing message ${messageId} in conversation ${conversationId}`);
+
+    const outcome = await chatService.processMessage(req.io, {
+      message,
+      conversationId,
+      files,
+      excludeFileIds,
+      useAttachedFiles,
+      requestId,
+      modelId,
+      personaId,
+      parentId: original.parentId
+    });
+    sendOutcome(res, outcome);
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    logger.error('Error editing message:', error);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
+
+// Regenerate an AI message as a sibling answer to the same user message
+router.post('/history/:conversationId/messages/:messageId/regenerate', async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    const { files, excludeFileIds, useAttachedFiles, requestId, modelId, personaId } = req.body;
+
+    const original = conversationStore.getMessage(conversationId, messageId);
+    if (!original || original.sender !== 'ai') {
+      return res.status(404).json({ error: 'AI message not found' });
+    }
+
+    const userMessage = conversationStore.getMessage(conversationId, original.parentId);
+    if (!userMessage || userMessage.sender !== 'user') {
+      return res.status(400).json({ error: 'AI message has no user message to answer' });
+    }
+
+    const selectionError = chatService.getSelectionError({ modelId, personaId });
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
+    }
+
+    logger.info(`Regenerating message ${messageId} in conversation ${conversationId}`);
+
+    const outcome = await chatService.processMessage(req.io, {
+      conversationId,
+      files,
+      excludeFileIds,
+      useAttachedFiles,
+      requestId,
+      modelId,
+      personaId,
+      userMessageId: userMessage.id
+    });
+    sendOutcome(res, outcome);
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    logger.error('Error regenerating message:', error);
+    res.status(500).json({ error: 'Failed to regenerate message' });
+  }
+});
+
+// Re-run only the tools that failed for an AI message, with their original parameters,
+// and answer again from the merged results as a new version of the message
+router.post('/history/:conversationId/messages/:messageId/retry-tools', async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    const { requestId, modelId, personaId } = req.body;
+
+    const original = conversationStore.getMessage(conversationId, messageId);
+    if (!original || original.sender !== 'ai') {
+      return res.status(404).json({ error: 'AI message not found' });
+    }
+
+    const userMessage = conversationStore.getMessage(conversationId, original.parentId);
+    if (!userMessage || userMessage.sender !== 'user') {
+      return res.status(400).json({ error: 'AI message has no user message to answer' });
+    }
+
+    if (!(original.toolResults || []).some(result => !result.success)) {
+      return res.status(400).json({ error: 'AI message has no failed tools to retry' });
+    }
+
+    const selectionError = chatService.getSelectionError({ modelId, personaId });
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
+    }
+
+    logger.info(`Retrying failed tools of message ${messageId} in conversation ${conversationId}`);
+
+    // The new version answers with the original model and persona unless told otherwise
+    const outcome = await chatService.processMessage(req.io, {
+      conversationId,
+      requestId,
+      modelId: modelId || original.modelId,
+      personaId: personaId || original.personaId || undefined,
+      userMessageId: userMessage.id,
+      retryMessageId: original.id
+    });
+    sendOutcome(res, outcome);
+
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    logger.error('Error retrying failed tools:', error);
+    res.status(500).json({ error: 'Failed to retry failed tools' });
+  }
+});
+
+// Rate an AI message (thumbs up/down plus optional comment); submitting again replaces it
+router.post('/history/:conversationId/messages/:messageId/feedback', validateFeedback, async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    const { rating, comment = '' } = req.body;
+
+    const message = conversationStore.getMessage(conversationId, messageId);
+    if (!message || message.sender !== 'ai') {
+      return res.status(404).json({ error: 'AI message not found' });
+    }
+
+    const feedback = await feedbackService.submitFeedback(conversationId, message, { rating, comment });
+    await conversationStore.updateMessage(conversationId, message.id, {
+      feedback: { rating, comment, updatedAt: feedback.updatedAt }
+    });
+
+    if (req.io) {
+      req.io.to(conversationId).emit('message_feedback', { conversationId, messageId: message.id, rating, comment });
+    }
+
+    res.json({
+      message: 'Feedback recorded',
+      feedback
+    });
+
+  } catch (error) {
+    logger.error('Error recording message feedback:', error);
+    res.status(500).json({ error: 'Failed to record feedback' });
+  }
+});
+
+// Select which branch of the conversation is active
+router.put('/history/:conversationId/active', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { messageId } = req.body;
+
+    if (messageId === undefined || messageId === null) {
+      return res.status(400).json({ error: 'Message ID is required' });
+    }
+
+    const activeMessage = await conversationStore.setActiveMessage(conversationId, messageId);
+    if (!activeMessage) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const messages = conversationStore.getMessages(conversationId);
+
+    if (req.io) {
+      req.io.to(conversationId).emit('branch_changed', {
+        conversationId,
+        activeMessageId: activeMessage.id
+      });
+    }
+
+    res.json({
+      conversationId,
+      activeMessageId: activeMessage.id,
+      messages,
+      messageCount: messages.length
+    });
+
+  } catch (error) {
+    logger.error('Error selecting conversation branch:', error);
+    res.status(500).json({ error: 'Failed to select branch' });
+  }
+});
+
 // Clear conversation history
-router.delete('/history/:conversationId', (req, res) => {
+router.delete('/history/:conversationId', async (req, res) => {
   try {
     const { conversationId } = req.params;
     
-    if (conversations.has(conversationId)) {
-      conversations.delete(conversationId);
+    if (await conversationStore.delete(conversationId)) {
+      await shareService.removeConversationShares(conversationId);
       logger.info(`Cleared conversation: ${conversationId}`);
     }
 
@@ -135,25 +525,364 @@ router.delete('/history/:conversationId', (req, res) => {
   }
 });
 
-// Get all conversations
+// List conversations, filtered by title (q), tags (comma-separated, all required),
+// folder or unfiled=true, and model; paginated with limit and offset
 router.get('/conversations', (req, res) => {
   try {
-    const conversationList = Array.from(conversations.entries()).map(([id, messages]) => ({
-      conversationId: id,
-      messageCount: messages.length,
-      lastMessage: messages[messages.length - 1],
-      createdAt: messages[0]?.timestamp,
-      updatedAt: messages[messages.length - 1]?.timestamp
+    const { q, tags, folder, unfiled, model, limit, offset } = req.query;
+
+    res.json(chatService.listConversations({
+      q,
+      tags: tags ? String(tags).split(',').map(tag => tag.trim()).filter(Boolean) : [],
+      folder,
+      unfiled: unfiled === 'true',
+      modelId: model,
+      limit,
+      offset
     }));
 
+  } catch (error) {
+    logger.error('Error getting conversations:', error);
+    res.status(500).json({ error: 'Failed to get conversations' });
+  }
+});
+
+// Tags and folders in use, for filter menus
+router.get('/conversations/labels', (req, res) => {
+  try {
+    res.json(chatService.getConversationLabels());
+  } catch (error) {
+    logger.error('Error getting conversation labels:', error);
+    res.status(500).json({ error: 'Failed to get conversation labels' });
+  }
+});
+
+// Rename a conversation; a user-chosen title is never replaced by a generated one
+router.put('/conversations/:conversationId/title', validateConversationTitle, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (!conversationStore.has(conversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const conversation = await conversationStore.update(conversationId, {
+      title: req.body.title.trim(),
+      titleSource: 'user'
+    });
+    logger.info(`Renamed conversation ${conversationId}`);
+
+    const details = chatService.describeConversation(conversation);
+    if (req.io) {
+      req.io.to(conversationId).emit('conversation_updated', details);
+    }
+
+    res.json({ message: 'Conversation renamed', ...details });
+
+  } catch (error) {
+    logger.error('Error renaming conversation:', error);
+    res.status(500).json({ error: 'Failed to rename conversation' });
+  }
+});
+
+// Replace the tags on a conversation
+router.put('/conversations/:conversationId/tags', validateConversationTags, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (!conversationStore.has(conversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const conversation = await conversationStore.update(conversationId, {
+      tags: chatService.normalizeTags(req.body.tags)
+    });
+
+    const details = chatService.describeConversation(conversation);
+    if (req.io) {
+      req.io.to(conversationId).emit('conversation_updated', details);
+    }
+
+    res.json({ message: 'Conversation tags updated', ...details });
+
+  } catch (error) {
+    logger.error('Error setting conversation tags:', error);
+    res.status(500).json({ error: 'Failed to set conversation tags' });
+  }
+});
+
+// Move a conversation into a folder; null removes it from its folder
+router.put('/conversations/:conversationId/folder', validateConversationFolder, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (!conversationStore.has(conversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const folder = req.body.folder === null ? null : req.body.folder.trim();
+    const conversation = await conversationStore.update(conversationId, { folder });
+
+    const details = chatService.describeConversation(conversation);
+    if (req.io) {
+      req.io.to(conversationId).emit('conversation_updated', details);
+    }
+
+    res.json({ message: 'Conversation folder updated', ...details });
+
+  } catch (error) {
+    logger.error('Error setting conversation folder:', error);
+    res.status(500).json({ error: 'Failed to set conversation folder' });
+  }
+});
+
+// Select the model used for a conversation
+router.put('/conversations/:conversationId/model', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { modelId } = req.body;
+
+    if (!modelId) {
+      return res.status(400).json({ error: 'Model ID is required' });
+    }
+
+    if (!modelManager.isModelAvailable(modelId)) {
+      return res.status(400).json({ error: `Model ${modelId} not available` });
+    }
+
+    const conversation = await conversationStore.update(conversationId, { modelId });
+    logger.info(`Conversation ${conversationId} now uses model ${modelId}`);
+
+    if (req.io) {
+      req.io.to(conversationId).emit('conversation_model_changed', { conversationId, modelId });
+    }
+
     res.json({
-      conversations: conversationList,
-      total: conversationList.length
+      message: 'Conversation model updated',
+      conversationId: conversation.id,
+      modelId: conversation.modelId
     });
 
   } catch (error) {
-    logger.error('Error getting conversations:', error);
-    res.status(500).json({ error: 'Failed to get conversations' });
+    logger.error('Error setting conversation model:', error);
+    res.status(500).json({ error: 'Failed to set conversation model' });
+  }
+});
+
+// Select the persona used for a conversation; null returns to the default prompts
+router.put('/conversations/:conversationId/persona', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { personaId = null } = req.body;
+
+    if (personaId !== null && !personaManager.get(personaId)) {
+      return res.status(400).json({ error: `Persona ${personaId} not found` });
+    }
+
+    const conversation = await conversationStore.update(conversationId, { personaId }, {
+      modelId: mcpBridge.getCurrentModel()
+    });
+    logger.info(`Conversation ${conversationId} now uses persona ${personaId || 'default'}`);
+
+    if (req.io) {
+      req.io.to(conversationId).emit('conversation_persona_changed', { conversationId, personaId });
+    }
+
+    res.json({
+      message: 'Conversation persona updated',
+      conversationId: conversation.id,
+      personaId: conversation.personaId
+    });
+
+  } catch (error) {
+    logger.error('Error setting conversation persona:', error);
+    res.status(500).json({ error: 'Failed to set conversation persona' });
+  }
+});
+
+// Set how long files used in a conversation are kept; the longest conversation policy applies
+router.put('/conversations/:conversationId/retention', validateConversationRetention, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (!conversationStore.has(conversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const retention = { duration: req.body.duration, updatedAt: new Date().toISOString() };
+    await conversationStore.update(conversationId, { retention });
+    logger.info(`Conversation ${conversationId} retention set to ${retention.duration === null ? 'keep' : `${retention.duration}ms`}`);
+
+    res.json({ message: 'Conversation retention updated', conversationId, retention });
+
+  } catch (error) {
+    logger.error('Error setting conversation retention:', error);
+    res.status(500).json({ error: 'Failed to set conversation retention' });
+  }
+});
+
+// Return a conversation's files to the type and default retention policies
+router.delete('/conversations/:conversationId/retention', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    if (!conversationStore.has(conversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await conversationStore.update(conversationId, { retention: null });
+    res.json({ message: 'Conversation retention cleared', conversationId, retention: null });
+
+  } catch (error) {
+    logger.error('Error clearing conversation retention:', error);
+    res.status(500).json({ error: 'Failed to clear conversation retention' });
+  }
+});
+
+// Get the files attached to a conversation
+router.get('/conversations/:conversationId/files', (req, res) => {
+  try {
+    const files = conversationStore.getAttachedFiles(req.params.conversationId);
+
+    res.json({
+      files,
+      total: files.length
+    });
+
+  } catch (error) {
+    logger.error('Error getting conversation files:', error);
+    res.status(500).json({ error: 'Failed to get conversation files' });
+  }
+});
+
+// Attach uploaded files to a conversation so every later turn can use them
+router.post('/conversations/:conversationId/files', validateConversationFiles, async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+
+    const files = await conversationStore.attachFiles(conversationId, req.body.files, {
+      modelId: mcpBridge.getCurrentModel()
+    });
+    logger.info(`Attached ${req.body.files.length} file(s) to conversation ${conversationId}`);
+
+    if (req.io) {
+      req.io.to(conversationId).emit('conversation_files_changed', { conversationId, files });
+    }
+
+    res.json({
+      message: 'Files attached',
+      files,
+      total: files.length
+    });
+
+  } catch (error) {
+    logger.error('Error attaching conversation files:', error);
+    res.status(500).json({ error: 'Failed to attach files' });
+  }
+});
+
+// Detach a file from a conversation (the uploaded file itself is kept)
+router.delete('/conversations/:conversationId/files/:fileId', async (req, res) => {
+  try {
+    const { conversationId, fileId } = req.params;
+
+    if (!(await conversationStore.detachFile(conversationId, fileId))) {
+      return res.status(404).json({ error: 'File is not attached to this conversation' });
+    }
+
+    const files = conversationStore.getAttachedFiles(conversationId);
+    logger.info(`Detached file ${fileId} from conversation ${conversationId}`);
+
+    if (req.io) {
+      req.io.to(conversationId).emit('conversation_files_changed', { conversationId, files });
+    }
+
+    res.json({
+      message: 'File detached',
+      files,
+      total: files.length
+    });
+
+  } catch (error) {
+    logger.error('Error detaching conversation file:', error);
+    res.status(500).json({ error: 'Failed to detach file' });
+  }
+});
+
+// Create a read-only share link; expiresIn is in seconds, or give an absolute expiresAt
+router.post('/conversations/:conversationId/shares', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { expiresIn, expiresAt } = req.body;
+
+    if (!conversationStore.has(conversationId)) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    let expiry = null;
+    if (expiresIn !== undefined && expiresIn !== null) {
+      const seconds = Number(expiresIn);
+      if (!Number.isFinite(seconds) || seconds <= 0) {
+        return res.status(400).json({ error: 'expiresIn must be a positive number of seconds' });
+      }
+      expiry = new Date(Date.now() + seconds * 1000).toISOString();
+    } else if (expiresAt) {
+      const timestamp = Date.parse(expiresAt);
+      if (isNaN(timestamp) || timestamp <= Date.now()) {
+        return res.status(400).json({ error: 'expiresAt must be a future date' });
+      }
+      expiry = new Date(timestamp).toISOString();
+    }
+
+    const { share, token } = await shareService.createShare(conversationId, { expiresAt: expiry });
+
+    res.status(201).json({
+      message: 'Share link created',
+      share,
+      token,
+      url: `/api/shared/${token}`
+    });
+
+  } catch (error) {
+    logger.error('Error creating share link:', error);
+    res.status(500).json({ error: 'Failed to create share link' });
+  }
+});
+
+// List share links for a conversation (tokens are never returned again)
+router.get('/conversations/:conversationId/shares', (req, res) => {
+  try {
+    const shares = shareService.listShares(req.params.conversationId);
+
+    res.json({
+      shares,
+      total: shares.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing share links:', error);
+    res.status(500).json({ error: 'Failed to list share links' });
+  }
+});
+
+// Revoke a share link
+router.delete('/conversations/:conversationId/shares/:shareId', async (req, res) => {
+  try {
+    const { conversationId, shareId } = req.params;
+
+    const share = await shareService.revokeShare(conversationId, shareId);
+    if (!share) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    res.json({
+      message: 'Share link revoked',
+      share
+    });
+
+  } catch (error) {
+    logger.error('Error revoking share link:', error);
+    res.status(500).json({ error: 'Failed to revoke share link' });
   }
 });
 
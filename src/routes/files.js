@@ -6,7 +6,12 @@ const fs = require('fs').promises;
 const router = express.Router();
 const logger = require('../utils/logger');
 const fileProcessor = require('../services/fileProcessor');
-const { validateFileUpload } = require('../middleware/validation');
+const fileRegistry = require('../services/fileRegistry');
+const conversationStore = require('../services/conversationStore');
+const retentionService = require('../services/retentionService');
+const uploadSessionService = require('../services/uploadSessionService');
+const { isAllowedType, verifyFileType, verifyFileTypes } = require('../middleware/fileUpload');
+const { validateFileUpload, validateUploadSession, validateUploadComplete } = require('../middleware/validation');
 
 // Ensure uploads directory exists
 const ensureUploadsDir = async () => {
@@ -22,6 +27,26 @@ const ensureUploadsDir = async () => {
 // Initialize uploads directory
 ensureUploadsDir();
 
+// Processes a file saved in upload storage and stores it once by hash;
+// identical content returns the file already on record
+const storeUploadedFile = async (file) => {
+  const fileInfo = await fileProcessor.processFile(file);
+
+  const processedFile = {
+    id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    name: file.originalname,
+    filename: file.filename,
+    size: file.size,
+    type: file.mimetype,
+    path: file.path,
+    uploadedAt: new Date().toISOString(),
+    ...fileInfo
+  };
+
+  const { record, duplicate } = await fileRegistry.storeUpload(processedFile);
+  return { ...processedFile, ...record, duplicate };
+};
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -30,6 +55,7 @@ const storage = multer.diskStorage({
     
     try {
       await fs.mkdir(uploadPath, { recursive: true });
+      await fileRegistry.trackUploadFolder(uploadPath);
       logger.info(`Created upload directory: ${uploadPath}`);
       cb(null, uploadPath);
     } catch (error) {
@@ -52,36 +78,9 @@ const upload = multer({
     files: 1000 // Max 1000 files
   },
   fileFilter: (req, file, cb) => {
-    // Basic file type validation
-    const allowedTypes = [
-      'application/pdf',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-excel',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'text/plain',
-      'text/csv',
-      'application/json',
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'image/bmp',
-      'video/mp4',
-      'video/avi',
-      'video/mov',
-      'video/wmv',
-      'audio/mp3',
-      'audio/wav',
-      'audio/flac',
-      'audio/aac'
-    ];
-
     logger.info(`Validating file: ${file.originalname} (${file.mimetype})`);
 
-    if (allowedTypes.includes(file.mimetype) || 
-        file.mimetype.startsWith('image/') || 
-        file.mimetype.startsWith('video/') || 
-        file.mimetype.startsWith('audio/')) {
+    if (isAllowedType(file.mimetype)) {
       logger.info(`File type accepted: ${file.mimetype}`);
       cb(null, true);
     } else {
@@ -92,7 +91,7 @@ const upload = multer({
 });
 
 // File upload endpoint
-router.post('/upload', upload.array('files', 1000), async (req, res) => {
+router.post('/upload', upload.array('files', 1000), verifyFileTypes, async (req, res) => {
   try {
     logger.info(`File upload request received. Files count: ${req.files ? req.files.length : 0}`);
 
@@ -116,22 +115,9 @@ router.post('/upload', upload.array('files', 1000), async (req, res) => {
           continue;
         }
 
-        // Process file metadata
-        const fileInfo = await fileProcessor.processFile(file);
-        
-        const processedFile = {
-          id: `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          name: file.originalname,
-          filename: file.filename,
-          size: file.size,
-          type: file.mimetype,
-          path: file.path,
-          uploadedAt: new Date().toISOString(),
-          ...fileInfo
-        };
-
-        uploadedFiles.push(processedFile);
-        logger.info(`Successfully processed file: ${file.originalname} -> ${file.path}`);
+        const storedFile = await storeUploadedFile(file);
+        uploadedFiles.push(storedFile);
+        logger.info(`Successfully processed file: ${file.originalname} -> ${storedFile.path}`);
 
       } catch (fileError) {
         logger.error(`Error processing file ${file.originalname}:`, fileError);
@@ -150,7 +136,9 @@ router.post('/upload', upload.array('files', 1000), async (req, res) => {
       message: 'Files uploaded successfully',
       files: uploadedFiles,
       totalFiles: uploadedFiles.length,
-      totalSize: uploadedFiles.reduce((sum, file) => sum + file.size, 0)
+      totalSize: uploadedFiles.reduce((sum, file) => sum + file.size, 0),
+      // Files whose content did not match their declared type
+      rejected: req.rejectedFiles
     });
 
   } catch (error) {
@@ -168,18 +156,193 @@ router.post('/upload', upload.array('files', 1000), async (req, res) => {
   }
 });
 
-// Get file metadata
-router.get('/:fileId', async (req, res) => {
+// Resumable uploads for large files: create the upload, PUT raw chunks at the current offset
+// (Upload-Offset header or ?offset=), ask for the offset after a dropped connection, then
+// complete it with the file's SHA-256
+router.post('/uploads', validateUploadSession, async (req, res) => {
   try {
-    const { fileId } = req.params;
-    
-    // In production, store this in a database
-    // For now, this is a placeholder response
+    const { name, size, type = '', sha256 } = req.body;
+    if (!isAllowedType(type)) {
+      return res.status(400).json({ error: `File type ${type} not supported` });
+    }
+
+    const session = await uploadSessionService.create({ name: name.trim(), size, type, sha256 });
+    const upload = await uploadSessionService.describe(session);
+
+    res.status(201)
+      .set('Upload-Offset', String(upload.offset))
+      .json({ upload });
+
+  } catch (error) {
+    logger.error('Error creating resumable upload:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+});
+
+router.get('/uploads/:uploadId', async (req, res) => {
+  try {
+    const session = uploadSessionService.get(req.params.uploadId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const upload = await uploadSessionService.describe(session);
+    res.set('Upload-Offset', String(upload.offset)).json({ upload });
+
+  } catch (error) {
+    logger.error('Error getting resumable upload:', error);
+    res.status(500).json({ error: 'Failed to get upload' });
+  }
+});
+
+router.put('/uploads/:uploadId', async (req, res) => {
+  const { uploadId } = req.params;
+
+  try {
+    const rawOffset = req.get('Upload-Offset') !== undefined ? req.get('Upload-Offset') : req.query.offset;
+    const offset = Number(rawOffset);
+    if (rawOffset === undefined || rawOffset === '' || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset header or offset query parameter required' });
+    }
+
+    const newOffset = await uploadSessionService.writeChunk(uploadId, offset, req);
+    const upload = await uploadSessionService.describe(uploadSessionService.get(uploadId));
+
+    res.set('Upload-Offset', String(newOffset)).json({ upload });
+
+  } catch (error) {
+    logger.error(`Error writing chunk for upload ${uploadId}:`, error);
+    if (!error.isOperational) {
+      return res.status(500).json({ error: 'Failed to write chunk' });
+    }
+
+    // Tell the client where to resume from
+    const session = uploadSessionService.get(uploadId);
+    if (session) {
+      res.set('Upload-Offset', String(await uploadSessionService.getOffset(session)));
+    }
+    // The rest of an unread body is discarded so the response can be sent
+    req.resume();
+    res.status(error.statusCode).json({ error: error.message });
+  }
+});
+
+// Verifies the checksum and processes the assembled file like a multipart upload
+router.post('/uploads/:uploadId/complete', validateUploadComplete, async (req, res) => {
+  try {
+    const file = await uploadSessionService.finalize(req.params.uploadId, req.body.sha256);
+
+    let type;
+    try {
+      type = await verifyFileType(file);
+    } catch (error) {
+      // The folder was created for this file alone
+      await fs.rm(path.dirname(file.path), { recursive: true, force: true });
+      throw error;
+    }
+
+    const storedFile = await storeUploadedFile({ ...file, declaredMimetype: file.mimetype, mimetype: type });
+    logger.info(`Successfully processed resumable upload: ${file.originalname} -> ${storedFile.path}`);
+
     res.json({
-      message: 'File metadata endpoint - implement with database storage',
-      fileId
+      message: 'File uploaded successfully',
+      files: [storedFile],
+      totalFiles: 1,
+      totalSize: storedFile.size
     });
 
+  } catch (error) {
+    logger.error('Error completing resumable upload:', error);
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to complete upload' });
+  }
+});
+
+// Abort an upload and discard the data received so far
+router.delete('/uploads/:uploadId', async (req, res) => {
+  try {
+    if (!await uploadSessionService.remove(req.params.uploadId)) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    logger.error('Error cancelling resumable upload:', error);
+    res.status(500).json({ error: 'Failed to cancel upload' });
+  }
+});
+
+// Retention settings and the reports of recent cleanup runs, newest first
+router.get('/retention/reports', (req, res) => {
+  try {
+    res.json({
+      settings: retentionService.getSettings(),
+      reports: retentionService.getReports()
+    });
+  } catch (error) {
+    logger.error('Error getting retention reports:', error);
+    res.status(500).json({ error: 'Failed to get retention reports' });
+  }
+});
+
+// Run the cleanup now; with "dryRun": true nothing is deleted
+router.post('/retention/run', async (req, res) => {
+  try {
+    const report = await retentionService.run({ dryRun: req.body.dryRun === true });
+    res.json({ report });
+  } catch (error) {
+    logger.error('Error running retention cleanup:', error);
+    res.status(500).json({ error: 'Failed to run retention cleanup' });
+  }
+});
+
+// Pin a file so retention never deletes it
+router.put('/:fileId/pin', async (req, res) => {
+  try {
+    const file = await fileRegistry.setPinned(req.params.fileId, true);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.json({ message: 'File pinned', file });
+  } catch (error) {
+    logger.error('Error pinning file:', error);
+    res.status(500).json({ error: 'Failed to pin file' });
+  }
+});
+
+router.delete('/:fileId/pin', async (req, res) => {
+  try {
+    const file = await fileRegistry.setPinned(req.params.fileId, false);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.json({ message: 'File unpinned', file });
+  } catch (error) {
+    logger.error('Error unpinning file:', error);
+    res.status(500).json({ error: 'Failed to unpin file' });
+  }
+});
+
+// Get file metadata
+router.get('/:fileId', async (req, res) => {
+  try {
+    const file = fileRegistry.get(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const filePath = fileRegistry.resolvePath(file);
+    const exists = filePath ? await fs.access(filePath).then(() => true).catch(() => false) : false;
+
+    res.json({ file: { ...file, exists } });
+
   } catch (error) {
     logger.error('Error getting file metadata:', error);
     res.status(500).json({ error: 'Failed to get file metadata' });
@@ -189,13 +352,25 @@ router.get('/:fileId', async (req, res) => {
 // Download file
 router.get('/download/:fileId', async (req, res) => {
   try {
-    const { fileId } = req.params;
-    
-    // In production, retrieve file path from database
-    // For now, this is a placeholder
-    res.json({
-      message: 'File download endpoint - implement with database storage',
-      fileId
+    const file = fileRegistry.get(req.params.fileId);
+    const filePath = fileRegistry.resolvePath(file);
+    if (!filePath) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const exists = await fs.access(filePath).then(() => true).catch(() => false);
+    if (!exists) {
+      return res.status(404).json({ error: 'File no longer available' });
+    }
+
+    // Serve with the uploaded MIME type and original name rather than guessing from the stored name
+    res.download(filePath, file.name, {
+      headers: { 'Content-Type': file.type || 'application/octet-stream' }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        logger.error(`Error streaming file ${file.id}:`, error);
+        res.status(500).json({ error: 'Failed to download file' });
+      }
     });
 
   } catch (error) {
@@ -204,13 +379,26 @@ router.get('/download/:fileId', async (req, res) => {
   }
 });
 
-// Delete file
+// Delete file from disk and the registry; conversations stop attaching it to new turns
 router.delete('/:fileId', async (req, res) => {
   try {
     const { fileId } = req.params;
-    
-    // In production, remove file from storage and database
-    // For now, this is a placeholder
+
+    const file = await fileRegistry.remove(fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const conversationIds = await conversationStore.detachFileEverywhere(fileId);
+    if (req.io) {
+      conversationIds.forEach(conversationId => {
+        req.io.to(conversationId).emit('conversation_files_changed', {
+          conversationId,
+          files: conversationStore.getAttachedFiles(conversationId)
+        });
+      });
+    }
+
     res.json({
       message: 'File deleted successfully',
       fileId
@@ -272,7 +460,7 @@ router.get('/stats/uploads', async (req, res) => {
 });
 
 // Test file upload endpoint
-router.post('/test-upload', upload.single('testFile'), async (req, res) => {
+router.post('/test-upload', upload.single('testFile'), verifyFileTypes, async (req, res) => {
   try {
     logger.info('Test file upload endpoint called');
 
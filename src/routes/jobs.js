@@ -0,0 +1,61 @@
+// backend/src/routes/jobs.js
+const express = require('express');
+const router = express.Router();
+const jobService = require('../services/jobService');
+const logger = require('../utils/logger');
+
+// List chat jobs, optionally for one conversation or state
+router.get('/', (req, res) => {
+  try {
+    const { conversationId, state } = req.query;
+    const jobs = jobService.list({ conversationId, state }).map(job => jobService.describe(job));
+
+    res.json({
+      jobs,
+      total: jobs.length
+    });
+
+  } catch (error) {
+    logger.error('Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+// Get the state, progress and result of a chat job
+router.get('/:jobId', (req, res) => {
+  try {
+    const job = jobService.get(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job: jobService.describe(job) });
+
+  } catch (error) {
+    logger.error('Error getting job:', error);
+    res.status(500).json({ error: 'Failed to get job' });
+  }
+});
+
+// Cancel a queued or running chat job
+router.delete('/:jobId', async (req, res) => {
+  try {
+    const job = await jobService.cancel(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+      message: 'Cancellation requested',
+      job: jobService.describe(job)
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+module.exports = router;
@@ -23,7 +23,7 @@ router.get('/available', async (req, res) => {
   }
 });
 
-// Switch to a different model
+// Switch the default model used by new conversations
 router.post('/switch', async (req, res) => {
   try {
     const { modelId } = req.body;
@@ -41,7 +41,7 @@ router.post('/switch', async (req, res) => {
     await mcpBridge.switchModel(modelId);
 
     res.json({
-      message: 'Model switched successfully',
+      message: 'Default model switched successfully',
       currentModel: {
         id: model.id,
         name: model.name,
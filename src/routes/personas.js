@@ -0,0 +1,103 @@
+// backend/src/routes/personas.js
+const express = require('express');
+const router = express.Router();
+const personaManager = require('../services/personaManager');
+const logger = require('../utils/logger');
+const { validatePersona, validatePersonaUpdate } = require('../middleware/validation');
+
+// Get all personas, built-in and custom
+router.get('/', (req, res) => {
+  try {
+    const personas = personaManager.list();
+
+    res.json({
+      personas,
+      total: personas.length
+    });
+
+  } catch (error) {
+    logger.error('Error getting personas:', error);
+    res.status(500).json({ error: 'Failed to get personas' });
+  }
+});
+
+// Get a single persona
+router.get('/:personaId', (req, res) => {
+  try {
+    const persona = personaManager.get(req.params.personaId);
+
+    if (!persona) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+
+    res.json({ persona });
+
+  } catch (error) {
+    logger.error('Error getting persona:', error);
+    res.status(500).json({ error: 'Failed to get persona' });
+  }
+});
+
+// Create a custom persona
+router.post('/', validatePersona, async (req, res) => {
+  try {
+    const persona = await personaManager.create(req.body);
+
+    res.status(201).json({
+      message: 'Persona created',
+      persona
+    });
+
+  } catch (error) {
+    logger.error('Error creating persona:', error);
+    res.status(500).json({ error: 'Failed to create persona' });
+  }
+});
+
+// Update a custom persona
+router.put('/:personaId', validatePersonaUpdate, async (req, res) => {
+  try {
+    const { personaId } = req.params;
+
+    if (personaManager.isBuiltIn(personaId)) {
+      return res.status(403).json({ error: 'Built-in personas cannot be modified' });
+    }
+
+    const persona = await personaManager.update(personaId, req.body);
+    if (!persona) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+
+    res.json({
+      message: 'Persona updated',
+      persona
+    });
+
+  } catch (error) {
+    logger.error('Error updating persona:', error);
+    res.status(500).json({ error: 'Failed to update persona' });
+  }
+});
+
+// Delete a custom persona
+router.delete('/:personaId', async (req, res) => {
+  try {
+    const { personaId } = req.params;
+
+    if (personaManager.isBuiltIn(personaId)) {
+      return res.status(403).json({ error: 'Built-in personas cannot be deleted' });
+    }
+
+    if (!(await personaManager.delete(personaId))) {
+      return res.status(404).json({ error: 'Persona not found' });
+    }
+
+    res.json({ message: 'Persona deleted' });
+
+  } catch (error) {
+    logger.error('Error deleting persona:', error);
+    res.status(500).json({ error: 'Failed to delete persona' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// backend/src/routes/shared.js
+// Public, read-only access to conversations through share tokens
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const router = express.Router();
+const shareService = require('../services/shareService');
+const logger = require('../utils/logger');
+
+const UPLOAD_DIR = path.resolve(__dirname, '../../uploads');
+
+// Unknown, revoked and expired tokens all look the same to the caller
+const resolveShare = (req, res, next) => {
+  const share = shareService.resolveToken(req.params.token);
+
+  if (!share) {
+    return res.status(404).json({ error: 'Shared conversation not found' });
+  }
+
+  req.share = share;
+  next();
+};
+
+// Get the shared conversation history
+router.get('/:token', resolveShare, (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json(shareService.getSharedConversation(req.share));
+
+  } catch (error) {
+    logger.error('Error getting shared conversation:', error);
+    res.status(500).json({ error: 'Failed to get shared conversation' });
+  }
+});
+
+// Download a file attached to the shared conversation
+router.get('/:token/files/:fileId', resolveShare, async (req, res) => {
+  try {
+    const file = shareService.getSharedFile(req.share, req.params.fileId);
+    if (!file || !file.path) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Never serve anything outside the uploads directory
+    const filePath = path.resolve(file.path);
+    if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+      logger.warn(`Refusing to serve shared file outside uploads: ${filePath}`);
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const exists = await fs.access(filePath).then(() => true).catch(() => false);
+    if (!exists) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.download(filePath, file.name);
+
+  } catch (error) {
+    logger.error('Error downloading shared file:', error);
+    res.status(500).json({ error: 'Failed to download shared file' });
+  }
+});
+
+module.exports = router;
@@ -12,6 +12,9 @@ const chatRoutes = require('./routes/chat');
 const modelsRoutes = require('./routes/models');
 const healthRoutes = require('./routes/health');
 const mcpRoutes = require('./routes/mcp');
+const personasRoutes = require('./routes/personas');
+const sharedRoutes = require('./routes/shared');
+const jobsRoutes = require('./routes/jobs');
 
 // Import middleware
 const corsMiddleware = require('./middleware/cors');
@@ -21,6 +24,15 @@ const logger = require('./utils/logger');
 // Import services
 const mcpBridge = require('./services/mcpBridge');
 const modelManager = require('./services/modelManager');
+const conversationStore = require('./services/conversationStore');
+const personaManager = require('./services/personaManager');
+const shareService = require('./services/shareService');
+const feedbackService = require('./services/feedbackService');
+const jobService = require('./services/jobService');
+const fileRegistry = require('./services/fileRegistry');
+const retentionService = require('./services/retentionService');
+const uploadSessionService = require('./services/uploadSessionService');
+const { registerSocketHandlers } = require('./socketHandlers');
 
 const app = express();
 const server = http.createServer(app);
@@ -52,20 +64,12 @@ app.use('/api/chat', chatRoutes);
 app.use('/api/models', modelsRoutes);
 app.use('/api/health', healthRoutes);
 app.use('/api/mcp', mcpRoutes);
+app.use('/api/personas', personasRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/jobs', jobsRoutes);
 
 // Socket.IO connection handling
-io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
-  
-  socket.on('disconnect', () => {
-    logger.info(`Client disconnected: ${socket.id}`);
-  });
-  
-  socket.on('join_conversation', (conversationId) => {
-    socket.join(conversationId);
-    logger.info(`Socket ${socket.id} joined conversation ${conversationId}`);
-  });
-});
+registerSocketHandlers(io);
 
 // Error handling middleware
 app.use(globalErrorHandler);
@@ -73,6 +77,31 @@ app.use(globalErrorHandler);
 // Initialize services
 async function initializeServices() {
   try {
+    // Load persisted conversations before anything can write to them
+    await conversationStore.initialize();
+    logger.info('Conversation store initialized');
+
+    await personaManager.initialize();
+    logger.info('Persona manager initialized');
+
+    await shareService.initialize();
+    logger.info('Share service initialized');
+
+    await feedbackService.initialize();
+    logger.info('Feedback service initialized');
+
+    await fileRegistry.initialize();
+    logger.info('File registry initialized');
+
+    // Expire uploads on a schedule once files and conversations are loaded
+    await retentionService.initialize(io);
+    retentionService.start();
+    logger.info('Retention service initialized');
+
+    // Drops resumable uploads that were abandoned while the server was down
+    await uploadSessionService.initialize();
+    logger.info('Upload session service initialized');
+
     // Initialize model manager
     await modelManager.initialize();
     logger.info('Model Manager initialized');
@@ -80,6 +109,10 @@ async function initializeServices() {
     // Initialize MCP bridge with default model
     await mcpBridge.initialize();
     logger.info('MCP Bridge initialized');
+
+    // Resume queued chat jobs once the bridge can process them
+    await jobService.initialize(io);
+    logger.info('Job service initialized');
     
     logger.info('All services initialized successfully');
   } catch (error) {
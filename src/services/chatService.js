@@ -0,0 +1,542 @@
+// backend/src/services/chatService.js
+const mcpBridge = require('./mcpBridge');
+const conversationStore = require('./conversationStore');
+const modelManager = require('./modelManager');
+const personaManager = require('./personaManager');
+const titleGenerator = require('./titleGenerator');
+const commandService = require('./commandService');
+const fileRegistry = require('./fileRegistry');
+const logger = require('../utils/logger');
+const { generateId } = require('../utils/helpers');
+const { AppError, isCancellationError } = require('../utils/errorHandler');
+
+const MAX_CONVERSATION_PAGE = 200;
+
+// Tags and folders are matched without regard to case
+const sameLabel = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+class ChatService {
+  constructor() {
+    // requestId -> { conversationId, messageId, controller, startedAt }
+    this.activeRequests = new Map();
+  }
+
+  // Check per-message model and persona overrides; returns an error message or null
+  getSelectionError({ modelId, personaId }) {
+    if (modelId && !modelManager.isModelAvailable(modelId)) {
+      return `Model ${modelId} not available`;
+    }
+
+    if (personaId && !personaManager.get(personaId)) {
+      return `Persona ${personaId} not found`;
+    }
+
+    return null;
+  }
+
+  // Title new conversations in the background once their first exchange is complete
+  scheduleTitle(io, conversationId, modelId) {
+    mcpBridge.resolveModel(modelId)
+      .then(model => titleGenerator.generateIfMissing(conversationId, model))
+      .then(conversation => {
+        if (conversation && io) {
+          io.to(conversationId).emit('conversation_updated', this.describeConversation(conversation));
+        }
+      })
+      .catch(error => {
+        logger.error(`Failed to title conversation ${conversationId}:`, error);
+      });
+  }
+
+  // Conversation metadata shown in lists and sent with conversation_updated
+  describeConversation(conversation) {
+    return {
+      conversationId: conversation.id,
+      title: conversation.title,
+      titleSource: conversation.titleSource || null,
+      tags: conversation.tags,
+      folder: conversation.folder
+    };
+  }
+
+  // Conversations with recent activity first. All given tags must be present;
+  // unfiled selects conversations outside any folder.
+  listConversations({ q = null, tags = [], folder = null, unfiled = false, modelId = null, limit, offset } = {}) {
+    const pageLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_CONVERSATION_PAGE);
+    const pageOffset = Math.max(parseInt(offset, 10) || 0, 0);
+    const query = q ? q.trim().toLowerCase() : '';
+
+    const conversations = conversationStore.list()
+      .filter(conversation => {
+        if (query && !(conversation.title || '').toLowerCase().includes(query) && !conversation.id.toLowerCase().includes(query)) {
+          return false;
+        }
+        if (!tags.every(tag => conversation.tags.some(existing => sameLabel(existing, tag)))) {
+          return false;
+        }
+        if (unfiled && conversation.folder) {
+          return false;
+        }
+        if (folder && !(conversation.folder && sameLabel(conversation.folder, folder))) {
+          return false;
+        }
+        return !modelId || (conversation.modelId || mcpBridge.getCurrentModel()) === modelId;
+      })
+      .map(conversation => {
+        const messages = conversationStore.getMessages(conversation.id);
+        return {
+          ...this.describeConversation(conversation),
+          modelId: conversation.modelId || mcpBridge.getCurrentModel(),
+          personaId: conversation.personaId || null,
+          messageCount: messages.length,
+          lastMessage: messages[messages.length - 1],
+          createdAt: messages[0]?.timestamp || conversation.createdAt,
+          updatedAt: messages[messages.length - 1]?.timestamp || conversation.updatedAt
+        };
+      })
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+
+    return {
+      conversations: conversations.slice(pageOffset, pageOffset + pageLimit),
+      total: conversations.length,
+      limit: pageLimit,
+      offset: pageOffset
+    };
+  }
+
+  // Tags and folders in use, with how many conversations carry each
+  getConversationLabels() {
+    const tags = new Map();
+    const folders = new Map();
+    const count = (map, label) => {
+      const key = label.toLowerCase();
+      const entry = map.get(key) || { name: label, count: 0 };
+      entry.count++;
+      map.set(key, entry);
+    };
+
+    conversationStore.list().forEach(conversation => {
+      conversation.tags.forEach(tag => count(tags, tag));
+      if (conversation.folder) {
+        count(folders, conversation.folder);
+      }
+    });
+
+    const sorted = (map) => Array.from(map.values()).sort((a, b) => a.name.localeCompare(b.name));
+    return { tags: sorted(tags), folders: sorted(folders) };
+  }
+
+  // Trimmed and de-duplicated, keeping the first spelling of each tag
+  normalizeTags(tags) {
+    return tags
+      .map(tag => tag.trim())
+      .filter((tag, index, all) => tag && all.findIndex(other => sameLabel(other, tag)) === index);
+  }
+
+  // Commands are not part of the conversation: the reply is a system message that is not stored
+  async runCommand(io, conversationId, command) {
+    const result = await commandService.run(io, conversationId, command);
+
+    return {
+      command: { name: result.name, ...result.data },
+      message: {
+        id: generateId('msg'),
+        text: result.text,
+        sender: 'system',
+        timestamp: new Date().toISOString(),
+        command: result.name
+      },
+      requestId: null
+    };
+  }
+
+  // Invalid mentions stop the turn so the user can correct them
+  parseMentions(text) {
+    const mentions = commandService.parseMentions(text);
+    if (mentions.errors.length > 0) {
+      throw new AppError(mentions.errors.join('; '), 400);
+    }
+
+    return mentions;
+  }
+
+  // Rejects what processMessage would reject before storing anything, for callers that
+  // answer before the turn runs
+  checkMessage(message) {
+    const command = commandService.parseCommand(message);
+    if (command) {
+      commandService.checkCommand(command);
+    } else {
+      this.parseMentions(message);
+    }
+  }
+
+  // Files for one turn: the conversation's attached files (unless excluded or
+  // switched off for this message) plus any files sent with the message itself
+  resolveFiles(conversationId, { files = [], excludeFileIds = [], useAttachedFiles = true } = {}) {
+    const excluded = new Set((excludeFileIds || []).map(String));
+    const resolved = new Map();
+
+    if (useAttachedFiles !== false) {
+      conversationStore.getAttachedFiles(conversationId)
+        .filter(file => !excluded.has(String(file.id)))
+        .forEach(({ attachedAt, ...file }) => resolved.set(String(file.id), file));
+    }
+
+    (files || []).forEach(file => resolved.set(String(file.id), file));
+
+    // File references come from the client; tool routing uses the type detected at upload
+    return Array.from(resolved.values()).map(file => {
+      const record = fileRegistry.get(String(file.id));
+      return record && record.type ? { ...file, type: record.type } : file;
+    });
+  }
+
+  // Runs one chat turn through the MCP Bridge, recording both messages and
+  // mirroring streamed output to the conversation's Socket.IO room.
+  // parentId branches the new user message off an earlier point in the tree;
+  // userMessageId answers an existing user message again instead of adding one;
+  // with retryMessageId that answer re-runs only the failed tools of the given AI message.
+  // attachFiles keeps the message's files on the conversation for later turns.
+  async processMessage(io, params, handlers = {}) {
+    // Reserve the request ID before anything is stored; an ID that is still running is refused
+    // so a second request cannot take over the first one's cancellation
+    const requestId = params.requestId || generateId('req');
+    if (this.activeRequests.has(requestId)) {
+      throw new AppError(`Request ${requestId} is already in progress`, 409);
+    }
+
+    const request = {
+      conversationId: params.conversationId,
+      messageId: null,
+      controller: new AbortController(),
+      startedAt: new Date().toISOString()
+    };
+    this.activeRequests.set(requestId, request);
+
+    try {
+      return await this.runTurn(io, { ...params, requestId }, request, handlers);
+    } finally {
+      this.activeRequests.delete(requestId);
+    }
+  }
+
+  async runTurn(io, {
+    message,
+    conversationId,
+    files,
+    excludeFileIds,
+    useAttachedFiles,
+    attachFiles = false,
+    requestId,
+    modelId,
+    personaId,
+    parentId,
+    userMessageId,
+    retryMessageId
+  }, request, handlers) {
+    const { onToken, onProgress, onUserMessage } = handlers;
+
+    const emitToRoom = (event, payload) => {
+      if (io) {
+        io.to(conversationId).emit(event, payload);
+      }
+    };
+
+    logger.info(`Processing chat message for conversation: ${conversationId}`);
+
+    // Slash commands are answered directly; tool mentions are checked before anything is stored
+    let mentions = null;
+    if (!userMessageId) {
+      const command = commandService.parseCommand(message);
+      if (command) {
+        return await this.runCommand(io, conversationId, command);
+      }
+      mentions = this.parseMentions(message);
+    }
+
+    // Get or create conversation; new conversations start on the current default model
+    const conversation = await conversationStore.getOrCreate(conversationId, {
+      modelId: mcpBridge.getCurrentModel()
+    });
+
+    // A per-message model overrides the conversation's own selection
+    const resolvedModelId = modelId || conversation.modelId || null;
+    const resolvedPersonaId = personaId || conversation.personaId || null;
+
+    if (attachFiles && files && files.length > 0) {
+      await conversationStore.attachFiles(conversationId, files);
+    }
+
+    let userMessage;
+    let aiMessageId;
+    let turnFiles;
+
+    if (userMessageId) {
+      userMessage = conversationStore.getMessage(conversationId, userMessageId);
+      if (!userMessage || userMessage.sender !== 'user') {
+        throw new Error(`User message ${userMessageId} not found`);
+      }
+
+      // Answer from the user message itself so the replaced reply stays out of the context
+      await conversationStore.setActiveMessage(conversationId, userMessage.id, { descend: false });
+      aiMessageId = generateId('msg');
+
+      // Without explicit files, regenerate against the files the original turn used
+      turnFiles = files || excludeFileIds || useAttachedFiles !== undefined
+        ? this.resolveFiles(conversationId, { files, excludeFileIds, useAttachedFiles })
+        : userMessage.files || [];
+    } else {
+      turnFiles = this.resolveFiles(conversationId, { files, excludeFileIds, useAttachedFiles });
+
+      // Add user message to conversation
+      userMessage = {
+        id: generateId('msg'),
+        text: message,
+        sender: 'user',
+        timestamp: new Date().toISOString()
+      };
+
+      // Keep file metadata with the message so the history shows what was analyzed
+      if (turnFiles.length > 0) {
+        userMessage.files = turnFiles.map(({ id, name, size, type, path, hash, uploadedAt }) => ({
+          id, name, size, type, path, hash, uploadedAt
+        }));
+      }
+
+      if (parentId !== undefined) {
+        userMessage.parentId = parentId;
+      }
+
+      // Note when the user picked one of the previous answer's suggested questions
+      const previousMessage = conversationStore.getMessage(
+        conversationId,
+        parentId !== undefined ? parentId : conversation.activeMessageId
+      );
+      if (previousMessage && (previousMessage.suggestions || []).includes(message.trim())) {
+        userMessage.fromSuggestion = true;
+      }
+
+      await conversationStore.addMessage(conversationId, userMessage);
+
+      // Reserve the AI message ID up front so streamed deltas can be matched to the final message.
+      // Timestamps collide when turns run concurrently, and IDs are the keys of the message tree.
+      aiMessageId = generateId('msg');
+    }
+
+    const messageText = userMessage.text;
+    const { text: mentionText, tools: forcedTools } = mentions || this.parseMentions(messageText);
+
+    if (onUserMessage) {
+      onUserMessage(userMessage, aiMessageId);
+    }
+
+    // Cancelling the request now also reports the message it will answer with
+    const { controller } = request;
+    request.messageId = aiMessageId;
+
+    // Progress events are kept on the AI message so the history shows what happened
+    const progress = [];
+    const recordProgress = (event) => {
+      progress.push(event);
+
+      emitToRoom('message_progress', {
+        conversationId,
+        messageId: aiMessageId,
+        ...event
+      });
+
+      if (onProgress) {
+        onProgress(event, aiMessageId);
+      }
+    };
+
+    recordProgress({
+      type: 'request_started',
+      requestId,
+      timestamp: new Date().toISOString()
+    });
+
+    try {
+      const bridgeOptions = {
+        messageId: aiMessageId,
+        modelId: resolvedModelId,
+        personaId: resolvedPersonaId,
+        forcedTools,
+        signal: controller.signal,
+        onToken: (delta) => {
+          emitToRoom('message_delta', {
+            conversationId,
+            messageId: aiMessageId,
+            delta
+          });
+
+          if (onToken) {
+            onToken(delta, aiMessageId);
+          }
+        },
+        onProgress: recordProgress
+      };
+
+      // Process request through MCP Bridge, streaming synthesized text to the conversation room
+      const result = retryMessageId
+        ? await mcpBridge.retryFailedTools(
+          conversationId,
+          messageText,
+          conversationStore.getMessage(conversationId, retryMessageId),
+          turnFiles,
+          bridgeOptions
+        )
+        : await mcpBridge.processUserRequest(
+          conversationId,
+          forcedTools.length > 0 ? mentionText || messageText : messageText,
+          turnFiles,
+          bridgeOptions
+        );
+
+      // Create AI response message
+      const aiMessage = {
+        id: aiMessageId,
+        parentId: userMessage.id,
+        requestId,
+        text: result.response,
+        sender: 'ai',
+        timestamp: new Date().toISOString(),
+        modelId: result.modelId,
+        personaId: result.personaId || null,
+        toolsUsed: result.toolsUsed,
+        toolResults: result.toolResults || [],
+        suggestions: result.suggestions || [],
+        confidence: result.confidence,
+        progress
+      };
+
+      if (retryMessageId) {
+        aiMessage.retryOf = retryMessageId;
+        aiMessage.retriedTools = result.retriedTools;
+      }
+
+      await conversationStore.addMessage(conversationId, aiMessage);
+
+      // Emit to WebSocket clients
+      emitToRoom('message_complete', {
+        conversationId,
+        message: aiMessage
+      });
+      emitToRoom('new_message', {
+        conversationId,
+        message: aiMessage
+      });
+
+      this.scheduleTitle(io, conversationId, result.modelId);
+
+      return { userMessage, message: aiMessage, result, requestId };
+
+    } catch (mcpError) {
+      const cancelled = isCancellationError(mcpError) || controller.signal.aborted;
+
+      if (cancelled) {
+        logger.info(`Chat request ${requestId} cancelled`);
+      } else {
+        logger.error('MCP Bridge error:', mcpError);
+      }
+
+      // Create error response
+      const errorMessage = {
+        id: aiMessageId,
+        parentId: userMessage.id,
+        requestId,
+        text: cancelled
+          ? 'This request was cancelled.'
+          : 'I apologize, but I encountered an error processing your request. Please try again.',
+        sender: 'ai',
+        timestamp: new Date().toISOString(),
+        modelId: resolvedModelId,
+        personaId: resolvedPersonaId,
+        progress
+      };
+
+      if (cancelled) {
+        errorMessage.cancelled = true;
+      } else {
+        errorMessage.error = true;
+      }
+
+      await conversationStore.addMessage(conversationId, errorMessage);
+
+      // Let streaming clients know the pending message is finished
+      emitToRoom('message_complete', {
+        conversationId,
+        message: errorMessage
+      });
+
+      return {
+        userMessage,
+        message: errorMessage,
+        requestId,
+        cancelled,
+        failed: !cancelled
+      };
+    }
+  }
+
+  // The reply to a chat turn, shared by the REST and socket endpoints
+  describeOutcome(outcome) {
+    if (outcome.command) {
+      return { message: outcome.message, command: outcome.command };
+    }
+
+    if (outcome.cancelled) {
+      return { message: outcome.message, requestId: outcome.requestId, cancelled: true };
+    }
+
+    if (outcome.failed) {
+      return { message: outcome.message, requestId: outcome.requestId, error: 'Processing failed' };
+    }
+
+    return {
+      message: outcome.message,
+      requestId: outcome.requestId,
+      modelId: outcome.result.modelId,
+      toolsUsed: outcome.result.toolsUsed,
+      confidence: outcome.result.confidence,
+      suggestions: outcome.message.suggestions
+    };
+  }
+
+  cancelRequest(requestId) {
+    const request = this.activeRequests.get(requestId);
+    if (!request) {
+      return null;
+    }
+
+    request.controller.abort();
+    logger.info(`Cancelling chat request ${requestId} for conversation ${request.conversationId}`);
+    return { requestId, conversationId: request.conversationId, messageId: request.messageId };
+  }
+
+  cancelConversation(conversationId) {
+    const cancelled = [];
+
+    for (const [requestId, request] of this.activeRequests) {
+      if (request.conversationId === conversationId) {
+        cancelled.push(this.cancelRequest(requestId));
+      }
+    }
+
+    return cancelled;
+  }
+
+  getActiveRequests(conversationId = null) {
+    return Array.from(this.activeRequests.entries())
+      .filter(([, request]) => !conversationId || request.conversationId === conversationId)
+      .map(([requestId, request]) => ({
+        requestId,
+        conversationId: request.conversationId,
+        messageId: request.messageId,
+        startedAt: request.startedAt
+      }));
+  }
+}
+
+module.exports = new ChatService();
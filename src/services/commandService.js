@@ -0,0 +1,229 @@
+// backend/src/services/commandService.js
+const conversationStore = require('./conversationStore');
+const modelManager = require('./modelManager');
+const toolManager = require('./toolManager');
+const exportService = require('./exportService');
+const shareService = require('./shareService');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+const COMMANDS = {
+  model: { usage: '/model <modelId>', description: 'Use another model for this conversation' },
+  tools: { usage: '/tools', description: 'List the tools that can be mentioned with @tool' },
+  clear: { usage: '/clear', description: 'Clear the conversation history' },
+  export: { usage: '/export [md|html|json|pdf]', description: 'Export the conversation' },
+  help: { usage: '/help', description: 'List the available commands' }
+};
+
+// "@tool_id key=value key2=\"quoted value\"" anywhere a word may start
+const MENTION_PATTERN = /(^|\s)@([A-Za-z][\w-]*)((?:[ \t]+[A-Za-z_]\w*=(?:"[^"]*"|\S+))*)/g;
+const PARAMETER_PATTERN = /([A-Za-z_]\w*)=("[^"]*"|\S+)/g;
+
+const TRUE_VALUES = ['true', 'yes', 'on', '1'];
+const FALSE_VALUES = ['false', 'no', 'off', '0'];
+
+class CommandService {
+  // A message starting with "/" is a command: its name plus whitespace-separated arguments
+  parseCommand(text) {
+    const match = (text || '').trim().match(/^\/([A-Za-z][\w-]*)(?:\s+([\s\S]*))?$/);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      name: match[1].toLowerCase(),
+      args: match[2] ? match[2].trim().split(/\s+/) : []
+    };
+  }
+
+  // Tool mentions force tools and their parameters, bypassing the model's tool selection.
+  // Returns the message without the mentions; invalid mentions are reported, not ignored.
+  // An unknown @name without parameters is ordinary text (a handle, a team name) and is kept.
+  parseMentions(text) {
+    const tools = [];
+    const errors = [];
+
+    const remaining = (text || '').replace(MENTION_PATTERN, (mention, prefix, toolId, parameterText) => {
+      if (!toolManager.getToolConfig(toolId) && !parameterText.trim()) {
+        return mention;
+      }
+
+      const { parameters, errors: parameterErrors } = this.parseParameters(toolId, parameterText);
+      const toolError = this.getToolError(toolId);
+
+      if (toolError) {
+        errors.push(toolError);
+      } else if (parameterErrors.length > 0) {
+        errors.push(...parameterErrors);
+      } else if (!tools.some(tool => tool.toolId === toolId)) {
+        tools.push({ toolId, parameters });
+      }
+
+      return prefix;
+    }).replace(/\s+/g, ' ').trim();
+
+    return { text: remaining, tools, errors };
+  }
+
+  getToolError(toolId) {
+    const tool = toolManager.getToolConfig(toolId);
+    if (!tool) {
+      return `Unknown tool @${toolId}. Send /tools to list the available tools`;
+    }
+
+    if (!toolManager.isToolAvailable(tool)) {
+      return `Tool @${toolId} is not available right now`;
+    }
+
+    return null;
+  }
+
+  // Values are checked against the parameter definitions in tools.json
+  parseParameters(toolId, parameterText) {
+    const tool = toolManager.getToolConfig(toolId);
+    const definitions = (tool && tool.parameters) || {};
+    const parameters = {};
+    const errors = [];
+
+    for (const [, name, rawValue] of (parameterText || '').matchAll(PARAMETER_PATTERN)) {
+      const definition = definitions[name];
+      if (!definition) {
+        const allowed = Object.keys(definitions);
+        errors.push(`Unknown parameter ${name} for @${toolId}${allowed.length > 0 ? ` (expected ${allowed.join(', ')})` : ''}`);
+        continue;
+      }
+
+      const value = rawValue.startsWith('"') ? rawValue.slice(1, -1) : rawValue;
+      const result = this.coerceParameter(value, definition);
+      if (result.error) {
+        errors.push(`Invalid value for ${name} on @${toolId}: ${result.error}`);
+      } else {
+        parameters[name] = result.value;
+      }
+    }
+
+    return { parameters, errors };
+  }
+
+  coerceParameter(value, definition) {
+    switch (definition.type) {
+      case 'boolean': {
+        const normalized = value.toLowerCase();
+        if (TRUE_VALUES.includes(normalized)) return { value: true };
+        if (FALSE_VALUES.includes(normalized)) return { value: false };
+        return { error: 'expected true or false' };
+      }
+
+      case 'number': {
+        const number = Number(value);
+        if (value === '' || !Number.isFinite(number)) {
+          return { error: 'expected a number' };
+        }
+        if (definition.min !== undefined && number < definition.min) {
+          return { error: `must be at least ${definition.min}` };
+        }
+        if (definition.max !== undefined && number > definition.max) {
+          return { error: `must be at most ${definition.max}` };
+        }
+        return { value: number };
+      }
+
+      default:
+        return { value };
+    }
+  }
+
+  // Throws a 400 for unknown commands or bad arguments. Needs no conversation, so queued
+  // messages are checked before they are accepted.
+  checkCommand({ name, args }) {
+    if (!COMMANDS[name]) {
+      throw new AppError(`Unknown command /${name}. ${this.describeCommands()}`, 400);
+    }
+
+    if (name === 'model') {
+      const [modelId] = args;
+      if (!modelId) {
+        throw new AppError(`Usage: ${COMMANDS.model.usage}`, 400);
+      }
+      if (!modelManager.isModelAvailable(modelId)) {
+        throw new AppError(`Model ${modelId} not available`, 400);
+      }
+    }
+
+    if (name === 'export' && !exportService.resolveFormat(args[0] || 'markdown')) {
+      throw new AppError(`Unsupported export format: ${args[0]}. Supported formats: ${exportService.getSupportedFormats().join(', ')}`, 400);
+    }
+  }
+
+  // Invalid commands fail the same way on every channel
+  async run(io, conversationId, { name, args }) {
+    this.checkCommand({ name, args });
+
+    const emitToRoom = (event, payload) => {
+      if (io) {
+        io.to(conversationId).emit(event, payload);
+      }
+    };
+
+    logger.info(`Running command /${name} for conversation ${conversationId}`);
+
+    switch (name) {
+      case 'model': {
+        const [modelId] = args;
+        await conversationStore.update(conversationId, { modelId });
+        emitToRoom('conversation_model_changed', { conversationId, modelId });
+        return { name, text: `This conversation now uses ${modelId}.`, data: { modelId } };
+      }
+
+      case 'tools': {
+        const tools = toolManager.getAvailableTools().map(tool => ({
+          id: tool.id,
+          name: tool.name,
+          description: tool.description,
+          available: tool.available,
+          parameters: Object.entries(toolManager.getToolConfig(tool.id).parameters || {})
+            .map(([parameter, definition]) => ({ name: parameter, type: definition.type, default: definition.default }))
+        }));
+
+        const lines = tools.map(tool => {
+          const parameters = tool.parameters.map(p => `${p.name}=<${p.type}>`).join(' ');
+          return `- @${tool.id}${parameters ? ` ${parameters}` : ''}: ${tool.description}${tool.available ? '' : ' (unavailable)'}`;
+        });
+        return { name, text: `Available tools:\n${lines.join('\n')}`, data: { tools } };
+      }
+
+      case 'clear': {
+        // Same as clearing the history through DELETE /api/chat/history/:conversationId
+        if (await conversationStore.delete(conversationId)) {
+          await shareService.removeConversationShares(conversationId);
+        }
+
+        emitToRoom('conversation_cleared', { conversationId });
+        return { name, text: 'Conversation history cleared.', data: {} };
+      }
+
+      case 'export': {
+        const format = exportService.resolveFormat(args[0] || 'markdown');
+        if (!conversationStore.has(conversationId)) {
+          throw new AppError('Conversation not found', 404);
+        }
+
+        const url = `/api/chat/history/${encodeURIComponent(conversationId)}/export?format=${format}`;
+        return { name, text: `Download the ${format} export: ${url}`, data: { format, url } };
+      }
+
+      case 'help':
+        return { name, text: this.describeCommands(), data: { commands: this.getCommands() } };
+    }
+  }
+
+  getCommands() {
+    return Object.entries(COMMANDS).map(([name, command]) => ({ name, ...command }));
+  }
+
+  describeCommands() {
+    return `Available commands: ${Object.values(COMMANDS).map(command => command.usage).join(', ')}`;
+  }
+}
+
+module.exports = new CommandService();
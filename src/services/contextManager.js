@@ -0,0 +1,300 @@
+// backend/src/services/contextManager.js
+const conversationStore = require('./conversationStore');
+const logger = require('../utils/logger');
+const { isCancellationError } = require('../utils/errorHandler');
+
+const DEFAULT_SETTINGS = {
+  default_context_window: 8192,
+  // Share of the model's input window spent on conversation context
+  context_share: 0.25,
+  // Share of the context budget reserved for the rolling summary
+  summary_share: 0.3,
+  max_stored_summaries: 10,
+  max_tool_result_chars: 2000,
+  // Interactions kept per conversation; older ones only live on in the summaries
+  max_interactions: 200
+};
+
+// Rough token estimate; good enough for budgeting across tokenizers
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const truncateToTokens = (text, maxTokens, { keepEnd = false } = {}) => {
+  const maxChars = Math.max(maxTokens, 0) * 4;
+  if (text.length <= maxChars) {
+    return text;
+  }
+
+  return keepEnd ? `…${text.substring(text.length - maxChars)}` : `${text.substring(0, maxChars)}…`;
+};
+
+const cut = (text, maxChars) => (text.length > maxChars ? `${text.substring(0, maxChars)}…` : text);
+
+// Plain list of questions, used until a summary covers the turns
+const digest = (turns) => turns.map(turn => `- ${turn.userMessage}`).join('\n');
+
+const interactionKey = (interaction, index) =>
+  (interaction.messageId !== undefined && interaction.messageId !== null
+    ? String(interaction.messageId)
+    : `index:${index}`);
+
+class ContextManager {
+  constructor() {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.prompt = null;
+    // conversationId -> in-flight compaction promise
+    this.pendingCompactions = new Map();
+  }
+
+  initialize(config = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...(config.context_management || {}) };
+    this.prompt = config.prompts ? config.prompts.context_summary : null;
+  }
+
+  // Token budgets derived from the model's context window and its reserved output
+  getBudget(model) {
+    const modelConfig = (model && model.config && model.config.config) || {};
+    const contextWindow = modelConfig.context_window || this.settings.default_context_window;
+    const outputTokens = modelConfig.max_tokens || 4096;
+    const inputWindow = Math.max(contextWindow - outputTokens, 1024);
+
+    const total = Math.floor(inputWindow * this.settings.context_share);
+    const summary = Math.floor(total * this.settings.summary_share);
+
+    return {
+      contextWindow,
+      total,
+      summary,
+      recent: total - summary,
+      // A summarization call may use most of the input window
+      summarization: Math.floor(inputWindow * 0.6)
+    };
+  }
+
+  // The full tool results are kept on the AI message; the context only needs what is rendered
+  trimInteraction(interaction) {
+    const maxChars = this.settings.max_tool_result_chars;
+
+    return {
+      ...interaction,
+      toolResults: (interaction.toolResults || []).map(r => (r.success
+        ? { toolId: r.toolId, success: true, output: cut(JSON.stringify(r.result) || '', maxChars) }
+        : { toolId: r.toolId, success: false, error: r.error }))
+    };
+  }
+
+  // Record a finished turn, keeping at most max_interactions per conversation
+  async recordInteraction(conversationId, interaction) {
+    return await conversationStore.appendContext(
+      conversationId,
+      this.trimInteraction(interaction),
+      this.settings.max_interactions
+    );
+  }
+
+  // Tool output per result, cut to maxChars
+  formatToolResults(toolResults, maxChars) {
+    return (toolResults || []).map(r => {
+      if (!r.success) {
+        return `- ${r.toolId} failed: ${r.error}`;
+      }
+
+      return `- ${r.toolId}: ${cut(r.output || '', maxChars)}`;
+    });
+  }
+
+  // Turns carry abbreviated tool output, so findings survive compaction and follow-up questions
+  // can refer to them; in recent turns each result gets at most a quarter of the recent budget
+  formatTurn(interaction, budget = null) {
+    const maxChars = budget
+      ? Math.min(this.settings.max_tool_result_chars, budget.recent)
+      : this.settings.max_tool_result_chars;
+    const toolLines = this.formatToolResults(interaction.toolResults, maxChars);
+
+    return [
+      `User: ${interaction.userMessage}`,
+      ...(toolLines.length > 0 ? ['Tool output:', ...toolLines] : []),
+      `Assistant: ${interaction.response || ''}`
+    ].join('\n');
+  }
+
+  // Split the active branch into older turns (to summarize) and recent turns kept verbatim
+  splitInteractions(interactions, budget) {
+    let used = 0;
+    let start = interactions.length;
+
+    while (start > 0) {
+      const cost = estimateTokens(this.formatTurn(interactions[start - 1], budget));
+      // Always keep the latest turn, even if it has to be truncated when rendered
+      if (start < interactions.length && used + cost > budget.recent) {
+        break;
+      }
+      used += cost;
+      start--;
+    }
+
+    return {
+      older: interactions.slice(0, start),
+      recent: interactions.slice(start)
+    };
+  }
+
+  // Context for the next turn: a summary of older turns plus the recent turns verbatim.
+  // Never waits for the model: turns the stored summaries do not cover yet are listed
+  // plainly while a background compaction folds them in.
+  getContext(conversationId, model) {
+    const budget = this.getBudget(model);
+    const { older, recent } = this.splitInteractions(conversationStore.getContext(conversationId), budget);
+    const { existing, pendingTurns } = this.findSummary(conversationId, older);
+
+    if (pendingTurns.length === 0) {
+      return this.render({ summary: existing ? existing.text : null, recent }, budget);
+    }
+
+    this.scheduleCompaction(conversationId, model);
+    const summary = [existing ? existing.text : '', digest(pendingTurns)].filter(Boolean).join('\n');
+    return this.render({ summary, recent }, budget);
+  }
+
+  // The stored summary covering the most older turns, and the older turns after it.
+  // Summaries are keyed by the last turn they cover, so a summary stays valid on any
+  // branch that passes through that turn.
+  findSummary(conversationId, older) {
+    const conversation = conversationStore.get(conversationId);
+    const summaries = (conversation && conversation.contextSummaries) || [];
+    const keys = older.map(interactionKey);
+
+    for (let i = keys.length - 1; i >= 0; i--) {
+      const existing = summaries.find(summary => summary.throughMessageId === keys[i]);
+      if (existing) {
+        return { existing, pendingTurns: older.slice(i + 1), summaries, keys };
+      }
+    }
+
+    return { existing: null, pendingTurns: older, summaries, keys };
+  }
+
+  // Start compaction in the background once a turn has been recorded
+  scheduleCompaction(conversationId, model) {
+    if (this.pendingCompactions.has(conversationId)) {
+      return this.pendingCompactions.get(conversationId);
+    }
+
+    const compaction = this.compact(conversationId, model)
+      .catch(error => {
+        logger.error(`Context compaction failed for conversation ${conversationId}:`, error);
+      })
+      .finally(() => {
+        this.pendingCompactions.delete(conversationId);
+      });
+
+    this.pendingCompactions.set(conversationId, compaction);
+    return compaction;
+  }
+
+  async compact(conversationId, model, options = {}) {
+    const interactions = conversationStore.getContext(conversationId);
+    const budget = this.getBudget(model);
+    const { older, recent } = this.splitInteractions(interactions, budget);
+
+    if (older.length === 0) {
+      return { summary: null, recent, summarizedTurns: 0 };
+    }
+
+    const { existing, pendingTurns, summaries, keys } = this.findSummary(conversationId, older);
+    if (pendingTurns.length === 0) {
+      return { summary: existing.text, recent, summarizedTurns: older.length };
+    }
+
+    let summaryText = existing ? existing.text : '';
+
+    try {
+      summaryText = await this.summarize(summaryText, pendingTurns, model, budget, options);
+    } catch (error) {
+      if (isCancellationError(error)) {
+        throw error;
+      }
+
+      // Keep going with a plain digest; it is not stored so the next turn tries again
+      logger.warn(`Falling back to a plain context digest for conversation ${conversationId}: ${error.message}`);
+      return {
+        summary: truncateToTokens([summaryText, digest(pendingTurns)].filter(Boolean).join('\n'), budget.summary),
+        recent,
+        summarizedTurns: older.length
+      };
+    }
+
+    const entry = {
+      throughMessageId: keys[keys.length - 1],
+      turnCount: older.length,
+      modelId: model ? model.id : null,
+      text: summaryText,
+      createdAt: new Date().toISOString()
+    };
+
+    const updated = summaries
+      .filter(summary => summary.throughMessageId !== entry.throughMessageId)
+      .concat(entry)
+      .slice(-this.settings.max_stored_summaries);
+
+    await conversationStore.update(conversationId, { contextSummaries: updated });
+    logger.info(`Compacted ${older.length} turns of conversation ${conversationId} into a summary`);
+
+    return { summary: summaryText, recent, summarizedTurns: older.length };
+  }
+
+  // Fold turns into the rolling summary, in batches that fit the summarization window
+  async summarize(previousSummary, turns, model, budget, options = {}) {
+    if (!model || !this.prompt) {
+      throw new Error('No model or prompt available for context summarization');
+    }
+
+    let summary = previousSummary;
+    let batch = [];
+    let batchTokens = 0;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+
+      const prompt = this.prompt.template
+        .replace('{previous_summary}', summary || 'None')
+        .replace('{turns}', batch.join('\n\n'))
+        .replace('{max_words}', String(Math.max(Math.floor(budget.summary * 0.75), 50)));
+
+      summary = (await model.generateResponse(prompt, this.prompt.system, { signal: options.signal })).trim();
+      batch = [];
+      batchTokens = 0;
+    };
+
+    for (const turn of turns) {
+      const text = truncateToTokens(this.formatTurn(turn), budget.summarization - budget.summary);
+      const tokens = estimateTokens(text);
+
+      if (batchTokens + tokens + budget.summary > budget.summarization) {
+        await flush();
+      }
+
+      batch.push(text);
+      batchTokens += tokens;
+    }
+
+    await flush();
+    return summary;
+  }
+
+  render({ summary, recent }, budget) {
+    const sections = [];
+
+    if (summary) {
+      sections.push(`Summary of earlier conversation:\n${truncateToTokens(summary, budget.summary)}`);
+    }
+
+    if (recent.length > 0) {
+      const turns = recent.map(turn => this.formatTurn(turn, budget)).join('\n\n');
+      sections.push(`Recent turns:\n${truncateToTokens(turns, budget.recent, { keepEnd: true })}`);
+    }
+
+    return sections.length > 0 ? sections.join('\n\n') : 'No previous conversation.';
+  }
+}
+
+module.exports = new ContextManager();
@@ -0,0 +1,296 @@
+// backend/src/services/conversationStore.js
+const path = require('path');
+const logger = require('../utils/logger');
+const FileConversationAdapter = require('./storage/fileConversationAdapter');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+class ConversationStore {
+  constructor() {
+    this.adapter = null;
+    this.conversations = new Map();
+    // Bumped on every write so derived data (e.g. the search index) knows when to refresh
+    this.revisions = new Map();
+    this.isInitialized = false;
+  }
+
+  async initialize(adapter = null) {
+    try {
+      this.adapter = adapter || this.adapter || new FileConversationAdapter(path.join(DATA_DIR, 'conversations'));
+      await this.adapter.initialize();
+
+      // Keep everything in memory for fast reads; the adapter is the source of truth on restart
+      const stored = await this.adapter.loadAll();
+      this.conversations.clear();
+      stored.forEach(conversation => {
+        this.conversations.set(conversation.id, this.normalize(conversation));
+      });
+
+      this.isInitialized = true;
+      logger.info(`Conversation store initialized with ${this.conversations.size} conversations`);
+    } catch (error) {
+      logger.error('Failed to initialize conversation store:', error);
+      throw error;
+    }
+  }
+
+  // Conversations saved before branching existed are a single linear branch
+  normalize(conversation) {
+    conversation.messages = conversation.messages || [];
+    conversation.context = conversation.context || [];
+    conversation.attachedFiles = conversation.attachedFiles || [];
+    conversation.title = conversation.title || null;
+    conversation.tags = conversation.tags || [];
+    conversation.folder = conversation.folder || null;
+    conversation.retention = conversation.retention || null;
+
+    conversation.messages.forEach((message, index) => {
+      if (message.parentId === undefined) {
+        message.parentId = index > 0 ? conversation.messages[index - 1].id : null;
+      }
+    });
+
+    if (conversation.activeMessageId === undefined) {
+      const lastMessage = conversation.messages[conversation.messages.length - 1];
+      conversation.activeMessageId = lastMessage ? lastMessage.id : null;
+    }
+
+    return conversation;
+  }
+
+  has(conversationId) {
+    return this.conversations.has(conversationId);
+  }
+
+  get(conversationId) {
+    return this.conversations.get(conversationId) || null;
+  }
+
+  list() {
+    return Array.from(this.conversations.values());
+  }
+
+  getRevision(conversationId) {
+    return this.revisions.get(conversationId) || 0;
+  }
+
+  async getOrCreate(conversationId, defaults = {}) {
+    if (!this.conversations.has(conversationId)) {
+      const now = new Date().toISOString();
+      const conversation = {
+        id: conversationId,
+        createdAt: now,
+        updatedAt: now,
+        modelId: defaults.modelId || null,
+        activeMessageId: null,
+        title: null,
+        tags: [],
+        folder: null,
+        messages: [],
+        context: [],
+        attachedFiles: []
+      };
+
+      this.conversations.set(conversationId, conversation);
+      await this.persist(conversation);
+      logger.info(`Created conversation: ${conversationId}`);
+    }
+
+    return this.conversations.get(conversationId);
+  }
+
+  async update(conversationId, updates, defaults = {}) {
+    const conversation = await this.getOrCreate(conversationId, defaults);
+    Object.assign(conversation, updates);
+    await this.persist(conversation);
+    return conversation;
+  }
+
+  // Messages on the selected branch, from the root to the active message
+  getMessages(conversationId) {
+    const conversation = this.get(conversationId);
+    if (!conversation) {
+      return [];
+    }
+
+    const byId = new Map(conversation.messages.map(m => [String(m.id), m]));
+    const path = [];
+    let current = byId.get(String(conversation.activeMessageId));
+
+    while (current) {
+      path.unshift(current);
+      current = current.parentId === null ? null : byId.get(String(current.parentId));
+    }
+
+    return path;
+  }
+
+  // Every message in the conversation tree, regardless of branch
+  getAllMessages(conversationId) {
+    const conversation = this.get(conversationId);
+    return conversation ? conversation.messages : [];
+  }
+
+  getMessage(conversationId, messageId) {
+    return this.getAllMessages(conversationId).find(m => String(m.id) === String(messageId)) || null;
+  }
+
+  getChildren(conversationId, messageId) {
+    const parentKey = messageId === null ? null : String(messageId);
+    return this.getAllMessages(conversationId).filter(m =>
+      (m.parentId === null ? null : String(m.parentId)) === parentKey
+    );
+  }
+
+  getSiblingIds(conversationId, message) {
+    return this.getChildren(conversationId, message.parentId).map(m => m.id);
+  }
+
+  // New messages extend the active branch unless an explicit parent is given.
+  // A reply only becomes active while its question still is: when another turn
+  // started in the meantime, the reply is kept as a branch instead of hiding that turn.
+  async addMessage(conversationId, message) {
+    const conversation = await this.getOrCreate(conversationId);
+
+    if (message.parentId === undefined) {
+      message.parentId = conversation.activeMessageId;
+    }
+
+    conversation.messages.push(message);
+    if (message.sender !== 'ai' || String(message.parentId) === String(conversation.activeMessageId)) {
+      conversation.activeMessageId = message.id;
+    }
+    await this.persist(conversation);
+    return message;
+  }
+
+  // Select a branch. By default follows the most recent replies down to a leaf
+  async setActiveMessage(conversationId, messageId, { descend = true } = {}) {
+    const conversation = this.get(conversationId);
+    let message = this.getMessage(conversationId, messageId);
+    if (!conversation || !message) {
+      return null;
+    }
+
+    if (descend) {
+      let children = this.getChildren(conversationId, message.id);
+      while (children.length > 0) {
+        message = children[children.length - 1];
+        children = this.getChildren(conversationId, message.id);
+      }
+    }
+
+    conversation.activeMessageId = message.id;
+    await this.persist(conversation);
+    return message;
+  }
+
+  async updateMessage(conversationId, messageId, updates) {
+    const message = this.getMessage(conversationId, messageId);
+    if (!message) {
+      return null;
+    }
+
+    Object.assign(message, updates);
+    await this.persist(this.get(conversationId));
+    return message;
+  }
+
+  // Files attached to the conversation are used on every turn unless a message opts out
+  getAttachedFiles(conversationId) {
+    const conversation = this.get(conversationId);
+    return conversation ? conversation.attachedFiles : [];
+  }
+
+  async attachFiles(conversationId, files, defaults = {}) {
+    const conversation = await this.getOrCreate(conversationId, defaults);
+    const attachedIds = new Set(conversation.attachedFiles.map(file => String(file.id)));
+
+    files.forEach(file => {
+      if (!attachedIds.has(String(file.id))) {
+        conversation.attachedFiles.push({ ...file, attachedAt: new Date().toISOString() });
+        attachedIds.add(String(file.id));
+      }
+    });
+
+    await this.persist(conversation);
+    return conversation.attachedFiles;
+  }
+
+  async detachFile(conversationId, fileId) {
+    const conversation = this.get(conversationId);
+    if (!conversation) {
+      return false;
+    }
+
+    const remaining = conversation.attachedFiles.filter(file => String(file.id) !== String(fileId));
+    if (remaining.length === conversation.attachedFiles.length) {
+      return false;
+    }
+
+    conversation.attachedFiles = remaining;
+    await this.persist(conversation);
+    return true;
+  }
+
+  // A deleted file is detached everywhere; returns the conversations that had it attached
+  async detachFileEverywhere(fileId) {
+    const detached = [];
+    for (const conversation of this.list()) {
+      if (await this.detachFile(conversation.id, fileId)) {
+        detached.push(conversation.id);
+      }
+    }
+    return detached;
+  }
+
+  // Context recorded for AI messages that are on the active branch
+  getContext(conversationId) {
+    const conversation = this.get(conversationId);
+    if (!conversation) {
+      return [];
+    }
+
+    const activeIds = new Set(this.getMessages(conversationId).map(m => String(m.id)));
+    return conversation.context.filter(interaction =>
+      interaction.messageId === undefined || activeIds.has(String(interaction.messageId))
+    );
+  }
+
+  // Keeps the latest maxInteractions when a cap is given; long histories are compacted by the context manager
+  async appendContext(conversationId, interaction, maxInteractions = null) {
+    const conversation = await this.getOrCreate(conversationId);
+    conversation.context.push(interaction);
+
+    if (maxInteractions && conversation.context.length > maxInteractions) {
+      conversation.context.splice(0, conversation.context.length - maxInteractions);
+    }
+
+    await this.persist(conversation);
+    return conversation.context;
+  }
+
+  async delete(conversationId) {
+    if (!this.conversations.has(conversationId)) {
+      return false;
+    }
+
+    this.conversations.delete(conversationId);
+    this.revisions.delete(conversationId);
+    await this.adapter.remove(conversationId);
+    logger.info(`Deleted conversation: ${conversationId}`);
+    return true;
+  }
+
+  async persist(conversation) {
+    if (!this.adapter) {
+      throw new Error('Conversation store not initialized');
+    }
+
+    conversation.updatedAt = new Date().toISOString();
+    this.revisions.set(conversation.id, this.getRevision(conversation.id) + 1);
+    await this.adapter.save(conversation);
+  }
+}
+
+module.exports = new ConversationStore();
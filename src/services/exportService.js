@@ -0,0 +1,469 @@
+// backend/src/services/exportService.js
+const PDFDocument = require('pdfkit');
+const conversationStore = require('./conversationStore');
+const logger = require('../utils/logger');
+
+// Long extracted text is cut so one PDF dump cannot swamp the report
+const MAX_TEXT_LENGTH = 5000;
+const MAX_DEPTH = 4;
+
+const FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const FORMAT_ALIASES = {
+  md: 'markdown',
+  markdown: 'markdown',
+  htm: 'html',
+  html: 'html',
+  json: 'json',
+  pdf: 'pdf'
+};
+
+const truncate = (text) => {
+  const value = String(text);
+  return value.length > MAX_TEXT_LENGTH ? `${value.substring(0, MAX_TEXT_LENGTH)}… [truncated]` : value;
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return truncate(JSON.stringify(value));
+  return truncate(value);
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeMarkdownCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+
+class ExportService {
+  resolveFormat(format = 'markdown') {
+    return FORMAT_ALIASES[String(format).toLowerCase()] || null;
+  }
+
+  getSupportedFormats() {
+    return Object.keys(FORMATS);
+  }
+
+  async exportConversation(conversationId, format) {
+    const resolvedFormat = this.resolveFormat(format);
+    if (!resolvedFormat) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const report = this.buildReport(conversationId);
+    if (!report) {
+      return null;
+    }
+
+    let body;
+    switch (resolvedFormat) {
+      case 'markdown':
+        body = this.toMarkdown(report);
+        break;
+      case 'html':
+        body = this.toHtml(report);
+        break;
+      case 'json':
+        body = JSON.stringify(report, null, 2);
+        break;
+      case 'pdf':
+        body = await this.toPdf(report);
+        break;
+    }
+
+    logger.info(`Exported conversation ${conversationId} as ${resolvedFormat}`);
+
+    return {
+      ...FORMATS[resolvedFormat],
+      format: resolvedFormat,
+      body
+    };
+  }
+
+  buildReport(conversationId) {
+    const conversation = conversationStore.get(conversationId);
+    if (!conversation) {
+      return null;
+    }
+
+    const messages = conversationStore.getMessages(conversationId).map(message => ({
+      id: message.id,
+      sender: message.sender,
+      text: message.text,
+      timestamp: message.timestamp,
+      modelId: message.modelId,
+      toolsUsed: message.toolsUsed || [],
+      confidence: message.confidence,
+      toolResults: message.toolResults || [],
+      error: message.error || false,
+      cancelled: message.cancelled || false
+    }));
+
+    return {
+      conversationId,
+      title: conversation.title || `Conversation ${conversationId}`,
+      createdAt: conversation.createdAt,
+      exportedAt: new Date().toISOString(),
+      messageCount: messages.length,
+      messages
+    };
+  }
+
+  // Turn an arbitrary tool output into renderable blocks: fields, lists, tables and raw JSON
+  describeValue(value, label, depth = 0) {
+    if (value === null || value === undefined) {
+      return [];
+    }
+
+    if (typeof value !== 'object') {
+      return [{ type: 'field', label, value: truncate(value) }];
+    }
+
+    if (depth >= MAX_DEPTH) {
+      return [{ type: 'code', label, content: truncate(JSON.stringify(value, null, 2)) }];
+    }
+
+    const table = this.toTable(value);
+    if (table) {
+      return [{ type: 'table', caption: label, ...table }];
+    }
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        return [];
+      }
+
+      if (value.every(item => item === null || typeof item !== 'object')) {
+        return [{ type: 'list', label, items: value.map(formatCell) }];
+      }
+
+      return value.reduce((blocks, item, index) =>
+        blocks.concat(this.describeValue(item, `${label} ${index + 1}`, depth + 1)), []);
+    }
+
+    // Objects shaped like { caption, data/rows/cells } are tables with a caption
+    const tableData = value.data || value.rows || value.cells || value.table;
+    const captionedTable = tableData ? this.toTable(tableData) : null;
+    if (captionedTable) {
+      return [{ type: 'table', caption: value.caption || value.title || label, ...captionedTable }];
+    }
+
+    const blocks = [{ type: 'heading', label, level: depth }];
+    Object.entries(value).forEach(([key, child]) => {
+      blocks.push(...this.describeValue(child, key, depth + 1));
+    });
+
+    return blocks.length > 1 ? blocks : [];
+  }
+
+  toTable(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+      return null;
+    }
+
+    // Rows as objects: columns are the union of their keys
+    if (value.every(isPlainObject)) {
+      const columns = [];
+      value.forEach(row => Object.keys(row).forEach(key => {
+        if (!columns.includes(key)) columns.push(key);
+      }));
+
+      // Nested structures (e.g. a list of captioned tables) are described individually instead
+      const hasNestedValues = value.some(row => Object.values(row).some(cell =>
+        isPlainObject(cell) || (Array.isArray(cell) && cell.some(item => item !== null && typeof item === 'object'))));
+      if (hasNestedValues) {
+        return null;
+      }
+
+      return {
+        columns,
+        rows: value.map(row => columns.map(column => formatCell(row[column])))
+      };
+    }
+
+    // Rows as arrays: a first row of strings is treated as the header
+    if (value.every(Array.isArray)) {
+      const width = Math.max(...value.map(row => row.length));
+      const [first, ...rest] = value;
+      const hasHeader = rest.length > 0 && first.every(cell => typeof cell === 'string');
+      const columns = hasHeader
+        ? first.map(String)
+        : Array.from({ length: width }, (_, index) => `Column ${index + 1}`);
+      const rows = (hasHeader ? rest : value).map(row =>
+        Array.from({ length: columns.length }, (_, index) => formatCell(row[index])));
+
+      return { columns, rows };
+    }
+
+    return null;
+  }
+
+  describeToolResults(message) {
+    return message.toolResults.map(toolResult => ({
+      toolId: toolResult.toolId,
+      success: toolResult.success,
+      error: toolResult.error,
+      blocks: toolResult.success ? this.describeValue(toolResult.result, 'Result') : []
+    }));
+  }
+
+  formatConfidence(confidence) {
+    return typeof confidence === 'number' ? `${Math.round(confidence * 100)}%` : 'n/a';
+  }
+
+  toMarkdown(report) {
+    const lines = [
+      `# ${report.title}`,
+      '',
+      `- Exported: ${report.exportedAt}`,
+      `- Created: ${report.createdAt}`,
+      `- Messages: ${report.messageCount}`,
+      ''
+    ];
+
+    report.messages.forEach(message => {
+      const author = message.sender === 'user' ? 'User' : 'Assistant';
+      lines.push(`## ${author} — ${message.timestamp}`, '', message.text || '', '');
+
+      if (message.sender !== 'ai') return;
+
+      const meta = [`Confidence: ${this.formatConfidence(message.confidence)}`];
+      if (message.modelId) meta.push(`Model: ${message.modelId}`);
+      if (message.toolsUsed.length > 0) meta.push(`Tools: ${message.toolsUsed.join(', ')}`);
+      lines.push(`_${meta.join(' · ')}_`, '');
+
+      this.describeToolResults(message).forEach(tool => {
+        lines.push(`### Tool: ${tool.toolId}${tool.success ? '' : ' (failed)'}`, '');
+        if (!tool.success) {
+          lines.push(`> ${tool.error || 'Unknown error'}`, '');
+        }
+
+        tool.blocks.forEach(block => lines.push(...this.blockToMarkdown(block), ''));
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  blockToMarkdown(block) {
+    switch (block.type) {
+      case 'heading':
+        return [`**${block.label}**`];
+      case 'field':
+        return [`- **${block.label}:** ${block.value}`];
+      case 'list':
+        return [`**${block.label}**`, ...block.items.map(item => `- ${item}`)];
+      case 'code':
+        return [`**${block.label}**`, '```json', block.content, '```'];
+      case 'table':
+        return [
+          `**${block.caption}**`,
+          '',
+          `| ${block.columns.map(escapeMarkdownCell).join(' | ')} |`,
+          `| ${block.columns.map(() => '---').join(' | ')} |`,
+          ...block.rows.map(row => `| ${row.map(escapeMarkdownCell).join(' | ')} |`)
+        ];
+      default:
+        return [];
+    }
+  }
+
+  toHtml(report) {
+    const sections = report.messages.map(message => {
+      const author = message.sender === 'user' ? 'User' : 'Assistant';
+      const parts = [
+        `<section class="message ${escapeHtml(message.sender)}">`,
+        `<h2>${author} <time>${escapeHtml(message.timestamp)}</time></h2>`,
+        `<div class="text">${escapeHtml(message.text || '')}</div>`
+      ];
+
+      if (message.sender === 'ai') {
+        const meta = [`Confidence: ${this.formatConfidence(message.confidence)}`];
+        if (message.modelId) meta.push(`Model: ${escapeHtml(message.modelId)}`);
+        if (message.toolsUsed.length > 0) meta.push(`Tools: ${message.toolsUsed.map(escapeHtml).join(', ')}`);
+        parts.push(`<p class="meta">${meta.join(' · ')}</p>`);
+
+        this.describeToolResults(message).forEach(tool => {
+          parts.push(`<details class="tool"${tool.success ? '' : ' open'}>`);
+          parts.push(`<summary>Tool: ${escapeHtml(tool.toolId)}${tool.success ? '' : ' (failed)'}</summary>`);
+          if (!tool.success) {
+            parts.push(`<p class="error">${escapeHtml(tool.error || 'Unknown error')}</p>`);
+          }
+          tool.blocks.forEach(block => parts.push(this.blockToHtml(block)));
+          parts.push('</details>');
+        });
+      }
+
+      parts.push('</section>');
+      return parts.join('\n');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2933; }
+  header { border-bottom: 2px solid #e4e7eb; margin-bottom: 1.5rem; }
+  .message { border: 1px solid #e4e7eb; border-radius: 6px; padding: 1rem; margin-bottom: 1rem; }
+  .message.user { background: #f5f7fa; }
+  h2 { font-size: 1rem; margin: 0 0 .5rem; }
+  time { font-weight: normal; color: #7b8794; font-size: .85rem; }
+  .text { white-space: pre-wrap; line-height: 1.5; }
+  .meta { color: #52606d; font-size: .85rem; }
+  .error { color: #c62828; }
+  table { border-collapse: collapse; margin: .5rem 0 1rem; font-size: .85rem; }
+  caption { text-align: left; font-weight: bold; padding-bottom: .25rem; }
+  th, td { border: 1px solid #cbd2d9; padding: .25rem .5rem; vertical-align: top; }
+  th { background: #f0f4f8; }
+  pre { background: #f5f7fa; padding: .5rem; overflow-x: auto; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="meta">Exported ${escapeHtml(report.exportedAt)} · ${report.messageCount} messages</p>
+</header>
+${sections.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  blockToHtml(block) {
+    switch (block.type) {
+      case 'heading':
+        return `<h4>${escapeHtml(block.label)}</h4>`;
+      case 'field':
+        return `<p><strong>${escapeHtml(block.label)}:</strong> ${escapeHtml(block.value)}</p>`;
+      case 'list':
+        return `<p><strong>${escapeHtml(block.label)}</strong></p><ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+      case 'code':
+        return `<p><strong>${escapeHtml(block.label)}</strong></p><pre>${escapeHtml(block.content)}</pre>`;
+      case 'table':
+        return [
+          '<table>',
+          `<caption>${escapeHtml(block.caption)}</caption>`,
+          `<thead><tr>${block.columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr></thead>`,
+          `<tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>`,
+          '</table>'
+        ].join('');
+      default:
+        return '';
+    }
+  }
+
+  toPdf(report) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: report.title } });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.font('Helvetica-Bold').fontSize(18).text(report.title);
+        doc.font('Helvetica').fontSize(9).fillColor('#52606d')
+          .text(`Exported ${report.exportedAt} · ${report.messageCount} messages`);
+        doc.fillColor('black').moveDown();
+
+        report.messages.forEach(message => {
+          const author = message.sender === 'user' ? 'User' : 'Assistant';
+          doc.font('Helvetica-Bold').fontSize(12).text(`${author} — ${message.timestamp}`);
+          doc.font('Helvetica').fontSize(10).text(message.text || '');
+
+          if (message.sender === 'ai') {
+            const meta = [`Confidence: ${this.formatConfidence(message.confidence)}`];
+            if (message.modelId) meta.push(`Model: ${message.modelId}`);
+            if (message.toolsUsed.length > 0) meta.push(`Tools: ${message.toolsUsed.join(', ')}`);
+            doc.fontSize(8).fillColor('#52606d').text(meta.join(' · ')).fillColor('black');
+
+            this.describeToolResults(message).forEach(tool => {
+              doc.moveDown(0.5);
+              doc.font('Helvetica-Bold').fontSize(10).text(`Tool: ${tool.toolId}${tool.success ? '' : ' (failed)'}`);
+              doc.font('Helvetica').fontSize(9);
+              if (!tool.success) {
+                doc.fillColor('#c62828').text(tool.error || 'Unknown error').fillColor('black');
+              }
+              tool.blocks.forEach(block => this.writePdfBlock(doc, block));
+            });
+          }
+
+          doc.moveDown();
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  writePdfBlock(doc, block) {
+    switch (block.type) {
+      case 'heading':
+        doc.font('Helvetica-Bold').fontSize(9).text(block.label).font('Helvetica');
+        break;
+      case 'field':
+        doc.fontSize(9).text(`${block.label}: ${block.value}`);
+        break;
+      case 'list':
+        doc.fontSize(9).text(block.label);
+        doc.list(block.items, { bulletRadius: 1.5 });
+        break;
+      case 'code':
+        doc.fontSize(9).text(block.label);
+        doc.font('Courier').fontSize(7).text(block.content).font('Helvetica');
+        break;
+      case 'table':
+        this.writePdfTable(doc, block);
+        break;
+    }
+  }
+
+  writePdfTable(doc, table) {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const columnWidth = width / table.columns.length;
+    const padding = 3;
+
+    const drawRow = (cells, bold) => {
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+      const height = Math.max(...cells.map(cell =>
+        doc.heightOfString(String(cell), { width: columnWidth - padding * 2 }))) + padding * 2;
+
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+
+      const top = doc.y;
+      cells.forEach((cell, index) => {
+        const x = left + index * columnWidth;
+        doc.rect(x, top, columnWidth, height).stroke('#cbd2d9');
+        doc.fillColor('black').text(String(cell), x + padding, top + padding, { width: columnWidth - padding * 2 });
+      });
+
+      doc.x = left;
+      doc.y = top + height;
+    };
+
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(9).text(table.caption, left);
+    drawRow(table.columns, true);
+    table.rows.forEach(row => drawRow(row, false));
+    doc.font('Helvetica').moveDown(0.5);
+  }
+}
+
+module.exports = new ExportService();
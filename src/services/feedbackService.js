@@ -0,0 +1,187 @@
+// backend/src/services/feedbackService.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { generateId } = require('../utils/helpers');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Start of the reporting period containing the timestamp (UTC), as YYYY-MM-DD or YYYY-MM
+const periodKey = (timestamp, interval) => {
+  const date = new Date(timestamp);
+
+  if (interval === 'month') {
+    return date.toISOString().substring(0, 7);
+  }
+
+  if (interval === 'week') {
+    // Weeks start on Monday
+    const day = (date.getUTCDay() + 6) % 7;
+    date.setUTCDate(date.getUTCDate() - day);
+  }
+
+  return date.toISOString().substring(0, 10);
+};
+
+const emptyBucket = () => ({ count: 0, up: 0, down: 0, confidenceTotal: 0, confidenceCount: 0, periods: new Map() });
+
+const summarizeBucket = (bucket) => ({
+  count: bucket.count,
+  up: bucket.up,
+  down: bucket.down,
+  satisfaction: bucket.count > 0 ? Math.round((bucket.up / bucket.count) * 1000) / 1000 : null,
+  averageConfidence: bucket.confidenceCount > 0
+    ? Math.round((bucket.confidenceTotal / bucket.confidenceCount) * 1000) / 1000
+    : null
+});
+
+class FeedbackService {
+  constructor() {
+    // "conversationId:messageId" -> feedback entry
+    this.entries = new Map();
+    this.filePath = path.join(DATA_DIR, 'feedback.json');
+    this.pendingWrite = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.entries.clear();
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        (data.feedback || []).forEach(entry => {
+          this.entries.set(this.getKey(entry.conversationId, entry.messageId), entry);
+        });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.isInitialized = true;
+      logger.info(`Feedback service initialized with ${this.entries.size} entries`);
+    } catch (error) {
+      logger.error('Failed to initialize feedback service:', error);
+      throw error;
+    }
+  }
+
+  getKey(conversationId, messageId) {
+    return `${conversationId}:${messageId}`;
+  }
+
+  getFeedback(conversationId, messageId) {
+    return this.entries.get(this.getKey(conversationId, messageId)) || null;
+  }
+
+  // One entry per message; submitting again replaces the rating and comment.
+  // The answer's model, persona, tools and confidence are copied so reports survive deleted conversations.
+  async submitFeedback(conversationId, message, { rating, comment = '' }) {
+    const key = this.getKey(conversationId, message.id);
+    const existing = this.entries.get(key);
+    const now = new Date().toISOString();
+
+    const entry = {
+      id: existing ? existing.id : generateId('feedback'),
+      conversationId,
+      messageId: message.id,
+      rating,
+      comment,
+      modelId: message.modelId || null,
+      personaId: message.personaId || null,
+      toolsUsed: message.toolsUsed || [],
+      confidence: typeof message.confidence === 'number' ? message.confidence : null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.entries.set(key, entry);
+    await this.save();
+    logger.info(`Recorded ${rating} feedback for message ${message.id} in conversation ${conversationId}`);
+    return entry;
+  }
+
+  // Satisfaction (share of thumbs-up) by model, tool and persona, plus a timeline per interval
+  getReport({ from = null, to = null, interval = 'day', modelId = null } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+    const reportInterval = INTERVALS.includes(interval) ? interval : 'day';
+
+    const totals = emptyBucket();
+    const groups = { model: new Map(), tool: new Map(), persona: new Map() };
+    const timeline = new Map();
+
+    const add = (map, key) => {
+      if (!map.has(key)) {
+        map.set(key, emptyBucket());
+      }
+      return map.get(key);
+    };
+
+    // Each group also keeps its own per-period counts so trends can be compared
+    const record = (bucket, entry, period = null) => {
+      bucket.count++;
+      bucket[entry.rating]++;
+      if (entry.confidence !== null) {
+        bucket.confidenceTotal += entry.confidence;
+        bucket.confidenceCount++;
+      }
+      if (period) {
+        record(add(bucket.periods, period), entry);
+      }
+    };
+
+    for (const entry of this.entries.values()) {
+      const time = new Date(entry.updatedAt).getTime();
+      if ((fromTime && time < fromTime) || (toTime && time > toTime)) continue;
+      if (modelId && entry.modelId !== modelId) continue;
+
+      const period = periodKey(entry.updatedAt, reportInterval);
+
+      record(totals, entry);
+      record(add(groups.model, entry.modelId || 'unknown'), entry, period);
+      record(add(groups.persona, entry.personaId || 'default'), entry, period);
+      (entry.toolsUsed.length > 0 ? entry.toolsUsed : ['none']).forEach(toolId => {
+        record(add(groups.tool, toolId), entry, period);
+      });
+      record(add(timeline, period), entry);
+    }
+
+    const toTimeline = (periods) => Array.from(periods.entries())
+      .map(([period, bucket]) => ({ period, ...summarizeBucket(bucket) }))
+      .sort((a, b) => a.period.localeCompare(b.period));
+
+    const toList = (map, keyName) => Array.from(map.entries())
+      .map(([key, bucket]) => ({ [keyName]: key, ...summarizeBucket(bucket), timeline: toTimeline(bucket.periods) }))
+      .sort((a, b) => b.count - a.count);
+
+    return {
+      from,
+      to,
+      interval: reportInterval,
+      totals: summarizeBucket(totals),
+      byModel: toList(groups.model, 'modelId'),
+      byTool: toList(groups.tool, 'toolId'),
+      byPersona: toList(groups.persona, 'personaId'),
+      timeline: toTimeline(timeline)
+    };
+  }
+
+  save() {
+    const write = this.pendingWrite.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify({ feedback: Array.from(this.entries.values()) }, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = new FeedbackService();
@@ -9,7 +9,8 @@ class FileProcessor {
       const fileInfo = {
         metadata: await this.extractMetadata(file),
         preview: await this.generatePreview(file),
-        hash: await this.calculateHash(file)
+        // Resumable uploads arrive with the SHA-256 they were verified against
+        hash: file.hash || await this.calculateHash(file)
       };
 
       return fileInfo;
@@ -31,6 +32,8 @@ class FileProcessor {
       const metadata = {
         size: file.size,
         type: file.mimetype,
+        // What the client reported, when it differs from the type detected from the content
+        declaredType: file.declaredMimetype || file.mimetype,
         extension: path.extname(file.originalname).toLowerCase(),
         created: stats.birthtime,
         modified: stats.mtime,
@@ -65,19 +68,42 @@ class FileProcessor {
     }
   }
 
+  // Only the start of the file is read; uploads can be gigabytes
+  async readHead(filePath, length) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const buffer = Buffer.alloc(Math.min(size, length));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      return { content: buffer.subarray(0, bytesRead).toString('utf8'), complete: bytesRead >= size };
+    } finally {
+      await handle.close();
+    }
+  }
+
   async generatePreview(file) {
     try {
       const maxPreviewSize = 1024; // 1KB preview for text files
+      const maxReadSize = 64 * 1024; // Enough to pretty-print the start of a JSON file
       
       if (file.mimetype.startsWith('text/')) {
-        const content = await fs.readFile(file.path, 'utf8');
+        const { content, complete } = await this.readHead(file.path, maxPreviewSize);
         return {
           type: 'text',
-          content: content.substring(0, maxPreviewSize),
-          truncated: content.length > maxPreviewSize
+          content,
+          truncated: !complete
         };
       } else if (file.mimetype.includes('json')) {
-        const content = await fs.readFile(file.path, 'utf8');
+        const { content, complete } = await this.readHead(file.path, maxReadSize);
+        if (!complete) {
+          // Too large to parse from the preview read, so validity is unknown
+          return {
+            type: 'json',
+            content: content.substring(0, maxPreviewSize),
+            truncated: true
+          };
+        }
+
         try {
           const parsed = JSON.parse(content);
           return {
@@ -111,9 +137,12 @@ class FileProcessor {
   async calculateHash(file) {
     try {
       const crypto = require('crypto');
-      const content = await fs.readFile(file.path);
-      const hash = crypto.createHash('sha256').update(content).digest('hex');
-      return hash;
+      const { createReadStream } = require('fs');
+      const { pipeline } = require('stream/promises');
+      // Streamed, since resumable uploads can be larger than a buffer may hold
+      const hash = crypto.createHash('sha256');
+      await pipeline(createReadStream(file.path), hash);
+      return hash.digest('hex');
     } catch (error) {
       logger.error('Error calculating hash:', error);
       return null;
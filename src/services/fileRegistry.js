@@ -0,0 +1,214 @@
+// backend/src/services/fileRegistry.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const UPLOAD_DIR = path.resolve(__dirname, '../../uploads');
+// Uploads are stored once per content hash
+const BLOB_DIR = path.join(UPLOAD_DIR, 'blobs');
+
+const RECORD_FIELDS = ['id', 'name', 'filename', 'size', 'type', 'path', 'hash', 'preview', 'metadata', 'uploadedAt'];
+
+const removeIfEmpty = async (folder) => {
+  if (folder === UPLOAD_DIR || folder === BLOB_DIR) {
+    return;
+  }
+
+  const remaining = await fs.readdir(folder).catch(() => null);
+  if (remaining && remaining.length === 0) {
+    await fs.rmdir(folder).catch(() => {});
+  }
+};
+
+class FileRegistry {
+  constructor() {
+    // fileId -> upload record
+    this.files = new Map();
+    // Names of the uploaded_content_* folders created by uploads; retention may delete these
+    this.uploadFolders = new Set();
+    this.filePath = path.join(DATA_DIR, 'files.json');
+    this.pendingWrite = Promise.resolve();
+    // Uploads are stored one at a time so identical content arriving together gets one record
+    this.pendingStore = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.files.clear();
+      this.uploadFolders.clear();
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        (data.files || []).forEach(file => this.files.set(file.id, { aliases: [], ...file }));
+        (data.folders || []).forEach(folder => this.uploadFolders.add(folder));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.isInitialized = true;
+      logger.info(`File registry initialized with ${this.files.size} files`);
+    } catch (error) {
+      logger.error('Failed to initialize file registry:', error);
+      throw error;
+    }
+  }
+
+  // Moves a processed upload into blob storage. Content that is already stored returns the
+  // existing record, with the new name added as an alias, and the new copy is discarded.
+  storeUpload(file) {
+    const store = this.pendingStore.then(() => this.storeUploadNow(file));
+    this.pendingStore = store.catch(() => {});
+    return store;
+  }
+
+  async storeUploadNow(file) {
+    if (!file.hash) {
+      return { record: await this.register(file), duplicate: false };
+    }
+
+    const existing = this.findByHash(file.hash);
+    if (existing && await this.isStored(existing)) {
+      await fs.rm(file.path, { force: true });
+      await removeIfEmpty(path.dirname(path.resolve(file.path)));
+
+      if (existing.name !== file.name && !existing.aliases.includes(file.name)) {
+        existing.aliases.push(file.name);
+      }
+      // Retention counts from the latest upload of the content
+      existing.lastUploadedAt = new Date().toISOString();
+      await this.save();
+
+      logger.info(`Upload ${file.name} matches stored file ${existing.id}; reusing it`);
+      return { record: existing, duplicate: true };
+    }
+
+    const extension = path.extname(file.name || '').toLowerCase().replace(/[^a-z0-9.]/g, '');
+    const blobPath = path.join(BLOB_DIR, `${file.hash}${extension}`);
+
+    await fs.mkdir(BLOB_DIR, { recursive: true });
+    await fs.rename(file.path, blobPath);
+    await removeIfEmpty(path.dirname(path.resolve(file.path)));
+
+    // A record whose blob went missing gets its content back under the same ID
+    if (existing) {
+      existing.path = blobPath;
+      await this.save();
+      logger.info(`Restored missing content for file ${existing.id}`);
+      return { record: existing, duplicate: true };
+    }
+
+    return { record: await this.register({ ...file, path: blobPath }), duplicate: false };
+  }
+
+  findByHash(hash) {
+    return Array.from(this.files.values()).find(file => file.hash === hash) || null;
+  }
+
+  async isStored(record) {
+    const filePath = this.resolvePath(record);
+    return filePath ? fs.access(filePath).then(() => true).catch(() => false) : false;
+  }
+
+  // Records an upload as returned by /api/files/upload
+  async register(file) {
+    const record = RECORD_FIELDS.reduce((fields, key) => {
+      fields[key] = file[key] === undefined ? null : file[key];
+      return fields;
+    }, {});
+    record.aliases = [];
+    record.pinned = false;
+
+    this.files.set(record.id, record);
+    await this.save();
+    logger.info(`Registered file ${record.id} (${record.name})`);
+    return record;
+  }
+
+  async setPinned(fileId, pinned) {
+    const record = this.files.get(fileId);
+    if (!record) {
+      return null;
+    }
+
+    record.pinned = pinned;
+    await this.save();
+    logger.info(`${pinned ? 'Pinned' : 'Unpinned'} file ${fileId}`);
+    return record;
+  }
+
+  async trackUploadFolder(folderPath) {
+    this.uploadFolders.add(path.basename(folderPath));
+    await this.save();
+  }
+
+  async untrackUploadFolder(folder) {
+    if (this.uploadFolders.delete(path.basename(folder))) {
+      await this.save();
+    }
+  }
+
+  getUploadFolders() {
+    return Array.from(this.uploadFolders);
+  }
+
+  get(fileId) {
+    return this.files.get(fileId) || null;
+  }
+
+  list() {
+    return Array.from(this.files.values());
+  }
+
+  // Stored paths are only trusted inside the uploads directory
+  resolvePath(record) {
+    if (!record || !record.path) {
+      return null;
+    }
+
+    const filePath = path.resolve(record.path);
+    return filePath.startsWith(UPLOAD_DIR + path.sep) ? filePath : null;
+  }
+
+  // Deletes the stored file, its upload folder once empty, and the record
+  async remove(fileId) {
+    const record = this.files.get(fileId);
+    if (!record) {
+      return null;
+    }
+
+    const filePath = this.resolvePath(record);
+    if (filePath) {
+      await fs.rm(filePath, { force: true });
+      await removeIfEmpty(path.dirname(filePath));
+    } else {
+      logger.warn(`Not deleting file ${fileId} stored outside the uploads directory: ${record.path}`);
+    }
+
+    this.files.delete(fileId);
+    await this.save();
+    logger.info(`Deleted file ${fileId} (${record.name})`);
+    return record;
+  }
+
+  save() {
+    const write = this.pendingWrite.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify({
+        files: Array.from(this.files.values()),
+        folders: Array.from(this.uploadFolders)
+      }, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = new FileRegistry();
@@ -0,0 +1,245 @@
+// backend/src/services/fileTypeDetector.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errorHandler');
+
+// Enough to find the part names of Office zip containers, which follow [Content_Types].xml
+const HEADER_SIZE = 64 * 1024;
+
+const startsWith = (buffer, signature, offset = 0) => {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+};
+
+const contains = (buffer, text, encoding = 'latin1') => buffer.includes(Buffer.from(text, encoding));
+
+// Text has no signature: no NUL or other control bytes besides whitespace and escape
+const isText = (buffer) => !buffer.some(byte => byte < 0x20 && ![0x09, 0x0A, 0x0B, 0x0C, 0x0D, 0x1B].includes(byte));
+
+// DIB header sizes, so a text file starting with "BM" is not taken for a bitmap
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 64, 108, 124];
+
+// Detected types use the names in tools.json so tool routing keeps working; "type" may depend
+// on the content or the declared type. "accepts" lists other declared types for the same
+// container, "ambiguous" the declared types allowed when the content cannot tell them apart.
+const SIGNATURES = [
+  { type: 'application/pdf', match: b => startsWith(b, '%PDF-') },
+  { type: 'image/png', match: b => startsWith(b, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { type: 'image/jpeg', match: b => startsWith(b, [0xFF, 0xD8, 0xFF]), accepts: ['image/jpg', 'image/pjpeg'] },
+  { type: 'image/gif', match: b => startsWith(b, 'GIF87a') || startsWith(b, 'GIF89a') },
+  { type: 'image/bmp', match: b => startsWith(b, 'BM') && b.length >= 18 && BMP_HEADER_SIZES.includes(b.readUInt32LE(14)), accepts: ['image/x-ms-bmp'] },
+  { type: 'image/webp', match: b => startsWith(b, 'RIFF') && startsWith(b, 'WEBP', 8) },
+  { type: 'image/tiff', match: b => startsWith(b, [0x49, 0x49, 0x2A, 0x00]) || startsWith(b, [0x4D, 0x4D, 0x00, 0x2A]) },
+  { type: 'audio/wav', match: b => startsWith(b, 'RIFF') && startsWith(b, 'WAVE', 8), accepts: ['audio/x-wav', 'audio/wave', 'audio/vnd.wave'] },
+  { type: 'video/avi', match: b => startsWith(b, 'RIFF') && startsWith(b, 'AVI ', 8), accepts: ['video/x-msvideo', 'video/msvideo'] },
+  {
+    // ISO base media: MP4, QuickTime and M4A share the container
+    type: b => {
+      const brand = b.subarray(8, 12).toString('latin1');
+      if (brand === 'qt  ') return 'video/mov';
+      if (brand.startsWith('M4A') || brand.startsWith('M4B')) return 'audio/mp4';
+      return 'video/mp4';
+    },
+    match: b => startsWith(b, 'ftyp', 4),
+    accepts: ['video/mp4', 'video/mov', 'video/quicktime', 'video/x-m4v', 'audio/mp4', 'audio/m4a', 'audio/x-m4a', 'audio/aac']
+  },
+  {
+    type: (b, declared) => (declared.startsWith('audio/') ? 'audio/x-ms-wma' : 'video/wmv'),
+    match: b => startsWith(b, [0x30, 0x26, 0xB2, 0x75, 0x8E, 0x66, 0xCF, 0x11]),
+    accepts: ['video/wmv', 'video/x-ms-wmv', 'video/x-ms-asf', 'audio/x-ms-wma']
+  },
+  {
+    type: (b, declared) => (declared.startsWith('audio/') ? 'audio/webm' : 'video/webm'),
+    match: b => startsWith(b, [0x1A, 0x45, 0xDF, 0xA3]),
+    accepts: ['video/webm', 'audio/webm', 'video/x-matroska']
+  },
+  { type: 'audio/flac', match: b => startsWith(b, 'fLaC'), accepts: ['audio/x-flac'] },
+  { type: 'audio/ogg', match: b => startsWith(b, 'OggS'), accepts: ['video/ogg', 'application/ogg'] },
+  // ADTS has layer bits 00, which MPEG audio frames never use, so it is checked first
+  { type: 'audio/aac', match: b => b.length >= 2 && b[0] === 0xFF && (b[1] & 0xF6) === 0xF0, accepts: ['audio/x-aac', 'audio/aacp'] },
+  {
+    type: 'audio/mp3',
+    match: b => startsWith(b, 'ID3') || (b.length >= 2 && b[0] === 0xFF && (b[1] & 0xE0) === 0xE0 && (b[1] & 0x06) !== 0),
+    accepts: ['audio/mpeg', 'audio/mpeg3', 'audio/x-mpeg-3']
+  },
+  {
+    // Office Open XML documents are zip files named by their parts
+    type: b => {
+      if (contains(b, 'word/')) return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      if (contains(b, 'xl/')) return 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+      if (contains(b, 'ppt/')) return 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+      return contains(b, '[Content_Types].xml') ? null : 'application/zip';
+    },
+    match: b => startsWith(b, [0x50, 0x4B, 0x03, 0x04]),
+    ambiguous: [
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+    ]
+  },
+  {
+    // Legacy Office compound files; the stream names tell Excel from Word when they are near the start
+    type: b => {
+      if (contains(b, 'WordDocument', 'utf16le')) return 'application/msword';
+      if (contains(b, 'Workbook', 'utf16le') || contains(b, 'Book', 'utf16le')) return 'application/vnd.ms-excel';
+      return null;
+    },
+    match: b => startsWith(b, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]),
+    ambiguous: ['application/vnd.ms-excel', 'application/msword']
+  }
+];
+
+// Never accepted, whatever they are labeled as. Binary headers always hold control bytes,
+// which keeps text that happens to start with "MZ" out.
+const EXECUTABLES = [
+  { type: 'application/x-msdownload', match: b => startsWith(b, 'MZ') },
+  { type: 'application/x-elf', match: b => startsWith(b, [0x7F, 0x45, 0x4C, 0x46]) },
+  {
+    type: 'application/x-mach-binary',
+    match: b => [[0xFE, 0xED, 0xFA, 0xCE], [0xFE, 0xED, 0xFA, 0xCF], [0xCE, 0xFA, 0xED, 0xFE], [0xCF, 0xFA, 0xED, 0xFE], [0xCA, 0xFE, 0xBA, 0xBE]]
+      .some(signature => startsWith(b, signature))
+  }
+];
+
+// Labels that say nothing about the content (curl, scripts, unknown extensions); the
+// detected type is stored instead
+const GENERIC_TYPES = ['', 'application/octet-stream', 'binary/octet-stream', 'application/unknown'];
+
+// Windows browsers report CSV files as Excel
+const CSV_AS_EXCEL = 'application/vnd.ms-excel';
+
+// Text formats are only accepted when the content looks like them
+const TEXT_FORMATS = {
+  'image/svg+xml': text => /<svg[\s>]/i.test(text),
+  'application/xml': text => text.startsWith('<'),
+  'text/xml': text => text.startsWith('<'),
+  'application/json': text => /^[[{]/.test(text)
+};
+
+const TEXT_EXTENSIONS = {
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.txt': 'text/plain',
+  '.md': 'text/plain',
+  '.log': 'text/plain',
+  '.svg': 'image/svg+xml',
+  '.xml': 'application/xml'
+};
+
+// Tell Office formats apart by extension when the content alone cannot
+const OFFICE_EXTENSIONS = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.doc': 'application/msword',
+  '.xls': 'application/vnd.ms-excel'
+};
+
+class FileTypeDetector {
+  async readHeader(filePath) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(HEADER_SIZE);
+      const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // { type, accepts, executable } for recognised content, { text: true } for text, else null.
+  // A null type means the format is known but only the declared type can tell which one.
+  detect(buffer, declared = '') {
+    const executable = !isText(buffer) && EXECUTABLES.find(signature => signature.match(buffer));
+    if (executable) {
+      return { type: executable.type, accepts: [], executable: true };
+    }
+
+    const signature = SIGNATURES.find(candidate => candidate.match(buffer));
+    if (signature) {
+      const type = typeof signature.type === 'function' ? signature.type(buffer, declared) : signature.type;
+      const accepts = type ? [type, ...(signature.accepts || [])] : signature.ambiguous || [];
+      return { type, accepts, executable: false };
+    }
+
+    return isText(buffer) ? { text: true } : null;
+  }
+
+  isGenericType(mimetype) {
+    return GENERIC_TYPES.includes((mimetype || '').toLowerCase());
+  }
+
+  // Checks an uploaded file's content against its declared type and returns the type to store.
+  // Throws a 415 for mismatches, executables and unrecognised binary content.
+  async verify(file) {
+    const declared = (file.mimetype || '').toLowerCase();
+    const generic = this.isGenericType(declared);
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    const header = await this.readHeader(file.path);
+
+    if (header.length === 0) {
+      throw new AppError(`${file.originalname} is empty`, 400);
+    }
+
+    const detection = this.detect(header, declared);
+
+    if (detection && detection.text) {
+      return this.verifyText(file, header, declared, extension);
+    }
+
+    if (!detection) {
+      throw new AppError(`${file.originalname} does not match any supported file type (uploaded as ${declared || 'no type'})`, 415);
+    }
+
+    if (detection.executable) {
+      logger.warn(`Rejected executable ${file.originalname} uploaded as ${declared || 'no type'}`);
+      throw new AppError(`${file.originalname} is an executable (${detection.type}), which is not allowed`, 415);
+    }
+
+    if (generic) {
+      const type = detection.type || (detection.accepts.includes(OFFICE_EXTENSIONS[extension]) ? OFFICE_EXTENSIONS[extension] : null);
+      if (!type) {
+        throw new AppError(`Cannot tell the type of ${file.originalname}; upload it with its file type`, 415);
+      }
+      return type;
+    }
+
+    if (!detection.accepts.includes(declared)) {
+      throw new AppError(`${file.originalname} contains ${detection.type || detection.accepts.join(' or ')} but was uploaded as ${declared}`, 415);
+    }
+
+    return detection.type || declared;
+  }
+
+  verifyText(file, header, declared, extension) {
+    const text = header.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+    const matches = type => !TEXT_FORMATS[type] || TEXT_FORMATS[type](text);
+
+    if (TEXT_FORMATS[declared]) {
+      if (!matches(declared)) {
+        throw new AppError(`${file.originalname} does not contain ${declared}`, 415);
+      }
+      return declared;
+    }
+
+    // The extension is more specific than whatever text type the browser picked
+    const byExtension = TEXT_EXTENSIONS[extension] && matches(TEXT_EXTENSIONS[extension])
+      ? TEXT_EXTENSIONS[extension]
+      : null;
+
+    if (declared.startsWith('text/')) {
+      return byExtension || declared;
+    }
+    if (this.isGenericType(declared)) {
+      return byExtension || 'text/plain';
+    }
+    if (declared === CSV_AS_EXCEL && byExtension) {
+      return byExtension;
+    }
+
+    throw new AppError(`${file.originalname} contains text but was uploaded as ${declared}`, 415);
+  }
+}
+
+module.exports = new FileTypeDetector();
@@ -0,0 +1,276 @@
+// backend/src/services/jobService.js
+const fs = require('fs').promises;
+const path = require('path');
+const chatService = require('./chatService');
+const logger = require('../utils/logger');
+const { generateId } = require('../utils/helpers');
+const { AppError } = require('../utils/errorHandler');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+const CONCURRENCY = parseInt(process.env.CHAT_JOB_CONCURRENCY, 10) || 2;
+const MAX_QUEUED = parseInt(process.env.CHAT_JOB_MAX_QUEUED, 10) || 100;
+// Finished jobs are kept this long so clients can still collect results
+const RETENTION_MS = (parseInt(process.env.CHAT_JOB_RETENTION_HOURS, 10) || 24) * 60 * 60 * 1000;
+// A job interrupted by a restart is retried this many times before it is marked failed
+const MAX_ATTEMPTS = 3;
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = new Set();
+    this.io = null;
+    this.filePath = path.join(DATA_DIR, 'jobs.json');
+    this.pendingWrite = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  // Reload persisted jobs; queued jobs and jobs cut off by a restart run again
+  async initialize(io = null) {
+    try {
+      this.io = io;
+      this.jobs.clear();
+      this.queue = [];
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        (data.jobs || []).forEach(job => this.jobs.set(job.id, job));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.pruneFinished();
+
+      const pending = Array.from(this.jobs.values())
+        .filter(job => job.state === 'queued' || job.state === 'running')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      pending.forEach(job => {
+        if (job.state === 'running') {
+          if (job.attempts >= MAX_ATTEMPTS) {
+            Object.assign(job, {
+              state: 'failed',
+              error: 'Job was interrupted too many times',
+              finishedAt: new Date().toISOString()
+            });
+            return;
+          }
+          logger.warn(`Re-queueing chat job ${job.id} interrupted by a restart`);
+          job.state = 'queued';
+        }
+        this.queue.push(job.id);
+      });
+
+      await this.save();
+      this.isInitialized = true;
+      logger.info(`Job service initialized with ${this.queue.length} queued jobs`);
+
+      this.drain();
+    } catch (error) {
+      logger.error('Failed to initialize job service:', error);
+      throw error;
+    }
+  }
+
+  async enqueue(params) {
+    // Unknown commands and invalid tool mentions are the caller's error, not a failed job
+    chatService.checkMessage(params.message);
+
+    if (this.queue.length >= MAX_QUEUED) {
+      throw new AppError('Chat job queue is full', 503);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: generateId('job'),
+      requestId: params.requestId || generateId('req'),
+      conversationId: params.conversationId,
+      state: 'queued',
+      params: { ...params },
+      userMessageId: null,
+      messageId: null,
+      progress: [],
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+    job.params.requestId = job.requestId;
+
+    this.jobs.set(job.id, job);
+    this.queue.push(job.id);
+    await this.save();
+    logger.info(`Queued chat job ${job.id} for conversation ${job.conversationId}`);
+
+    this.drain();
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  list({ conversationId = null, state = null } = {}) {
+    return Array.from(this.jobs.values())
+      .filter(job => (!conversationId || job.conversationId === conversationId) && (!state || job.state === state))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Queued jobs are dropped; running jobs are cancelled through the chat service
+  async cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || FINISHED_STATES.includes(job.state)) {
+      return job || null;
+    }
+
+    if (job.state === 'queued') {
+      this.queue = this.queue.filter(id => id !== jobId);
+      await this.finish(job, 'cancelled');
+    } else if (!chatService.cancelRequest(job.requestId)) {
+      // The chat request is not registered yet; cancel it as soon as it starts
+      job.cancelRequested = true;
+    }
+
+    return job;
+  }
+
+  drain() {
+    while (this.running.size < CONCURRENCY && this.queue.length > 0) {
+      const job = this.jobs.get(this.queue.shift());
+      if (job && job.state === 'queued') {
+        this.run(job).catch(error => {
+          logger.error(`Chat job ${job.id} could not be recorded:`, error);
+        });
+      }
+    }
+  }
+
+  async run(job) {
+    this.running.add(job.id);
+    job.state = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+
+    try {
+      await this.update(job);
+
+      // After a restart the user message may already exist; answer it instead of adding another
+      const params = job.userMessageId
+        ? { ...job.params, userMessageId: job.userMessageId }
+        : job.params;
+
+      const outcome = await chatService.processMessage(this.io, params, {
+        onUserMessage: (userMessage, messageId) => {
+          job.userMessageId = userMessage.id;
+          job.messageId = messageId;
+          this.updateInBackground(job);
+        },
+        onProgress: (event) => {
+          if (event.type === 'request_started' && job.cancelRequested) {
+            chatService.cancelRequest(job.requestId);
+          }
+
+          job.progress.push(event);
+          this.updateInBackground(job);
+        }
+      });
+
+      if (outcome.command) {
+        await this.finish(job, 'completed', { result: { message: outcome.message, command: outcome.command } });
+      } else if (outcome.cancelled) {
+        await this.finish(job, 'cancelled', { result: { message: outcome.message } });
+      } else if (outcome.failed) {
+        await this.finish(job, 'failed', { result: { message: outcome.message }, error: 'Processing failed' });
+      } else {
+        await this.finish(job, 'completed', {
+          result: {
+            message: outcome.message,
+            modelId: outcome.result.modelId,
+            toolsUsed: outcome.result.toolsUsed,
+            confidence: outcome.result.confidence,
+            suggestions: outcome.message.suggestions
+          }
+        });
+      }
+
+    } catch (error) {
+      logger.error(`Chat job ${job.id} failed:`, error);
+      await this.finish(job, 'failed', { error: error.message });
+
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  async finish(job, state, { result = null, error = null } = {}) {
+    Object.assign(job, {
+      state,
+      result,
+      error,
+      finishedAt: new Date().toISOString()
+    });
+
+    logger.info(`Chat job ${job.id} ${state}`);
+    await this.update(job);
+  }
+
+  async update(job) {
+    job.updatedAt = new Date().toISOString();
+
+    if (this.io) {
+      this.io.to(job.conversationId).emit('job_updated', this.describe(job));
+    }
+
+    await this.save();
+  }
+
+  // Progress callbacks cannot wait for the write
+  updateInBackground(job) {
+    this.update(job).catch(error => {
+      logger.error(`Failed to persist chat job ${job.id}:`, error);
+    });
+  }
+
+  pruneFinished() {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [jobId, job] of this.jobs) {
+      if (FINISHED_STATES.includes(job.state) && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  // Public view of a job; the original request parameters stay internal
+  describe(job) {
+    const { params, ...details } = job;
+    return {
+      ...details,
+      queuePosition: job.state === 'queued' ? this.queue.indexOf(job.id) + 1 : null
+    };
+  }
+
+  save() {
+    const write = this.pendingWrite.then(async () => {
+      this.pruneFinished();
+      const tmpPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify({ jobs: Array.from(this.jobs.values()) }, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = new JobService();
@@ -4,13 +4,17 @@ const path = require('path');
 const logger = require('../utils/logger');
 const toolManager = require('./toolManager');
 const modelManager = require('./modelManager');
+const contextManager = require('./contextManager');
+const titleGenerator = require('./titleGenerator');
+const toolResultCache = require('./toolResultCache');
+const personaManager = require('./personaManager');
+const { isCancellationError, throwIfAborted } = require('../utils/errorHandler');
 
 class MCPBridge {
   constructor() {
     this.config = null;
     this.currentModel = null;
     this.isInitialized = false;
-    this.activeConversations = new Map();
   }
 
   async initialize() {
@@ -19,6 +23,9 @@ class MCPBridge {
       const configPath = path.join(__dirname, '../config/mcp.json');
       const configData = await fs.readFile(configPath, 'utf8');
       this.config = JSON.parse(configData);
+      contextManager.initialize(this.config);
+      titleGenerator.initialize(this.config);
+      toolResultCache.initialize(this.config);
 
       // Initialize tool manager first
       const toolManagerInitialized = await toolManager.initialize();
@@ -62,49 +69,99 @@ class MCPBridge {
     }
   }
 
-  async processUserRequest(conversationId, userMessage, uploadedFiles = []) {
+  async resolveModel(modelId = null) {
+    if (!modelId || (this.currentModel && this.currentModel.id === modelId)) {
+      return this.currentModel;
+    }
+
+    return await modelManager.getModel(modelId);
+  }
+
+  async processUserRequest(conversationId, userMessage, uploadedFiles = [], options = {}) {
     try {
       if (!this.isInitialized) {
         throw new Error('MCP Bridge not initialized');
       }
 
-      if (!this.currentModel) {
+      // Resolve the model for this call; the bridge's current model is only the default
+      const model = await this.resolveModel(options.modelId);
+      if (!model) {
         throw new Error('No model available');
       }
 
-      logger.info(`Processing request for conversation ${conversationId}`);
+      // A persona replaces the synthesis system prompt, whichever model client is answering
+      const persona = personaManager.get(options.personaId);
+      const personaId = persona ? persona.id : null;
+
+      logger.info(`Processing request for conversation ${conversationId} with model ${model.id}${persona ? ` and persona ${persona.id}` : ''}`);
       logger.info(`User message: ${userMessage}`);
       logger.info(`Uploaded files: ${uploadedFiles.map(f => f.name).join(', ')}`);
 
-      // Get conversation context
-      const context = this.activeConversations.get(conversationId) || [];
+      const { onToken = null, onProgress = null, signal = null } = options;
+      const reportProgress = (event) => {
+        if (onProgress) {
+          onProgress({ ...event, timestamp: new Date().toISOString() });
+        }
+      };
+
+      // Get conversation context: a rolling summary of older turns plus recent turns, sized to the model
+      const context = await this.getConversationContext(conversationId, { model, signal });
 
-      // Step 1: Use Claude's enhanced orchestration if available
+      // Step 1: Tools mentioned by the user skip selection; otherwise use Claude's enhanced orchestration if available
+      throwIfAborted(signal);
       let toolSelection;
-      if (this.currentModel.id === 'claude-3-sonnet' && this.currentModel.client.orchestrateTools) {
-        toolSelection = await this.selectToolsWithClaude(userMessage, uploadedFiles, context);
+      if (options.forcedTools && options.forcedTools.length > 0) {
+        toolSelection = this.forcedToolSelection(options.forcedTools);
+      } else if (model.id === 'claude-3-sonnet' && model.client.orchestrateTools) {
+        toolSelection = await this.selectToolsWithClaude(userMessage, uploadedFiles, context, { model, signal });
       } else {
-        toolSelection = await this.selectTools(userMessage, uploadedFiles, context);
+        toolSelection = await this.selectTools(userMessage, uploadedFiles, context, { model, signal });
       }
 
       logger.info(`Tool selection result:`, toolSelection);
 
+      reportProgress({
+        type: 'tools_selected',
+        selectedTools: toolSelection.selected_tools,
+        executionOrder: toolSelection.execution_order || toolSelection.selected_tools,
+        reasoning: toolSelection.reasoning
+      });
+
       // Step 2: Execute selected tools
-      const toolResults = await this.executeTools(toolSelection, uploadedFiles, userMessage);
+      throwIfAborted(signal);
+      const toolResults = await this.executeTools(toolSelection, uploadedFiles, userMessage, reportProgress, signal);
 
       logger.info(`Tool execution results:`, toolResults.map(r => ({ toolId: r.toolId, success: r.success })));
 
-      // Step 3: Synthesize response using Claude if available
+      // Step 3: Synthesize response using Claude if available, streaming tokens when requested
+      throwIfAborted(signal);
+      reportProgress({ type: 'synthesis_started', modelId: model.id, personaId });
+
+      const synthesisOptions = {
+        model,
+        onToken,
+        onProgress: reportProgress,
+        signal,
+        systemPrompt: persona ? personaManager.buildSystemPrompt(persona) : null
+      };
       let response;
-      if (this.currentModel.id === 'claude-3-sonnet' && this.currentModel.client.synthesizeResponse) {
-        response = await this.synthesizeResponseWithClaude(userMessage, toolResults, context);
+      if (model.id === 'claude-3-sonnet' && model.client.synthesizeResponse) {
+        response = await this.synthesizeResponseWithClaude(userMessage, toolResults, context, synthesisOptions);
       } else {
-        response = await this.synthesizeResponse(userMessage, toolResults, context);
+        response = await this.synthesizeResponse(userMessage, toolResults, context, synthesisOptions);
       }
 
-      // Step 4: Update conversation context
-      this.updateConversationContext(conversationId, {
+      throwIfAborted(signal);
+
+      // Step 4: Suggest follow-up questions grounded in what the tools returned
+      const suggestions = await this.suggestFollowUps(userMessage, toolResults, response, { model, signal });
+
+      // Step 5: Update conversation context
+      await this.updateConversationContext(conversationId, model, {
+        messageId: options.messageId,
         userMessage,
+        modelId: model.id,
+        personaId,
         toolsUsed: toolSelection.selected_tools,
         toolResults,
         response,
@@ -113,17 +170,29 @@ class MCPBridge {
 
       return {
         response,
+        modelId: model.id,
+        personaId,
         toolsUsed: toolSelection.selected_tools,
+        toolResults,
+        suggestions,
         confidence: this.calculateConfidence(toolResults),
         conversationId
       };
 
     } catch (error) {
+      // Cancellation is not a processing failure; let the caller record it
+      if (isCancellationError(error)) {
+        logger.info(`Request for conversation ${conversationId} was cancelled`);
+        throw error;
+      }
+
       logger.error(`Error processing user request:`, error);
       
       // Return a more informative error response
       return {
         response: `I encountered an error while processing your request: ${error.message}. Please check that your files are valid and the system is properly configured.`,
+        modelId: options.modelId || this.getCurrentModel(),
+        personaId: options.personaId || null,
         toolsUsed: [],
         confidence: 0,
         conversationId,
@@ -132,7 +201,9 @@ class MCPBridge {
     }
   }
 
-  async selectToolsWithClaude(userMessage, uploadedFiles, context) {
+  async selectToolsWithClaude(userMessage, uploadedFiles, context, options = {}) {
+    const { model = this.currentModel, signal = null } = options;
+
     try {
       const availableTools = await toolManager.getAvailableTools();
       
@@ -152,11 +223,12 @@ class MCPBridge {
 
       logger.info(`Using Claude orchestration with ${activeTools.length} available tools`);
 
-      const toolSelection = await this.currentModel.client.orchestrateTools(
+      const toolSelection = await model.client.orchestrateTools(
         userMessage,
         activeTools,
         uploadedFiles,
-        context
+        context,
+        { signal }
       );
 
       // Validate that selected tools are actually available
@@ -167,12 +239,18 @@ class MCPBridge {
       return toolSelection;
 
     } catch (error) {
+      if (isCancellationError(error)) {
+        throw error;
+      }
+
       logger.error('Error in Claude tool orchestration:', error);
       return this.fallbackToolSelection(uploadedFiles);
     }
   }
 
-  async selectTools(userMessage, uploadedFiles, context) {
+  async selectTools(userMessage, uploadedFiles, context, options = {}) {
+    const { model = this.currentModel, signal = null } = options;
+
     try {
       const availableTools = await toolManager.getAvailableTools();
       
@@ -192,9 +270,10 @@ class MCPBridge {
         .replace('{files_list}', filesList || 'No files uploaded')
         .replace('{tools_list}', toolsList);
 
-      const modelResponse = await this.currentModel.generateResponse(
+      const modelResponse = await model.generateResponse(
         prompt,
-        this.config.prompts.tool_selection.system
+        this.config.prompts.tool_selection.system,
+        { signal }
       );
 
       // Parse the model's tool selection
@@ -221,12 +300,16 @@ class MCPBridge {
       return toolSelection;
 
     } catch (error) {
+      if (isCancellationError(error)) {
+        throw error;
+      }
+
       logger.error('Error in tool selection:', error);
       return this.fallbackToolSelection(uploadedFiles);
     }
   }
 
-  async executeTools(toolSelection, uploadedFiles, userMessage) {
+  async executeTools(toolSelection, uploadedFiles, userMessage, reportProgress = () => {}, signal = null) {
     const toolResults = [];
     const executionOrder = toolSelection.execution_order || toolSelection.selected_tools;
 
@@ -236,68 +319,226 @@ class MCPBridge {
     }
 
     for (const toolId of executionOrder) {
-      try {
-        logger.info(`Executing tool: ${toolId}`);
+      throwIfAborted(signal);
 
-        // Filter files relevant to this tool
-        const relevantFiles = this.filterFilesForTool(toolId, uploadedFiles);
-        
-        if (relevantFiles.length === 0 && uploadedFiles.length > 0) {
-          logger.warn(`No relevant files found for tool ${toolId}`);
-        }
+      // Filter files relevant to this tool
+      const relevantFiles = this.filterFilesForTool(toolId, uploadedFiles);
+      
+      if (relevantFiles.length === 0 && uploadedFiles.length > 0) {
+        logger.warn(`No relevant files found for tool ${toolId}`);
+      }
 
-        // Get tool parameters
-        const parameters = {
-          files: relevantFiles,
-          userRequest: userMessage,
-          parameters: this.getToolParameters(toolId, userMessage, toolSelection)
-        };
+      const parameters = this.getToolParameters(toolId, userMessage, toolSelection);
+      toolResults.push(await this.executeTool(toolId, relevantFiles, userMessage, parameters, reportProgress, signal));
+    }
+
+    return toolResults;
+  }
+
+  // Runs one tool, reusing an earlier result for the same file content and parameters.
+  // The result records the parameters and file IDs it ran with so a failed tool can be
+  // retried exactly as it was first called.
+  async executeTool(toolId, files, userMessage, toolParameters, reportProgress = () => {}, signal = null) {
+    const startedAt = Date.now();
+    const invocation = {
+      parameters: toolParameters,
+      fileIds: files.map(f => f.id)
+    };
+
+    try {
+      logger.info(`Executing tool: ${toolId}`);
+      reportProgress({ type: 'tool_started', toolId });
+
+      const parameters = {
+        files,
+        userRequest: userMessage,
+        parameters: toolParameters
+      };
 
-        logger.info(`Tool ${toolId} parameters:`, {
-          fileCount: relevantFiles.length,
-          fileNames: relevantFiles.map(f => f.name)
-        });
+      logger.info(`Tool ${toolId} parameters:`, {
+        fileCount: files.length,
+        fileNames: files.map(f => f.name)
+      });
 
-        const result = await toolManager.executeTool(toolId, parameters);
+      const cacheKey = toolResultCache.getKey(toolId, files, toolParameters, userMessage);
+      const cached = await toolResultCache.get(cacheKey);
+      if (cached) {
+        logger.info(`Reusing cached result for tool ${toolId}`);
+        reportProgress({ type: 'tool_completed', toolId, success: true, cached: true, durationMs: Date.now() - startedAt });
 
-        toolResults.push({
+        return {
           toolId,
           success: true,
-          result,
-          executedAt: new Date().toISOString()
-        });
+          result: cached.result,
+          ...invocation,
+          cached: true,
+          executedAt: cached.createdAt
+        };
+      }
 
-        logger.info(`Tool ${toolId} executed successfully`);
+      const result = await toolManager.executeTool(toolId, parameters, { signal });
 
-      } catch (error) {
-        logger.error(`Error executing tool ${toolId}:`, error);
-        toolResults.push({
-          toolId,
-          success: false,
-          error: error.message,
-          executedAt: new Date().toISOString()
-        });
+      await toolResultCache.set(cacheKey, toolId, result).catch(cacheError => {
+        logger.warn(`Could not cache result for tool ${toolId}: ${cacheError.message}`);
+      });
+
+      logger.info(`Tool ${toolId} executed successfully`);
+      reportProgress({ type: 'tool_completed', toolId, success: true, durationMs: Date.now() - startedAt });
+
+      return {
+        toolId,
+        success: true,
+        result,
+        ...invocation,
+        executedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      if (isCancellationError(error) || (signal && signal.aborted)) {
+        reportProgress({ type: 'tool_cancelled', toolId, durationMs: Date.now() - startedAt });
+        throwIfAborted(signal);
+        throw error;
       }
+
+      logger.error(`Error executing tool ${toolId}:`, error);
+      reportProgress({
+        type: 'tool_completed',
+        toolId,
+        success: false,
+        error: error.message,
+        durationMs: Date.now() - startedAt
+      });
+
+      return {
+        toolId,
+        success: false,
+        error: error.message,
+        ...invocation,
+        executedAt: new Date().toISOString()
+      };
     }
+  }
 
-    return toolResults;
+  // Re-run only the failed tools of an earlier answer and synthesize again from the
+  // merged results. Successful results are reused as stored.
+  async retryFailedTools(conversationId, userMessage, previousMessage, uploadedFiles = [], options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('MCP Bridge not initialized');
+    }
+
+    const model = await this.resolveModel(options.modelId);
+    if (!model) {
+      throw new Error('No model available');
+    }
+
+    const persona = personaManager.get(options.personaId);
+    const personaId = persona ? persona.id : null;
+    const { onToken = null, onProgress = null, signal = null } = options;
+    const reportProgress = (event) => {
+      if (onProgress) {
+        onProgress({ ...event, timestamp: new Date().toISOString() });
+      }
+    };
+
+    const previousResults = previousMessage.toolResults || [];
+    const failedTools = previousResults.filter(r => !r.success).map(r => r.toolId);
+    logger.info(`Retrying tools ${failedTools.join(', ')} for conversation ${conversationId}`);
+
+    const context = await this.getConversationContext(conversationId, { model, signal });
+
+    reportProgress({ type: 'tools_retrying', selectedTools: failedTools, reusedTools: previousResults.filter(r => r.success).map(r => r.toolId) });
+
+    const toolResults = [];
+    for (const previous of previousResults) {
+      if (previous.success) {
+        toolResults.push(previous);
+        continue;
+      }
+
+      throwIfAborted(signal);
+
+      const fileIds = previous.fileIds.map(String);
+      const files = uploadedFiles.filter(f => fileIds.includes(String(f.id)));
+
+      toolResults.push(await this.executeTool(previous.toolId, files, userMessage, previous.parameters, reportProgress, signal));
+    }
+
+    logger.info(`Tool retry results:`, toolResults.map(r => ({ toolId: r.toolId, success: r.success })));
+
+    throwIfAborted(signal);
+    reportProgress({ type: 'synthesis_started', modelId: model.id, personaId });
+
+    const synthesisOptions = {
+      model,
+      onToken,
+      onProgress: reportProgress,
+      signal,
+      systemPrompt: persona ? personaManager.buildSystemPrompt(persona) : null
+    };
+    const response = model.id === 'claude-3-sonnet' && model.client.synthesizeResponse
+      ? await this.synthesizeResponseWithClaude(userMessage, toolResults, context, synthesisOptions)
+      : await this.synthesizeResponse(userMessage, toolResults, context, synthesisOptions);
+
+    throwIfAborted(signal);
+
+    const suggestions = await this.suggestFollowUps(userMessage, toolResults, response, { model, signal });
+
+    const toolsUsed = previousMessage.toolsUsed || toolResults.map(r => r.toolId);
+    await this.updateConversationContext(conversationId, model, {
+      messageId: options.messageId,
+      userMessage,
+      modelId: model.id,
+      personaId,
+      toolsUsed,
+      toolResults,
+      response,
+      timestamp: new Date().toISOString()
+    });
+
+    return {
+      response,
+      modelId: model.id,
+      personaId,
+      toolsUsed,
+      toolResults,
+      retriedTools: failedTools,
+      suggestions,
+      confidence: this.calculateConfidence(toolResults),
+      conversationId
+    };
   }
 
-  async synthesizeResponseWithClaude(userMessage, toolResults, context) {
+  async synthesizeResponseWithClaude(userMessage, toolResults, context, options = {}) {
+    const { model = this.currentModel, onToken = null, onProgress = null } = options;
+    let streamed = false;
+
     try {
       logger.info('Using Claude response synthesis');
-      return await this.currentModel.client.synthesizeResponse(
+      return await model.client.synthesizeResponse(
         userMessage,
         toolResults,
-        context
+        context,
+        onToken ? { ...options, onToken: (delta) => { streamed = true; onToken(delta); } } : options
       );
     } catch (error) {
+      if (isCancellationError(error)) {
+        throw error;
+      }
+
       logger.error('Error in Claude response synthesis:', error);
-      return this.synthesizeResponse(userMessage, toolResults, context);
+
+      // The fallback streams its answer from the start, so clients drop the partial one first
+      if (streamed && onProgress) {
+        onProgress({ type: 'response_reset', reason: 'Claude synthesis failed; the answer is generated again' });
+      }
+      return this.synthesizeResponse(userMessage, toolResults, context, options);
     }
   }
 
-  async synthesizeResponse(userMessage, toolResults, context) {
+  async synthesizeResponse(userMessage, toolResults, context, options = {}) {
+    const { model = this.currentModel, onToken = null, signal = null } = options;
+    const systemPrompt = options.systemPrompt || this.config.prompts.response_synthesis.system;
+
     try {
       const successfulResults = toolResults.filter(r => r.success);
       const failedResults = toolResults.filter(r => !r.success);
@@ -312,26 +553,107 @@ class MCPBridge {
 
       // Use the configured template for response synthesis
       const toolResultsText = JSON.stringify(successfulResults, null, 2);
-      const contextText = JSON.stringify(context.slice(-3), null, 2);
-
       const prompt = this.config.prompts.response_synthesis.template
         .replace('{user_message}', userMessage)
         .replace('{tool_results}', toolResultsText)
-        .replace('{conversation_context}', contextText);
+        .replace('{conversation_context}', context || 'No previous conversation.');
 
-      const response = await this.currentModel.generateResponse(
-        prompt,
-        this.config.prompts.response_synthesis.system
-      );
+      const response = onToken
+        ? await model.generateResponseStream(prompt, systemPrompt, onToken, { signal })
+        : await model.generateResponse(prompt, systemPrompt, { signal });
 
       return response;
 
     } catch (error) {
+      if (isCancellationError(error)) {
+        throw error;
+      }
+
       logger.error('Error synthesizing response:', error);
       return this.generateFallbackResponse(toolResults);
     }
   }
 
+  // Questions the user could ask next; an answer without suggestions is still a complete answer
+  async suggestFollowUps(userMessage, toolResults, response, options = {}) {
+    const { model = this.currentModel, signal = null } = options;
+    const settings = this.config.follow_up_suggestions || {};
+    const prompt = this.config.prompts.follow_up_questions;
+
+    if (settings.enabled === false || !prompt) {
+      return [];
+    }
+
+    try {
+      const successfulResults = toolResults
+        .filter(r => r.success)
+        .map(r => ({ toolId: r.toolId, result: r.result }));
+      const toolResultsText = successfulResults.length > 0
+        ? JSON.stringify(successfulResults, null, 2).substring(0, settings.max_tool_result_chars || 4000)
+        : 'No tool results';
+
+      const text = prompt.template
+        .replace('{user_message}', userMessage)
+        .replace('{tool_results}', toolResultsText)
+        .replace('{response}', response)
+        .replace('{min_count}', String(settings.min_count || 3))
+        .replace('{max_count}', String(settings.max_count || 5));
+
+      const output = await model.generateResponse(text, prompt.system, { signal });
+      return this.parseSuggestions(output, settings.max_count || 5);
+
+    } catch (error) {
+      if (isCancellationError(error)) {
+        throw error;
+      }
+
+      logger.warn(`Could not suggest follow-up questions: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Accepts a JSON array, or one question per line when the model ignores the format
+  parseSuggestions(output, maxCount) {
+    let items = null;
+    const jsonMatch = (output || '').match(/\[[\s\S]*\]/);
+    if (jsonMatch) {
+      try {
+        items = JSON.parse(jsonMatch[0]);
+      } catch (parseError) {
+        items = null;
+      }
+    }
+
+    // Without JSON only lines that read as questions count, so preambles are skipped
+    const fromLines = !Array.isArray(items);
+    if (fromLines) {
+      items = (output || '').split('\n');
+    }
+
+    const suggestions = items
+      .filter(item => typeof item === 'string')
+      .map(item => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/^["']|["'],?$/g, '').trim())
+      .filter(item => item.length > 0 && item.length <= 300 && (!fromLines || item.endsWith('?')));
+
+    return [...new Set(suggestions)].slice(0, maxCount);
+  }
+
+  // Tools and parameters requested with @tool mentions, in the order they were written
+  forcedToolSelection(forcedTools) {
+    const toolIds = forcedTools.map(tool => tool.toolId);
+
+    return {
+      selected_tools: toolIds,
+      reasoning: 'Tools requested in the message',
+      execution_order: toolIds,
+      tool_parameters: forcedTools.reduce((parameters, tool) => {
+        parameters[tool.toolId] = tool.parameters;
+        return parameters;
+      }, {}),
+      file_requirements: []
+    };
+  }
+
   fallbackToolSelection(uploadedFiles) {
     const tools = [];
     
@@ -437,22 +759,16 @@ class MCPBridge {
     return response;
   }
 
-  updateConversationContext(conversationId, interaction) {
-    if (!this.activeConversations.has(conversationId)) {
-      this.activeConversations.set(conversationId, []);
-    }
-
-    const context = this.activeConversations.get(conversationId);
-    context.push(interaction);
-
-    // Keep only last 20 interactions
-    if (context.length > 20) {
-      context.splice(0, context.length - 20);
-    }
+  async updateConversationContext(conversationId, model, interaction) {
+    // Interactions are stored trimmed and capped; older ones are folded into a summary in the background
+    const context = await contextManager.recordInteraction(conversationId, interaction);
+    contextManager.scheduleCompaction(conversationId, model);
+    return context;
   }
 
-  getConversationContext(conversationId) {
-    return this.activeConversations.get(conversationId) || [];
+  async getConversationContext(conversationId, options = {}) {
+    const { model = this.currentModel } = options;
+    return contextManager.getContext(conversationId, model);
   }
 
   async getAvailableModels() {
@@ -3,6 +3,7 @@ const { spawn } = require('child_process');
 const axios = require('axios');
 const path = require('path');
 const logger = require('../utils/logger');
+const { isCancellationError } = require('../utils/errorHandler');
 
 class MCPClient {
   constructor(serverConfig) {
@@ -160,7 +161,9 @@ class MCPClient {
     }
   }
 
-  async executeTool(toolId, parameters) {
+  async executeTool(toolId, parameters, options = {}) {
+    const { signal } = options;
+
     try {
       if (!this.isConnected) {
         throw new Error(`MCP server ${this.serverConfig.name} is not connected`);
@@ -232,10 +235,15 @@ class MCPClient {
             timeout: this.timeout,
             headers: {
               'Content-Type': 'multipart/form-data'
-            }
+            },
+            signal
           });
 
         } catch (specificError) {
+          if (isCancellationError(specificError)) {
+            throw specificError;
+          }
+
           logger.warn(`Specific endpoint failed: ${specificError.message}`);
           
           // Fallback to MCP protocol call
@@ -250,9 +258,14 @@ class MCPClient {
               timeout: this.timeout,
               headers: {
                 'Content-Type': 'application/json'
-              }
+              },
+              signal
             });
           } catch (mcpError) {
+            if (isCancellationError(mcpError)) {
+              throw mcpError;
+            }
+
             logger.error(`MCP protocol also failed: ${mcpError.message}`);
             throw specificError; // Throw the original error
           }
@@ -267,7 +280,8 @@ class MCPClient {
           timeout: this.timeout,
           headers: {
             'Content-Type': 'application/json'
-          }
+          },
+          signal
         });
       }
 
@@ -279,6 +293,11 @@ class MCPClient {
       return response.data;
 
     } catch (error) {
+      if (isCancellationError(error)) {
+        logger.info(`MCP tool ${toolId} cancelled`);
+        throw error;
+      }
+
       logger.error(`Error executing MCP tool ${toolId}:`, error);
       
       if (error.response) {
@@ -97,8 +97,18 @@ class ModelManager {
       type: config.type,
       client,
       config,
-      generateResponse: async (prompt, systemPrompt = '') => {
-        return await client.generateResponse(prompt, systemPrompt);
+      generateResponse: async (prompt, systemPrompt = '', options = {}) => {
+        return await client.generateResponse(prompt, systemPrompt, options);
+      },
+      generateResponseStream: async (prompt, systemPrompt = '', onToken = () => {}, options = {}) => {
+        // Clients without a streaming mode deliver the whole answer as a single chunk
+        if (typeof client.generateResponseStream !== 'function') {
+          const response = await client.generateResponse(prompt, systemPrompt, options);
+          onToken(response);
+          return response;
+        }
+
+        return await client.generateResponseStream(prompt, systemPrompt, onToken, options);
       },
       healthCheck: async () => {
         return await client.healthCheck();
@@ -106,6 +116,10 @@ class ModelManager {
     };
   }
 
+  isModelAvailable(modelId) {
+    return this.modelClients.has(modelId);
+  }
+
   async getDefaultModel() {
     const defaultModelConfig = this.availableModels.find(m => m.default);
     if (!defaultModelConfig) {
@@ -0,0 +1,145 @@
+// backend/src/services/personaManager.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { generateId } = require('../utils/helpers');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const BUILT_IN_PATH = path.join(__dirname, '../config/personas.json');
+
+const PERSONA_FIELDS = ['name', 'description', 'systemPrompt', 'tone', 'outputFormat'];
+
+class PersonaManager {
+  constructor() {
+    this.builtIn = new Map();
+    this.custom = new Map();
+    this.filePath = path.join(DATA_DIR, 'personas.json');
+    this.pendingWrite = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      // Built-in personas ship with the config; custom ones live with the other runtime data
+      const builtInData = JSON.parse(await fs.readFile(BUILT_IN_PATH, 'utf8'));
+      this.builtIn.clear();
+      builtInData.personas.forEach(persona => {
+        this.builtIn.set(persona.id, { ...persona, builtIn: true });
+      });
+
+      this.custom.clear();
+      try {
+        const customData = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        (customData.personas || []).forEach(persona => {
+          this.custom.set(persona.id, { ...persona, builtIn: false });
+        });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.isInitialized = true;
+      logger.info(`Persona manager initialized with ${this.builtIn.size} built-in and ${this.custom.size} custom personas`);
+    } catch (error) {
+      logger.error('Failed to initialize persona manager:', error);
+      throw error;
+    }
+  }
+
+  list() {
+    return [...this.builtIn.values(), ...this.custom.values()];
+  }
+
+  get(personaId) {
+    if (!personaId) {
+      return null;
+    }
+
+    return this.custom.get(personaId) || this.builtIn.get(personaId) || null;
+  }
+
+  isBuiltIn(personaId) {
+    return this.builtIn.has(personaId);
+  }
+
+  async create(data) {
+    const now = new Date().toISOString();
+    const persona = {
+      id: generateId('persona'),
+      ...this.pickFields(data),
+      builtIn: false,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.custom.set(persona.id, persona);
+    await this.save();
+    logger.info(`Created persona ${persona.id} (${persona.name})`);
+    return persona;
+  }
+
+  async update(personaId, data) {
+    const persona = this.custom.get(personaId);
+    if (!persona) {
+      return null;
+    }
+
+    Object.assign(persona, this.pickFields(data), { updatedAt: new Date().toISOString() });
+    await this.save();
+    logger.info(`Updated persona ${personaId}`);
+    return persona;
+  }
+
+  async delete(personaId) {
+    if (!this.custom.has(personaId)) {
+      return false;
+    }
+
+    this.custom.delete(personaId);
+    await this.save();
+    logger.info(`Deleted persona ${personaId}`);
+    return true;
+  }
+
+  pickFields(data) {
+    return PERSONA_FIELDS.reduce((fields, key) => {
+      if (data[key] !== undefined) {
+        fields[key] = data[key];
+      }
+      return fields;
+    }, {});
+  }
+
+  // The synthesis system prompt for a persona, including its tone and output format
+  buildSystemPrompt(persona) {
+    const sections = [persona.systemPrompt];
+
+    if (persona.tone) {
+      sections.push(`Tone: ${persona.tone}`);
+    }
+
+    if (persona.outputFormat) {
+      sections.push(`Output format: ${persona.outputFormat}`);
+    }
+
+    return sections.join('\n\n');
+  }
+
+  // Writes are serialized and atomic, like conversation files
+  save() {
+    const write = this.pendingWrite.then(async () => {
+      const personas = Array.from(this.custom.values()).map(({ builtIn, ...persona }) => persona);
+      const tmpPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify({ personas }, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = new PersonaManager();
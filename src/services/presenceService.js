@@ -0,0 +1,105 @@
+// backend/src/services/presenceService.js
+const logger = require('../utils/logger');
+
+// A client that stops sending typing updates is treated as idle after this long
+const TYPING_TIMEOUT_MS = 8000;
+
+class PresenceService {
+  constructor() {
+    // conversationId -> Map(socketId -> participant)
+    this.rooms = new Map();
+    this.typingTimers = new Map();
+  }
+
+  // Display details come from the join payload or the socket handshake; both are optional
+  join(conversationId, socket, user = {}) {
+    if (!this.rooms.has(conversationId)) {
+      this.rooms.set(conversationId, new Map());
+    }
+
+    const identity = { ...(socket.handshake && socket.handshake.auth), ...user };
+    const participant = {
+      socketId: socket.id,
+      userId: identity.userId || null,
+      name: identity.name || null,
+      typing: false,
+      joinedAt: new Date().toISOString()
+    };
+
+    this.rooms.get(conversationId).set(socket.id, participant);
+    return participant;
+  }
+
+  leave(conversationId, socketId) {
+    const room = this.rooms.get(conversationId);
+    if (!room || !room.has(socketId)) {
+      return false;
+    }
+
+    this.clearTypingTimer(conversationId, socketId);
+    room.delete(socketId);
+    if (room.size === 0) {
+      this.rooms.delete(conversationId);
+    }
+
+    return true;
+  }
+
+  // Rooms the socket was in, so each can be told it left
+  leaveAll(socketId) {
+    return Array.from(this.rooms.keys()).filter(conversationId => this.leave(conversationId, socketId));
+  }
+
+  isInRoom(conversationId, socketId) {
+    const room = this.rooms.get(conversationId);
+    return Boolean(room && room.has(socketId));
+  }
+
+  getParticipants(conversationId) {
+    const room = this.rooms.get(conversationId);
+    return room ? Array.from(room.values()) : [];
+  }
+
+  // Returns the participant when the state changed; onExpire runs if typing times out
+  setTyping(conversationId, socketId, isTyping, onExpire = null) {
+    const room = this.rooms.get(conversationId);
+    const participant = room && room.get(socketId);
+    if (!participant) {
+      return null;
+    }
+
+    this.clearTypingTimer(conversationId, socketId);
+
+    if (isTyping) {
+      const timer = setTimeout(() => {
+        this.typingTimers.delete(`${conversationId}:${socketId}`);
+        if (participant.typing) {
+          participant.typing = false;
+          logger.debug(`Typing indicator for ${socketId} in ${conversationId} expired`);
+          if (onExpire) {
+            onExpire(participant);
+          }
+        }
+      }, TYPING_TIMEOUT_MS);
+      timer.unref();
+      this.typingTimers.set(`${conversationId}:${socketId}`, timer);
+    }
+
+    if (participant.typing === isTyping) {
+      return null;
+    }
+
+    participant.typing = isTyping;
+    return participant;
+  }
+
+  clearTypingTimer(conversationId, socketId) {
+    const key = `${conversationId}:${socketId}`;
+    if (this.typingTimers.has(key)) {
+      clearTimeout(this.typingTimers.get(key));
+      this.typingTimers.delete(key);
+    }
+  }
+}
+
+module.exports = new PresenceService();
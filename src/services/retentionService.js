@@ -0,0 +1,362 @@
+// backend/src/services/retentionService.js
+const fs = require('fs').promises;
+const path = require('path');
+const configManager = require('./configManager');
+const conversationStore = require('./conversationStore');
+const fileRegistry = require('./fileRegistry');
+const shareService = require('./shareService');
+const uploadSessionService = require('./uploadSessionService');
+const toolResultCache = require('./toolResultCache');
+const logger = require('../utils/logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const UPLOAD_DIR = path.resolve(__dirname, '../../uploads');
+
+const DEFAULT_SETTINGS = {
+  temp_storage_duration: 3600000,
+  check_interval: 900000,
+  // Conversations updated within this window are active; their attached files are never purged
+  active_conversation_duration: 7 * 24 * 60 * 60 * 1000,
+  // MIME type (or prefix ending in "/") -> duration in ms; null keeps matching files forever
+  type_policies: {},
+  report_history: 20
+};
+
+const folderSize = async (folder) => {
+  const entries = await fs.readdir(folder, { withFileTypes: true }).catch(() => []);
+  let size = 0;
+  for (const entry of entries) {
+    const entryPath = path.join(folder, entry.name);
+    size += entry.isDirectory()
+      ? await folderSize(entryPath)
+      : (await fs.stat(entryPath).catch(() => ({ size: 0 }))).size;
+  }
+  return size;
+};
+
+class RetentionService {
+  constructor() {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.reports = [];
+    this.io = null;
+    this.timer = null;
+    this.running = null;
+    this.filePath = path.join(DATA_DIR, 'retention.json');
+    this.pendingWrite = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  async initialize(io = null) {
+    try {
+      this.io = io;
+
+      const config = await configManager.loadConfig('mcp');
+      const fileProcessing = config.file_processing || {};
+      this.settings = {
+        ...DEFAULT_SETTINGS,
+        ...(fileProcessing.retention || {}),
+        temp_storage_duration: parseInt(process.env.TEMP_STORAGE_DURATION, 10)
+          || fileProcessing.temp_storage_duration
+          || DEFAULT_SETTINGS.temp_storage_duration
+      };
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        this.reports = data.reports || [];
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.isInitialized = true;
+      logger.info(`Retention service initialized; uploads expire after ${this.settings.temp_storage_duration}ms by default`);
+    } catch (error) {
+      logger.error('Failed to initialize retention service:', error);
+      throw error;
+    }
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Scheduled retention run failed:', error));
+    }, this.settings.check_interval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // Files of conversations that are still in use: recently updated or shared through an
+  // active link. Both attached files and files sent with messages count, since regenerating,
+  // retrying tools and shared downloads read them again.
+  getProtectedFileIds(now = Date.now()) {
+    const protectedIds = new Set();
+    conversationStore.list().forEach(conversation => {
+      const updatedAt = new Date(conversation.updatedAt).getTime();
+      if (now - updatedAt > this.settings.active_conversation_duration && !shareService.hasActiveShare(conversation.id)) {
+        return;
+      }
+
+      conversation.attachedFiles.forEach(file => protectedIds.add(String(file.id)));
+      conversation.messages.forEach(message => {
+        (message.files || []).forEach(file => protectedIds.add(String(file.id)));
+      });
+    });
+    return protectedIds;
+  }
+
+  // fileId -> durations set by conversations that attached or sent the file
+  getConversationPolicies() {
+    const policies = new Map();
+    conversationStore.list()
+      .filter(conversation => conversation.retention)
+      .forEach(conversation => {
+        const fileIds = new Set(conversation.attachedFiles.map(file => String(file.id)));
+        conversation.messages.forEach(message => {
+          (message.files || []).forEach(file => fileIds.add(String(file.id)));
+        });
+
+        fileIds.forEach(fileId => {
+          if (!policies.has(fileId)) {
+            policies.set(fileId, []);
+          }
+          policies.get(fileId).push(conversation.retention.duration);
+        });
+      });
+    return policies;
+  }
+
+  // The most specific type policy: an exact MIME type, else the longest matching prefix
+  getTypePolicy(type) {
+    const policies = this.settings.type_policies || {};
+    if (type && Object.prototype.hasOwnProperty.call(policies, type)) {
+      return { matched: true, duration: policies[type] };
+    }
+
+    const prefix = Object.keys(policies)
+      .filter(key => key.endsWith('/') && type && type.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? { matched: true, duration: policies[prefix] } : { matched: false, duration: null };
+  }
+
+  // How long a file is kept and why; a null duration means it is kept
+  getPolicy(record, conversationPolicies) {
+    const conversationDurations = conversationPolicies.get(String(record.id));
+    if (conversationDurations) {
+      // The most generous conversation wins
+      return conversationDurations.includes(null)
+        ? { source: 'conversation', duration: null }
+        : { source: 'conversation', duration: Math.max(...conversationDurations) };
+    }
+
+    const typePolicy = this.getTypePolicy(record.type);
+    if (typePolicy.matched) {
+      return { source: 'type', duration: typePolicy.duration };
+    }
+
+    return { source: 'default', duration: this.settings.temp_storage_duration };
+  }
+
+  // Purges expired files, stray upload folders and abandoned resumable uploads; dryRun reports without deleting
+  run({ dryRun = false } = {}) {
+    // Overlapping runs would race on the same files
+    if (!this.running) {
+      this.running = this.purge({ dryRun }).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async purge({ dryRun }) {
+    const now = Date.now();
+    const protectedIds = this.getProtectedFileIds(now);
+    const conversationPolicies = this.getConversationPolicies();
+    const report = {
+      startedAt: new Date(now).toISOString(),
+      finishedAt: null,
+      dryRun,
+      purged: [],
+      purgedFolders: [],
+      expiredUploads: [],
+      prunedToolResults: 0,
+      kept: { pinned: 0, attached: 0, policy: 0, unexpired: 0 },
+      freedBytes: 0,
+      errors: []
+    };
+
+    for (const record of fileRegistry.list()) {
+      if (record.pinned) {
+        report.kept.pinned++;
+        continue;
+      }
+
+      if (protectedIds.has(String(record.id))) {
+        report.kept.attached++;
+        continue;
+      }
+
+      const policy = this.getPolicy(record, conversationPolicies);
+      if (policy.duration === null) {
+        report.kept.policy++;
+        continue;
+      }
+
+      const storedAt = new Date(record.lastUploadedAt || record.uploadedAt).getTime();
+      if (now - storedAt <= policy.duration) {
+        report.kept.unexpired++;
+        continue;
+      }
+
+      try {
+        if (!dryRun) {
+          await fileRegistry.remove(record.id);
+          const conversationIds = await conversationStore.detachFileEverywhere(record.id);
+          this.emitFilesChanged(conversationIds);
+        }
+
+        report.purged.push({
+          id: record.id,
+          name: record.name,
+          type: record.type,
+          size: record.size,
+          policy: policy.source,
+          storedAt: new Date(storedAt).toISOString()
+        });
+        report.freedBytes += record.size || 0;
+      } catch (error) {
+        logger.error(`Failed to purge file ${record.id}:`, error);
+        report.errors.push({ id: record.id, error: error.message });
+      }
+    }
+
+    await this.purgeStrayFolders(report, now, protectedIds);
+
+    // Abandoned resumable uploads are not registered files, so they expire on their own terms
+    if (!dryRun) {
+      try {
+        report.expiredUploads = await uploadSessionService.pruneExpired();
+      } catch (error) {
+        logger.error('Failed to prune expired resumable uploads:', error);
+        report.errors.push({ uploads: 'partial', error: error.message });
+      }
+
+      try {
+        report.prunedToolResults = await toolResultCache.prune();
+      } catch (error) {
+        logger.error('Failed to prune cached tool results:', error);
+        report.errors.push({ toolResults: 'cache', error: error.message });
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    logger.info(`Retention run${dryRun ? ' (dry run)' : ''} purged ${report.purged.length} files and ${report.purgedFolders.length} folders, ${report.freedBytes} bytes`);
+
+    this.reports.unshift(report);
+    this.reports = this.reports.slice(0, this.settings.report_history);
+    await this.save();
+    return report;
+  }
+
+  // Upload folders left by uploads that were never registered (failed processing, rejected
+  // types) expire after the default duration unless a registered file lives there. Only
+  // folders recorded by the upload routes are considered, never other content in uploads/.
+  async purgeStrayFolders(report, now, protectedIds) {
+    const inUse = new Set();
+    fileRegistry.list().forEach(record => {
+      const filePath = fileRegistry.resolvePath(record);
+      if (filePath) {
+        inUse.add(path.dirname(filePath));
+      }
+    });
+    conversationStore.list().forEach(conversation => {
+      const files = [
+        ...conversation.attachedFiles,
+        ...conversation.messages.flatMap(message => message.files || [])
+      ];
+      files
+        .filter(file => protectedIds.has(String(file.id)) && file.path)
+        .forEach(file => inUse.add(path.dirname(path.resolve(file.path))));
+    });
+
+    for (const folder of fileRegistry.getUploadFolders()) {
+      const folderPath = path.join(UPLOAD_DIR, folder);
+
+      try {
+        const stats = await fs.stat(folderPath).catch(() => null);
+        if (!stats) {
+          // Emptied when its files moved to blob storage
+          if (!report.dryRun) {
+            await fileRegistry.untrackUploadFolder(folder);
+          }
+          continue;
+        }
+
+        if (!stats.isDirectory() || inUse.has(folderPath) || now - stats.mtime.getTime() <= this.settings.temp_storage_duration) {
+          continue;
+        }
+
+        const size = await folderSize(folderPath);
+        if (!report.dryRun) {
+          await fs.rm(folderPath, { recursive: true, force: true });
+          await fileRegistry.untrackUploadFolder(folder);
+        }
+
+        report.purgedFolders.push({ folder, size });
+        report.freedBytes += size;
+      } catch (error) {
+        logger.error(`Failed to purge upload folder ${folder}:`, error);
+        report.errors.push({ folder, error: error.message });
+      }
+    }
+  }
+
+  emitFilesChanged(conversationIds) {
+    if (!this.io) {
+      return;
+    }
+
+    conversationIds.forEach(conversationId => {
+      this.io.to(conversationId).emit('conversation_files_changed', {
+        conversationId,
+        files: conversationStore.getAttachedFiles(conversationId)
+      });
+    });
+  }
+
+  getReports() {
+    return this.reports;
+  }
+
+  getSettings() {
+    return {
+      defaultDuration: this.settings.temp_storage_duration,
+      checkInterval: this.settings.check_interval,
+      activeConversationDuration: this.settings.active_conversation_duration,
+      typePolicies: this.settings.type_policies
+    };
+  }
+
+  save() {
+    const write = this.pendingWrite.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify({ reports: this.reports }, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = new RetentionService();
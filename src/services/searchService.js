@@ -0,0 +1,387 @@
+// backend/src/services/searchService.js
+const conversationStore = require('./conversationStore');
+const logger = require('../utils/logger');
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+// Documents are capped so a huge extracted PDF cannot dominate memory
+const MAX_DOCUMENT_LENGTH = 200000;
+const SNIPPET_RADIUS = 80;
+const MAX_LIMIT = 100;
+
+// Matched words are normalized the same way at index and query time
+const normalizeToken = (token) => token
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const tokenize = (text) => {
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}_]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push({
+      term: normalizeToken(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Flatten a tool result into searchable text (strings, numbers and caption-like keys)
+const collectText = (value, parts = [], depth = 0) => {
+  if (value === null || value === undefined || depth > 8) {
+    return parts;
+  }
+
+  if (typeof value === 'string') {
+    parts.push(value);
+  } else if (typeof value === 'number' || typeof value === 'boolean') {
+    parts.push(String(value));
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectText(item, parts, depth + 1));
+  } else if (typeof value === 'object') {
+    Object.values(value).forEach(item => collectText(item, parts, depth + 1));
+  }
+
+  return parts;
+};
+
+class SearchService {
+  constructor() {
+    // conversationId -> { revision, documents, postings, totalLength }
+    this.indexes = new Map();
+  }
+
+  // Parse a query into phrase ("exact words") and term clauses; a trailing * makes a prefix term
+  parseQuery(query) {
+    const clauses = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+      if (match[1] !== undefined) {
+        const terms = tokenize(match[1]).map(token => token.term);
+        if (terms.length === 1) {
+          clauses.push({ type: 'term', term: terms[0], prefix: false });
+        } else if (terms.length > 1) {
+          clauses.push({ type: 'phrase', terms });
+        }
+        continue;
+      }
+
+      const prefix = match[2].endsWith('*');
+      const terms = tokenize(match[2]).map(token => token.term);
+      terms.forEach((term, index) => {
+        clauses.push({ type: 'term', term, prefix: prefix && index === terms.length - 1 });
+      });
+    }
+
+    return clauses;
+  }
+
+  buildDocuments(conversation) {
+    const documents = [];
+    const messages = conversation.messages || [];
+    const indexedToolMessages = new Set();
+
+    messages.forEach(message => {
+      const base = {
+        conversationId: conversation.id,
+        messageId: message.id,
+        sender: message.sender,
+        timestamp: message.timestamp,
+        modelId: message.modelId || conversation.modelId || null,
+        toolsUsed: message.toolsUsed || []
+      };
+
+      if (message.text) {
+        documents.push({ ...base, type: 'message', toolId: null, text: message.text });
+      }
+
+      if (Array.isArray(message.toolResults) && message.toolResults.length > 0) {
+        indexedToolMessages.add(String(message.id));
+        message.toolResults.forEach(toolResult => {
+          documents.push(this.createToolDocument(base, toolResult));
+        });
+      }
+    });
+
+    // Interactions recorded by the MCP Bridge carry tool output for messages saved before
+    // tool results were kept on the message itself
+    (conversation.context || []).forEach(interaction => {
+      if (interaction.messageId !== undefined && indexedToolMessages.has(String(interaction.messageId))) {
+        return;
+      }
+
+      const base = {
+        conversationId: conversation.id,
+        messageId: interaction.messageId !== undefined ? interaction.messageId : null,
+        sender: 'ai',
+        timestamp: interaction.timestamp,
+        modelId: interaction.modelId || conversation.modelId || null,
+        toolsUsed: interaction.toolsUsed || []
+      };
+
+      (interaction.toolResults || []).forEach(toolResult => {
+        documents.push(this.createToolDocument(base, toolResult));
+      });
+    });
+
+    return documents.filter(document => document.text);
+  }
+
+  createToolDocument(base, toolResult) {
+    const text = toolResult.success
+      ? collectText(toolResult.result).join('\n')
+      : toolResult.error || '';
+
+    return {
+      ...base,
+      type: 'tool_result',
+      toolId: toolResult.toolId,
+      text: text.substring(0, MAX_DOCUMENT_LENGTH)
+    };
+  }
+
+  // Per-conversation inverted index, rebuilt only when the conversation has changed
+  getConversationIndex(conversation) {
+    const revision = conversationStore.getRevision(conversation.id);
+    const cached = this.indexes.get(conversation.id);
+    if (cached && cached.revision === revision) {
+      return cached;
+    }
+
+    const documents = this.buildDocuments(conversation).map(document => {
+      const tokens = tokenize(document.text);
+      return { ...document, tokens, length: tokens.length };
+    });
+
+    // term -> Map(documentIndex -> positions)
+    const postings = new Map();
+    let totalLength = 0;
+
+    documents.forEach((document, documentIndex) => {
+      totalLength += document.length;
+      document.tokens.forEach((token, position) => {
+        if (!postings.has(token.term)) {
+          postings.set(token.term, new Map());
+        }
+
+        const documentPostings = postings.get(token.term);
+        if (!documentPostings.has(documentIndex)) {
+          documentPostings.set(documentIndex, []);
+        }
+        documentPostings.get(documentIndex).push(position);
+      });
+    });
+
+    const index = { revision, documents, postings, totalLength };
+    this.indexes.set(conversation.id, index);
+    return index;
+  }
+
+  refreshIndexes() {
+    const conversations = conversationStore.list();
+    const liveIds = new Set(conversations.map(conversation => conversation.id));
+
+    for (const conversationId of this.indexes.keys()) {
+      if (!liveIds.has(conversationId)) {
+        this.indexes.delete(conversationId);
+      }
+    }
+
+    return conversations.map(conversation => this.getConversationIndex(conversation));
+  }
+
+  expandTerm(index, clause) {
+    if (!clause.prefix) {
+      return index.postings.has(clause.term) ? [clause.term] : [];
+    }
+
+    return Array.from(index.postings.keys()).filter(term => term.startsWith(clause.term));
+  }
+
+  // Positions in the document matching a clause, or null when it does not match
+  matchClause(index, documentIndex, clause) {
+    if (clause.type === 'term') {
+      const positions = [];
+      this.expandTerm(index, clause).forEach(term => {
+        const documentPositions = index.postings.get(term).get(documentIndex);
+        if (documentPositions) {
+          documentPositions.forEach(position => positions.push({ position, length: 1, term }));
+        }
+      });
+      return positions.length > 0 ? positions : null;
+    }
+
+    const [first, ...rest] = clause.terms;
+    const firstPositions = index.postings.get(first)?.get(documentIndex) || [];
+    const matches = firstPositions
+      .filter(start => rest.every((term, offset) =>
+        (index.postings.get(term)?.get(documentIndex) || []).includes(start + offset + 1)))
+      .map(position => ({ position, length: clause.terms.length, term: clause.terms.join(' ') }));
+
+    return matches.length > 0 ? matches : null;
+  }
+
+  matchesFilters(document, filters) {
+    const timestamp = document.timestamp ? new Date(document.timestamp).getTime() : null;
+
+    if (filters.from && (timestamp === null || timestamp < filters.from)) return false;
+    if (filters.to && (timestamp === null || timestamp > filters.to)) return false;
+    if (filters.modelId && document.modelId !== filters.modelId) return false;
+    if (filters.conversationId && document.conversationId !== filters.conversationId) return false;
+    if (filters.type && document.type !== filters.type) return false;
+    if (filters.toolId && document.toolId !== filters.toolId && !document.toolsUsed.includes(filters.toolId)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  buildSnippet(document, matches) {
+    const first = matches.reduce((earliest, match) => (match.position < earliest.position ? match : earliest));
+    const start = Math.max(0, document.tokens[first.position].start - SNIPPET_RADIUS);
+    const lastToken = document.tokens[first.position + first.length - 1];
+    const end = Math.min(document.text.length, lastToken.end + SNIPPET_RADIUS);
+
+    // Highlight every match that falls inside the snippet window
+    const ranges = matches
+      .map(match => ({
+        start: document.tokens[match.position].start,
+        end: document.tokens[match.position + match.length - 1].end
+      }))
+      .filter(range => range.start >= start && range.end <= end)
+      .sort((a, b) => a.start - b.start)
+      .filter((range, i, sorted) => i === 0 || range.start >= sorted[i - 1].end);
+
+    let snippet = '';
+    let cursor = start;
+    ranges.forEach(range => {
+      snippet += escapeHtml(document.text.substring(cursor, range.start));
+      snippet += `<mark>${escapeHtml(document.text.substring(range.start, range.end))}</mark>`;
+      cursor = range.end;
+    });
+    snippet += escapeHtml(document.text.substring(cursor, end));
+
+    return `${start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${end < document.text.length ? '…' : ''}`;
+  }
+
+  search(query, options = {}) {
+    const clauses = this.parseQuery(query);
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+    if (clauses.length === 0) {
+      return { query, results: [], total: 0, limit, offset };
+    }
+
+    const filters = {
+      from: options.from ? new Date(options.from).getTime() : null,
+      to: options.to ? new Date(options.to).getTime() : null,
+      modelId: options.modelId || null,
+      toolId: options.toolId || null,
+      conversationId: options.conversationId || null,
+      type: options.type || null
+    };
+
+    const indexes = this.refreshIndexes();
+
+    // Corpus statistics for BM25 across every conversation
+    const documentCount = indexes.reduce((sum, index) => sum + index.documents.length, 0);
+    const averageLength = indexes.reduce((sum, index) => sum + index.totalLength, 0) / (documentCount || 1);
+    const documentFrequency = (term) => indexes.reduce((sum, index) =>
+      sum + (index.postings.get(term)?.size || 0), 0);
+    const idfCache = new Map();
+    const idf = (term) => {
+      if (!idfCache.has(term)) {
+        const frequency = documentFrequency(term);
+        idfCache.set(term, Math.log(1 + (documentCount - frequency + 0.5) / (frequency + 0.5)));
+      }
+      return idfCache.get(term);
+    };
+
+    const results = [];
+
+    indexes.forEach(index => {
+      // Candidates must contain something matching the first clause
+      const firstClause = clauses[0];
+      const candidateTerms = firstClause.type === 'term'
+        ? this.expandTerm(index, firstClause)
+        : [firstClause.terms[0]];
+      const candidates = new Set();
+      candidateTerms.forEach(term => {
+        const documentPostings = index.postings.get(term);
+        if (documentPostings) {
+          documentPostings.forEach((positions, documentIndex) => candidates.add(documentIndex));
+        }
+      });
+
+      candidates.forEach(documentIndex => {
+        const document = index.documents[documentIndex];
+        if (!this.matchesFilters(document, filters)) {
+          return;
+        }
+
+        // Every clause must match
+        const clauseMatches = [];
+        for (const clause of clauses) {
+          const matches = this.matchClause(index, documentIndex, clause);
+          if (!matches) return;
+          clauseMatches.push(matches);
+        }
+
+        const lengthNorm = K1 * (1 - B + B * (document.length / (averageLength || 1)));
+        let score = 0;
+        clauseMatches.forEach((matches, clauseIndex) => {
+          const clause = clauses[clauseIndex];
+          const termFrequency = matches.length;
+          const weight = clause.type === 'phrase'
+            ? clause.terms.reduce((sum, term) => sum + idf(term), 0)
+            : idf(matches[0].term);
+          score += weight * (termFrequency * (K1 + 1)) / (termFrequency + lengthNorm);
+        });
+
+        results.push({
+          conversationId: document.conversationId,
+          messageId: document.messageId,
+          type: document.type,
+          sender: document.sender,
+          toolId: document.toolId,
+          modelId: document.modelId,
+          toolsUsed: document.toolsUsed,
+          timestamp: document.timestamp,
+          score: Math.round(score * 1000) / 1000,
+          snippet: this.buildSnippet(document, clauseMatches.flat())
+        });
+      });
+    });
+
+    results.sort((a, b) => b.score - a.score ||
+      new Date(b.timestamp || 0).getTime() - new Date(a.timestamp || 0).getTime());
+
+    logger.info(`Search "${query}" matched ${results.length} documents`);
+
+    return {
+      query,
+      results: results.slice(offset, offset + limit),
+      total: results.length,
+      limit,
+      offset
+    };
+  }
+}
+
+module.exports = new SearchService();
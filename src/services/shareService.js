@@ -0,0 +1,194 @@
+// backend/src/services/shareService.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const conversationStore = require('./conversationStore');
+const logger = require('../utils/logger');
+const { generateId } = require('../utils/helpers');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+// Only a hash of each token is stored, so the share file cannot be used to open shares
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class ShareService {
+  constructor() {
+    // shareId -> { id, conversationId, tokenHash, createdAt, expiresAt, revokedAt }
+    this.shares = new Map();
+    this.filePath = path.join(DATA_DIR, 'shares.json');
+    this.pendingWrite = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.shares.clear();
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        (data.shares || []).forEach(share => this.shares.set(share.id, share));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      this.isInitialized = true;
+      logger.info(`Share service initialized with ${this.shares.size} shares`);
+    } catch (error) {
+      logger.error('Failed to initialize share service:', error);
+      throw error;
+    }
+  }
+
+  // Returns the share plus its token; the token is not retrievable afterwards
+  async createShare(conversationId, { expiresAt = null } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const share = {
+      id: generateId('share'),
+      conversationId,
+      tokenHash: hashToken(token),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      revokedAt: null
+    };
+
+    this.shares.set(share.id, share);
+    await this.save();
+    logger.info(`Created share ${share.id} for conversation ${conversationId}`);
+
+    return { share: this.describe(share), token };
+  }
+
+  listShares(conversationId) {
+    return Array.from(this.shares.values())
+      .filter(share => share.conversationId === conversationId)
+      .map(share => this.describe(share));
+  }
+
+  async revokeShare(conversationId, shareId) {
+    const share = this.shares.get(shareId);
+    if (!share || share.conversationId !== conversationId) {
+      return null;
+    }
+
+    if (!share.revokedAt) {
+      share.revokedAt = new Date().toISOString();
+      await this.save();
+      logger.info(`Revoked share ${shareId} for conversation ${conversationId}`);
+    }
+
+    return this.describe(share);
+  }
+
+  // Shares go with their conversation
+  async removeConversationShares(conversationId) {
+    let removed = 0;
+    for (const [shareId, share] of this.shares) {
+      if (share.conversationId === conversationId) {
+        this.shares.delete(shareId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      await this.save();
+    }
+
+    return removed;
+  }
+
+  // The share for a token, if it is still usable
+  resolveToken(token) {
+    if (!token) {
+      return null;
+    }
+
+    const tokenHash = hashToken(token);
+    const share = Array.from(this.shares.values()).find(candidate => candidate.tokenHash === tokenHash);
+
+    if (!share || !this.isActive(share) || !conversationStore.has(share.conversationId)) {
+      return null;
+    }
+
+    return share;
+  }
+
+  isActive(share) {
+    if (share.revokedAt) {
+      return false;
+    }
+
+    return !share.expiresAt || new Date(share.expiresAt).getTime() > Date.now();
+  }
+
+  // Shared conversations keep their files available to anyone holding a link
+  hasActiveShare(conversationId) {
+    return Array.from(this.shares.values())
+      .some(share => share.conversationId === conversationId && this.isActive(share));
+  }
+
+  describe(share) {
+    const { tokenHash, ...details } = share;
+    return { ...details, active: this.isActive(share) };
+  }
+
+  // Read-only view of the selected branch; internal details such as file paths are left out
+  getSharedConversation(share) {
+    const conversation = conversationStore.get(share.conversationId);
+    const messages = conversationStore.getMessages(share.conversationId).map(message => ({
+      id: message.id,
+      sender: message.sender,
+      text: message.text,
+      timestamp: message.timestamp,
+      modelId: message.modelId,
+      personaId: message.personaId,
+      toolsUsed: message.toolsUsed,
+      toolResults: message.toolResults,
+      confidence: message.confidence,
+      files: (message.files || []).map(({ path: filePath, ...file }) => file)
+    }));
+
+    return {
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        modelId: conversation.modelId,
+        personaId: conversation.personaId || null,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+      },
+      messages,
+      files: this.getSharedFiles(share).map(({ path: filePath, ...file }) => file),
+      expiresAt: share.expiresAt
+    };
+  }
+
+  // Files attached to messages on the shared branch
+  getSharedFiles(share) {
+    const files = new Map();
+    conversationStore.getMessages(share.conversationId).forEach(message => {
+      (message.files || []).forEach(file => files.set(String(file.id), file));
+    });
+    return Array.from(files.values());
+  }
+
+  getSharedFile(share, fileId) {
+    return this.getSharedFiles(share).find(file => String(file.id) === String(fileId)) || null;
+  }
+
+  save() {
+    const write = this.pendingWrite.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify({ shares: Array.from(this.shares.values()) }, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = new ShareService();
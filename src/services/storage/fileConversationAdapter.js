@@ -0,0 +1,80 @@
+// backend/src/services/storage/fileConversationAdapter.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// Stores each conversation as its own JSON document under the data directory.
+// Any adapter exposing initialize/loadAll/save/remove can replace this one.
+class FileConversationAdapter {
+  constructor(directory) {
+    this.directory = directory;
+    this.pendingWrites = new Map();
+  }
+
+  async initialize() {
+    await fs.mkdir(this.directory, { recursive: true });
+    logger.info(`Conversation storage directory ensured: ${this.directory}`);
+  }
+
+  getFilePath(conversationId) {
+    // Conversation IDs come from clients, so keep them from escaping the directory
+    const safeId = encodeURIComponent(conversationId);
+    return path.join(this.directory, `${safeId}.json`);
+  }
+
+  async loadAll() {
+    const conversations = [];
+    const entries = await fs.readdir(this.directory);
+
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+
+      try {
+        const data = await fs.readFile(path.join(this.directory, entry), 'utf8');
+        conversations.push(JSON.parse(data));
+      } catch (error) {
+        logger.error(`Failed to load conversation file ${entry}:`, error);
+      }
+    }
+
+    return conversations;
+  }
+
+  async save(conversation) {
+    // Chain writes per conversation so concurrent updates land in order
+    const previous = this.pendingWrites.get(conversation.id) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      const filePath = this.getFilePath(conversation.id);
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(conversation, null, 2));
+      await fs.rename(tempPath, filePath);
+    });
+
+    this.pendingWrites.set(conversation.id, write);
+
+    try {
+      await write;
+    } finally {
+      if (this.pendingWrites.get(conversation.id) === write) {
+        this.pendingWrites.delete(conversation.id);
+      }
+    }
+  }
+
+  async remove(conversationId) {
+    const pending = this.pendingWrites.get(conversationId);
+    if (pending) {
+      await pending.catch(() => {});
+    }
+
+    try {
+      await fs.unlink(this.getFilePath(conversationId));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = FileConversationAdapter;
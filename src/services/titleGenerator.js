@@ -0,0 +1,110 @@
+// backend/src/services/titleGenerator.js
+const conversationStore = require('./conversationStore');
+const logger = require('../utils/logger');
+
+const MAX_TITLE_LENGTH = 80;
+// How much of the first exchange is sent to the model
+const MAX_EXCHANGE_CHARS = 2000;
+
+// Models tend to wrap titles in quotes or prefix them with "Title:"
+const cleanTitle = (text) => (text || '')
+  .split('\n')
+  .map(line => line.trim())
+  .find(Boolean)
+  ?.replace(/^["'`*#\s]*title\s*:\s*/i, '')
+  .replace(/^["'`*#\s]+|["'`*.\s]+$/g, '')
+  .substring(0, MAX_TITLE_LENGTH)
+  .trim() || '';
+
+// Used when the model cannot produce a title: the start of the first question
+const fallbackTitle = (text) => {
+  const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+  if (singleLine.length <= MAX_TITLE_LENGTH) {
+    return singleLine;
+  }
+
+  const cut = singleLine.substring(0, MAX_TITLE_LENGTH - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 20 ? cut.substring(0, lastSpace) : cut}…`;
+};
+
+class TitleGenerator {
+  constructor() {
+    this.prompt = null;
+    // conversationId -> in-flight generation promise
+    this.pending = new Map();
+  }
+
+  initialize(config = {}) {
+    this.prompt = config.prompts ? config.prompts.conversation_title : null;
+  }
+
+  // The first user question and answer on the selected branch
+  getFirstExchange(conversationId) {
+    const messages = conversationStore.getMessages(conversationId);
+    const userMessage = messages.find(message => message.sender === 'user');
+    const aiMessage = userMessage && messages.find(message =>
+      message.sender === 'ai' && String(message.parentId) === String(userMessage.id) && !message.error && !message.cancelled
+    );
+
+    return userMessage && aiMessage ? { userMessage, aiMessage } : null;
+  }
+
+  // Titles conversations that have none yet; titles set by users are never replaced.
+  // Resolves to the updated conversation, or null when nothing changed.
+  generateIfMissing(conversationId, model) {
+    const conversation = conversationStore.get(conversationId);
+    if (!conversation || conversation.title) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.pending.has(conversationId)) {
+      const generation = this.generate(conversationId, model)
+        .finally(() => this.pending.delete(conversationId));
+      this.pending.set(conversationId, generation);
+    }
+
+    return this.pending.get(conversationId);
+  }
+
+  async generate(conversationId, model) {
+    const exchange = this.getFirstExchange(conversationId);
+    if (!exchange) {
+      return null;
+    }
+
+    let title = '';
+    let titleSource = 'generated';
+
+    try {
+      if (!model || !this.prompt) {
+        throw new Error('No model or prompt available for title generation');
+      }
+
+      const prompt = this.prompt.template
+        .replace('{user_message}', exchange.userMessage.text.substring(0, MAX_EXCHANGE_CHARS))
+        .replace('{assistant_response}', (exchange.aiMessage.text || '').substring(0, MAX_EXCHANGE_CHARS))
+        .replace('{max_words}', '8');
+
+      title = cleanTitle(await model.generateResponse(prompt, this.prompt.system));
+    } catch (error) {
+      logger.warn(`Title generation failed for conversation ${conversationId}: ${error.message}`);
+    }
+
+    if (!title) {
+      title = fallbackTitle(exchange.userMessage.text);
+      titleSource = 'message';
+    }
+
+    // The user may have renamed the conversation while the model was busy
+    const conversation = conversationStore.get(conversationId);
+    if (!conversation || conversation.title || !title) {
+      return null;
+    }
+
+    logger.info(`Titled conversation ${conversationId}: ${title}`);
+    return await conversationStore.update(conversationId, { title, titleSource });
+  }
+}
+
+module.exports = new TitleGenerator();
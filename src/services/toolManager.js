@@ -82,7 +82,7 @@ class ToolManager {
     return false;
   }
 
-  async executeTool(toolId, parameters) {
+  async executeTool(toolId, parameters, options = {}) {
     try {
       const toolConfig = this.getToolConfig(toolId);
       if (!toolConfig) {
@@ -92,9 +92,9 @@ class ToolManager {
       logger.info(`Executing tool: ${toolId} (source: ${toolConfig.source})`);
 
       if (toolConfig.source === 'mcp') {
-        return await this.executeMCPTool(toolConfig, parameters);
+        return await this.executeMCPTool(toolConfig, parameters, options);
       } else if (toolConfig.source === 'docker') {
-        return await this.executeDockerTool(toolConfig, parameters);
+        return await this.executeDockerTool(toolConfig, parameters, options);
       } else {
         throw new Error(`Unknown tool source: ${toolConfig.source}`);
       }
@@ -105,7 +105,7 @@ class ToolManager {
     }
   }
 
-  async executeMCPTool(toolConfig, parameters) {
+  async executeMCPTool(toolConfig, parameters, options = {}) {
     try {
       const serverName = toolConfig.server || 'document_analysis';
       const mcpClient = this.mcpClients.get(serverName);
@@ -122,7 +122,7 @@ class ToolManager {
         }));
       }
 
-      const result = await mcpClient.executeTool(toolConfig.id, parameters);
+      const result = await mcpClient.executeTool(toolConfig.id, parameters, options);
       
       logger.info(`MCP tool ${toolConfig.id} executed successfully`);
       return result;
@@ -133,7 +133,7 @@ class ToolManager {
     }
   }
 
-  async executeDockerTool(toolConfig, parameters) {
+  async executeDockerTool(toolConfig, parameters, options = {}) {
     try {
       if (!this.dockerEndpoint) {
         throw new Error('Docker endpoint not configured');
@@ -176,7 +176,8 @@ class ToolManager {
         },
         timeout: this.config.tool_selection.timeout_per_tool || 60000,
         maxContentLength: Infinity,
-        maxBodyLength: Infinity
+        maxBodyLength: Infinity,
+        signal: options.signal
       });
 
       logger.info(`Docker tool ${toolConfig.id} executed successfully`);
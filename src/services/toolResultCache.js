@@ -0,0 +1,140 @@
+// backend/src/services/toolResultCache.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const fileRegistry = require('./fileRegistry');
+const logger = require('../utils/logger');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  ttl_hours: 168,
+  // Least recently used entries beyond this are evicted
+  max_entries: 1000
+};
+
+// Parameters are compared regardless of key order
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Tool output depends on the file content, the parameters and the request text passed to the
+// tool, not on which upload or conversation the files came from, so results are keyed by
+// content hash and shared between them
+class ToolResultCache {
+  constructor() {
+    this.settings = { ...DEFAULT_SETTINGS };
+    this.directory = path.join(DATA_DIR, 'tool-results');
+  }
+
+  initialize(config = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...(config.tool_result_cache || {}) };
+  }
+
+  // Null when the call cannot be cached: no files, or a file the registry has no hash for.
+  // Hashes sent by clients are ignored; they could claim another file's content.
+  getKey(toolId, files, parameters, userRequest = '') {
+    if (!this.settings.enabled || files.length === 0) {
+      return null;
+    }
+
+    const hashes = files.map(file => (fileRegistry.get(String(file.id)) || {}).hash);
+    if (hashes.some(hash => !hash)) {
+      return null;
+    }
+
+    return crypto.createHash('sha256')
+      .update(stableStringify({ toolId, hashes: [...hashes].sort(), parameters, userRequest }))
+      .digest('hex');
+  }
+
+  async get(key) {
+    if (!key) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(await fs.readFile(this.getPath(key), 'utf8'));
+      if (Date.now() - new Date(entry.createdAt).getTime() > this.getTtl()) {
+        await fs.rm(this.getPath(key), { force: true });
+        return null;
+      }
+
+      // The access time marks the last use for eviction; the modification time stays the write time
+      await fs.utimes(this.getPath(key), new Date(), new Date(entry.createdAt)).catch(() => {});
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable cached tool result ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  async set(key, toolId, result) {
+    if (!key) {
+      return;
+    }
+
+    const entry = { key, toolId, result, createdAt: new Date().toISOString() };
+    const filePath = this.getPath(key);
+    const tmpPath = `${filePath}.tmp`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tmpPath, JSON.stringify(entry));
+    await fs.rename(tmpPath, filePath);
+    await this.prune();
+  }
+
+  // Drops expired entries, then the least recently used ones beyond max_entries. Runs after
+  // every write and on the retention schedule, so entries that are never read again expire too.
+  async prune(now = Date.now()) {
+    const names = await fs.readdir(this.directory).catch(error => {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    });
+
+    const entries = [];
+    for (const name of names.filter(entryName => entryName.endsWith('.json'))) {
+      const filePath = path.join(this.directory, name);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats) {
+        entries.push({ filePath, writtenAt: stats.mtimeMs, usedAt: Math.max(stats.atimeMs, stats.mtimeMs) });
+      }
+    }
+
+    const expired = entries.filter(entry => now - entry.writtenAt > this.getTtl());
+    const evicted = entries
+      .filter(entry => !expired.includes(entry))
+      .sort((a, b) => b.usedAt - a.usedAt)
+      .slice(this.settings.max_entries);
+
+    for (const entry of [...expired, ...evicted]) {
+      await fs.rm(entry.filePath, { force: true });
+    }
+
+    if (expired.length + evicted.length > 0) {
+      logger.info(`Pruned ${expired.length} expired and ${evicted.length} least recently used cached tool results`);
+    }
+    return expired.length + evicted.length;
+  }
+
+  getTtl() {
+    return this.settings.ttl_hours * 60 * 60 * 1000;
+  }
+
+  getPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
+
+module.exports = new ToolResultCache();
@@ -0,0 +1,275 @@
+// backend/src/services/uploadSessionService.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const logger = require('../utils/logger');
+const { generateId, sanitizeFilename } = require('../utils/helpers');
+const fileRegistry = require('./fileRegistry');
+const { AppError } = require('../utils/errorHandler');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
+const UPLOAD_DIR = path.resolve(__dirname, '../../uploads');
+const PARTIAL_DIR = path.join(UPLOAD_DIR, 'partial');
+
+const MAX_FILE_SIZE = parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE, 10) || 5 * 1024 * 1024 * 1024;
+const MAX_CHUNK_SIZE = parseInt(process.env.RESUMABLE_CHUNK_MAX_SIZE, 10) || 64 * 1024 * 1024;
+// Sessions without a chunk for this long are discarded with their partial data
+const EXPIRY_MS = (parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+class UploadSessionService {
+  constructor() {
+    // uploadId -> { id, name, size, type, sha256, createdAt, updatedAt }
+    this.sessions = new Map();
+    // Uploads with a chunk being written; chunks for one upload are strictly sequential
+    this.writing = new Set();
+    this.filePath = path.join(DATA_DIR, 'upload-sessions.json');
+    this.pendingWrite = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      this.sessions.clear();
+
+      try {
+        const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        (data.sessions || []).forEach(session => this.sessions.set(session.id, session));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      await this.pruneExpired();
+      this.isInitialized = true;
+      logger.info(`Upload session service initialized with ${this.sessions.size} resumable uploads`);
+    } catch (error) {
+      logger.error('Failed to initialize upload session service:', error);
+      throw error;
+    }
+  }
+
+  async create({ name, size, type, sha256 = null }) {
+    if (size > MAX_FILE_SIZE) {
+      throw new AppError(`File too large (max ${MAX_FILE_SIZE} bytes)`, 413);
+    }
+
+    await this.pruneExpired();
+
+    const now = new Date().toISOString();
+    const session = {
+      id: generateId('upload'),
+      name,
+      size,
+      type,
+      sha256: sha256 ? sha256.toLowerCase() : null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await fs.mkdir(PARTIAL_DIR, { recursive: true });
+    await fs.writeFile(this.getPartPath(session), '');
+
+    this.sessions.set(session.id, session);
+    await this.save();
+    logger.info(`Created resumable upload ${session.id} for ${name} (${size} bytes)`);
+    return session;
+  }
+
+  get(uploadId) {
+    return this.sessions.get(uploadId) || null;
+  }
+
+  // The bytes on disk are the source of truth, so a chunk cut off mid-transfer still counts
+  async getOffset(session) {
+    const stats = await fs.stat(this.getPartPath(session)).catch(() => null);
+    return stats ? stats.size : 0;
+  }
+
+  async describe(session) {
+    return {
+      ...session,
+      offset: await this.getOffset(session),
+      maxChunkSize: MAX_CHUNK_SIZE,
+      expiresAt: new Date(new Date(session.updatedAt).getTime() + EXPIRY_MS).toISOString()
+    };
+  }
+
+  // Appends a chunk that must start at the current offset; returns the new offset
+  async writeChunk(uploadId, offset, stream) {
+    const session = this.get(uploadId);
+    if (!session) {
+      throw new AppError('Upload not found', 404);
+    }
+
+    if (this.writing.has(uploadId)) {
+      throw new AppError('Another chunk is being written for this upload', 409);
+    }
+
+    this.writing.add(uploadId);
+    try {
+      const current = await this.getOffset(session);
+      if (offset !== current) {
+        throw new AppError(`Offset ${offset} does not match the upload offset ${current}`, 409);
+      }
+
+      const limit = Math.min(session.size - current, MAX_CHUNK_SIZE);
+      let received = 0;
+      // Bytes past the limit are dropped rather than failing the stream, which would tear
+      // down the request before the client can be told how much was kept
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          const allowed = Math.max(0, Math.min(chunk.length, limit - received));
+          received += chunk.length;
+          callback(null, allowed < chunk.length ? chunk.subarray(0, allowed) : chunk);
+        }
+      });
+
+      try {
+        await pipeline(stream, limiter, createWriteStream(this.getPartPath(session), { flags: 'a' }));
+      } catch (error) {
+        // The client went away; whatever arrived is kept and can be resumed from
+        logger.warn(`Chunk for upload ${uploadId} interrupted: ${error.message}`);
+      }
+
+      session.updatedAt = new Date().toISOString();
+      await this.save();
+
+      if (received > limit) {
+        throw new AppError(`Chunk exceeds the ${limit} bytes allowed at offset ${current}`, 413);
+      }
+      return await this.getOffset(session);
+
+    } finally {
+      this.writing.delete(uploadId);
+    }
+  }
+
+  // Verifies the complete file against its SHA-256 and moves it into upload storage.
+  // Returns a multer-style file description for the regular upload processing.
+  async finalize(uploadId, checksum = null) {
+    const session = this.get(uploadId);
+    if (!session) {
+      throw new AppError('Upload not found', 404);
+    }
+
+    if (this.writing.has(uploadId)) {
+      throw new AppError('A chunk is still being written for this upload', 409);
+    }
+
+    const expected = (checksum || session.sha256 || '').toLowerCase();
+    if (!expected) {
+      throw new AppError('A SHA-256 checksum is required to complete the upload', 400);
+    }
+
+    const partPath = this.getPartPath(session);
+    const offset = await this.getOffset(session);
+    if (offset !== session.size) {
+      throw new AppError(`Upload incomplete: ${offset} of ${session.size} bytes received`, 409);
+    }
+
+    const actual = await hashFile(partPath);
+    if (actual !== expected) {
+      await this.remove(uploadId);
+      logger.warn(`Checksum mismatch for upload ${uploadId}; discarded`);
+      throw new AppError('Checksum mismatch; the upload was discarded and must be restarted', 422);
+    }
+
+    // Same layout as multipart uploads
+    const filename = sanitizeFilename(session.name);
+    const uploadPath = path.join(UPLOAD_DIR, `uploaded_content_${Date.now()}`);
+    const filePath = path.join(uploadPath, filename);
+
+    await fs.mkdir(uploadPath, { recursive: true });
+    await fileRegistry.trackUploadFolder(uploadPath);
+    await fs.rename(partPath, filePath);
+
+    this.sessions.delete(uploadId);
+    await this.save();
+    logger.info(`Completed resumable upload ${uploadId} -> ${filePath}`);
+
+    return {
+      originalname: session.name,
+      filename,
+      mimetype: session.type,
+      size: session.size,
+      path: filePath,
+      encoding: '7bit',
+      // Already verified, so processing does not hash the file again
+      hash: actual
+    };
+  }
+
+  async remove(uploadId) {
+    const session = this.get(uploadId);
+    if (!session) {
+      return false;
+    }
+
+    await fs.rm(this.getPartPath(session), { force: true });
+    this.sessions.delete(uploadId);
+    await this.save();
+    return true;
+  }
+
+  // Discards sessions idle past the expiry and partial files no session refers to
+  // (left by a crash between creating a part and saving its session). Returns the
+  // removed upload IDs.
+  async pruneExpired() {
+    const cutoff = Date.now() - EXPIRY_MS;
+    const expired = Array.from(this.sessions.values())
+      .filter(session => new Date(session.updatedAt).getTime() < cutoff && !this.writing.has(session.id));
+
+    for (const session of expired) {
+      logger.info(`Discarding expired resumable upload ${session.id}`);
+      await this.remove(session.id);
+    }
+
+    const orphans = [];
+    const parts = await fs.readdir(PARTIAL_DIR).catch(() => []);
+    for (const part of parts) {
+      const uploadId = path.basename(part, '.part');
+      if (!part.endsWith('.part') || this.sessions.has(uploadId)) {
+        continue;
+      }
+
+      const partPath = path.join(PARTIAL_DIR, part);
+      const stats = await fs.stat(partPath).catch(() => null);
+      if (stats && stats.mtime.getTime() < cutoff) {
+        logger.info(`Discarding orphaned partial upload ${part}`);
+        await fs.rm(partPath, { force: true });
+        orphans.push(uploadId);
+      }
+    }
+
+    return [...expired.map(session => session.id), ...orphans];
+  }
+
+  getPartPath(session) {
+    return path.join(PARTIAL_DIR, `${session.id}.part`);
+  }
+
+  save() {
+    const write = this.pendingWrite.then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify({ sessions: Array.from(this.sessions.values()) }, null, 2));
+      await fs.rename(tmpPath, this.filePath);
+    });
+
+    this.pendingWrite = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = new UploadSessionService();
@@ -0,0 +1,163 @@
+// backend/src/socketHandlers.js
+const logger = require('./utils/logger');
+const { schemas } = require('./middleware/validation');
+const { generateId } = require('./utils/helpers');
+const chatService = require('./services/chatService');
+const jobService = require('./services/jobService');
+const presenceService = require('./services/presenceService');
+
+// Acknowledgements are optional for socket clients
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  }
+};
+
+// Socket.IO connection handling: conversation rooms, presence, typing and chat turns
+const registerSocketHandlers = (io) => {
+  // Tell everyone in a conversation room who is currently viewing it
+  const emitPresence = (conversationId) => {
+    io.to(conversationId).emit('presence_updated', {
+      conversationId,
+      participants: presenceService.getParticipants(conversationId)
+    });
+  };
+
+  const emitTyping = (socket, conversationId, participant) => {
+    socket.to(conversationId).emit('typing', {
+      conversationId,
+      socketId: participant.socketId,
+      userId: participant.userId,
+      name: participant.name,
+      isTyping: participant.typing
+    });
+  };
+
+  const joinConversation = (socket, conversationId, user) => {
+    socket.join(conversationId);
+    presenceService.join(conversationId, socket, user);
+    emitPresence(conversationId);
+  };
+
+  io.on('connection', (socket) => {
+    logger.info(`Client connected: ${socket.id}`);
+
+    socket.on('disconnect', () => {
+      presenceService.leaveAll(socket.id).forEach(emitPresence);
+      logger.info(`Client disconnected: ${socket.id}`);
+    });
+
+    // Accepts a conversation ID, or { conversationId, user: { userId, name } } for presence
+    socket.on('join_conversation', (payload, ack) => {
+      const { conversationId, user } = typeof payload === 'string' ? { conversationId: payload } : (payload || {});
+      if (!conversationId) {
+        return reply(ack, { error: 'Conversation ID is required' });
+      }
+
+      joinConversation(socket, conversationId, user);
+      logger.info(`Socket ${socket.id} joined conversation ${conversationId}`);
+      reply(ack, { conversationId, participants: presenceService.getParticipants(conversationId) });
+    });
+
+    socket.on('leave_conversation', (payload, ack) => {
+      const conversationId = typeof payload === 'string' ? payload : (payload || {}).conversationId;
+
+      socket.leave(conversationId);
+      if (presenceService.leave(conversationId, socket.id)) {
+        emitPresence(conversationId);
+      }
+
+      logger.info(`Socket ${socket.id} left conversation ${conversationId}`);
+      reply(ack, { conversationId });
+    });
+
+    // Typing updates without a conversation are ignored
+    socket.on('typing', (payload) => {
+      const { conversationId, isTyping = true } = payload || {};
+      if (!conversationId || typeof conversationId !== 'string') {
+        return;
+      }
+
+      const participant = presenceService.setTyping(conversationId, socket.id, Boolean(isTyping), (expired) => {
+        emitTyping(socket, conversationId, expired);
+      });
+
+      if (participant) {
+        emitTyping(socket, conversationId, participant);
+      }
+    });
+
+    // Same validation and processing as POST /api/chat/message; the ack receives the outcome
+    socket.on('send_message', async (payload, ack) => {
+      const { error, value } = schemas.chatMessage.validate(payload || {});
+      if (error) {
+        return reply(ack, {
+          error: 'Validation error',
+          message: error.details.map(detail => detail.message).join(', ')
+        });
+      }
+
+      const { async: runAsJob, ...params } = value;
+
+      const selectionError = chatService.getSelectionError(params);
+      if (selectionError) {
+        return reply(ack, { error: selectionError });
+      }
+
+      // The sender receives the streamed events like any other viewer of the room
+      if (!presenceService.isInRoom(params.conversationId, socket.id)) {
+        joinConversation(socket, params.conversationId);
+      }
+
+      const typing = presenceService.setTyping(params.conversationId, socket.id, false);
+      if (typing) {
+        emitTyping(socket, params.conversationId, typing);
+      }
+
+      try {
+        if (runAsJob) {
+          const job = await jobService.enqueue(params);
+          return reply(ack, {
+            message: 'Chat job queued',
+            jobId: job.id,
+            requestId: job.requestId,
+            state: job.state
+          });
+        }
+
+        // Known up front so the client can cancel before the answer arrives
+        params.requestId = params.requestId || generateId('req');
+        socket.emit('message_accepted', { conversationId: params.conversationId, requestId: params.requestId });
+
+        const outcome = await chatService.processMessage(io, params);
+        reply(ack, chatService.describeOutcome(outcome));
+
+      } catch (error) {
+        if (error.isOperational) {
+          return reply(ack, { error: error.message });
+        }
+
+        logger.error('Socket send_message error:', error);
+        reply(ack, { error: 'Internal server error' });
+      }
+    });
+
+    socket.on('cancel_request', (payload, ack) => {
+      const { requestId, conversationId } = payload || {};
+      if (!requestId && !conversationId) {
+        return reply(ack, { error: 'Request ID or conversation ID is required' });
+      }
+
+      const cancelled = requestId
+        ? [chatService.cancelRequest(requestId)].filter(Boolean)
+        : chatService.cancelConversation(conversationId);
+
+      logger.info(`Socket ${socket.id} cancelled ${cancelled.length} request(s)`);
+      reply(ack, { cancelled });
+    });
+  });
+};
+
+module.exports = {
+  registerSocketHandlers
+};
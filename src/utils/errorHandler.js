@@ -12,6 +12,29 @@ class AppError extends Error {
   }
 }
 
+// Raised when an in-flight request is stopped through its AbortSignal
+class RequestCancelledError extends AppError {
+  constructor(message = 'Request cancelled') {
+    super(message, 499);
+    this.name = 'RequestCancelledError';
+    this.cancelled = true;
+  }
+}
+
+const isCancellationError = err =>
+  Boolean(err) && (
+    err.cancelled === true ||
+    err.code === 'ERR_CANCELED' ||
+    err.name === 'CanceledError' ||
+    err.name === 'AbortError'
+  );
+
+const throwIfAborted = signal => {
+  if (signal && signal.aborted) {
+    throw new RequestCancelledError();
+  }
+};
+
 const handleCastErrorDB = err => {
   const message = `Invalid ${err.path}: ${err.value}.`;
   return new AppError(message, 400);
@@ -136,5 +159,8 @@ process.on('unhandledRejection', err => {
 
 module.exports = {
   AppError,
+  RequestCancelledError,
+  isCancellationError,
+  throwIfAborted,
   globalErrorHandler
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+// backend/src/utils/eventStream.js
+
+/**
+ * Parse a Server-Sent Events response stream, calling onEvent for every
+ * complete event. Resolves when the stream ends or a [DONE] marker arrives.
+ */
+const parseEventStream = (stream, onEvent) => {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let finished = false;
+
+    const finish = (error) => {
+      if (finished) return;
+      finished = true;
+      if (error) {
+        stream.destroy();
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    const dispatch = (block) => {
+      let event = 'message';
+      const dataLines = [];
+
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.slice(5).replace(/^ /, ''));
+        }
+      });
+
+      if (dataLines.length === 0) return;
+
+      const data = dataLines.join('\n');
+      if (data === '[DONE]') {
+        finish();
+        return;
+      }
+
+      onEvent({ event, data });
+    };
+
+    if (typeof stream.setEncoding === 'function') {
+      stream.setEncoding('utf8');
+    }
+
+    stream.on('data', (chunk) => {
+      if (finished) return;
+      buffer += chunk.toString().replace(/\r\n/g, '\n');
+
+      let boundary;
+      while (!finished && (boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        try {
+          dispatch(block);
+        } catch (error) {
+          finish(error);
+        }
+      }
+    });
+
+    stream.on('end', () => {
+      if (!finished && buffer.trim()) {
+        try {
+          dispatch(buffer);
+        } catch (error) {
+          finish(error);
+          return;
+        }
+      }
+      finish();
+    });
+
+    stream.on('error', finish);
+  });
+};
+
+/**
+ * Write a single Server-Sent Event to an HTTP response
+ */
+const writeEvent = (res, event, data) => {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+module.exports = {
+  parseEventStream,
+  writeEvent
+};
@@ -18,7 +18,8 @@ const requiredDirs = [
   'src/middleware',
   'src/utils',
   'uploads',
-  'logs'
+  'logs',
+  'data'
 ];
 
 console.log('📁 Checking directories...');
@@ -45,10 +46,14 @@ const requiredFiles = [
   'src/services/toolManager.js',
   'src/services/fileProcessor.js',
   'src/services/configManager.js',
+  'src/services/conversationStore.js',
+  'src/services/contextManager.js',
+  'src/services/personaManager.js',
   'src/models/qwen/qwenClient.js',
   'src/config/models.json',
   'src/config/tools.json',
   'src/config/mcp.json',
+  'src/config/personas.json',
   'src/middleware/cors.js',
   'src/utils/logger.js',
   'src/utils/errorHandler.js',
@@ -0,0 +1,250 @@
+// backend/tests/chatRoutes.test.js
+jest.mock('../src/services/mcpBridge', () => ({
+  getCurrentModel: () => 'test-model',
+  resolveModel: () => Promise.resolve(null),
+  processUserRequest: jest.fn()
+}));
+jest.mock('../src/services/titleGenerator', () => ({
+  generateIfMissing: () => Promise.resolve(null)
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mcpBridge = require('../src/services/mcpBridge');
+const conversationStore = require('../src/services/conversationStore');
+const chatRoutes = require('../src/routes/chat');
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.io = null;
+  next();
+});
+app.use('/api/chat', chatRoutes);
+
+// Parse a text/event-stream body into [{ event, data }]
+const parseEvents = (text) => text.trim().split('\n\n').map(block => {
+  const [eventLine, dataLine] = block.split('\n');
+  return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+});
+
+describe('POST /api/chat/stream', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+  });
+
+  test('streams progress, deltas and the stored answer', async () => {
+    mcpBridge.processUserRequest.mockImplementation(async (conversationId, text, files, { onToken }) => {
+      onToken('Revenue ');
+      onToken('grew');
+      return { response: 'Revenue grew', modelId: 'test-model', toolsUsed: [], toolResults: [] };
+    });
+
+    const res = await request(app)
+      .post('/api/chat/stream')
+      .send({ message: 'How did revenue change?', conversationId: 'stream-ok', requestId: 'req-stream' });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const events = parseEvents(res.text);
+    expect(events.map(e => e.event)).toEqual(['request_started', 'message_delta', 'message_delta', 'message_complete']);
+    expect(events[0].data).toMatchObject({ conversationId: 'stream-ok', requestId: 'req-stream' });
+    expect(events.slice(1, 3).map(e => e.data.delta).join('')).toBe('Revenue grew');
+
+    const { message } = events[3].data;
+    expect(message).toMatchObject({ text: 'Revenue grew', sender: 'ai', requestId: 'req-stream' });
+    expect(events[1].data.messageId).toBe(message.id);
+    expect(conversationStore.getMessage('stream-ok', message.id)).toMatchObject({ text: 'Revenue grew' });
+  });
+
+  test('a failed turn ends the stream with an error event', async () => {
+    mcpBridge.processUserRequest.mockRejectedValue(new Error('model offline'));
+
+    const res = await request(app)
+      .post('/api/chat/stream')
+      .send({ message: 'Anything?', conversationId: 'stream-failed' });
+
+    const events = parseEvents(res.text);
+    expect(events[events.length - 1]).toMatchObject({ event: 'error', data: { error: 'Processing failed' } });
+  });
+
+  test('the body is validated like POST /message', async () => {
+    const missing = await request(app).post('/api/chat/stream').send({ message: 'hi' });
+    const wrongType = await request(app).post('/api/chat/stream').send({ message: 42, conversationId: 'c1' });
+
+    expect(missing.status).toBe(400);
+    expect(missing.body).toMatchObject({ error: 'Validation error', message: expect.stringMatching(/conversationId/) });
+    expect(wrongType.status).toBe(400);
+    expect(mcpBridge.processUserRequest).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('model selection', () => {
+  const modelManager = require('../src/services/modelManager');
+
+  const modelUsed = () => mcpBridge.processUserRequest.mock.calls[mcpBridge.processUserRequest.mock.calls.length - 1][3].modelId;
+
+  beforeAll(async () => {
+    await conversationStore.initialize();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(modelManager, 'isModelAvailable').mockImplementation(modelId => ['deepseek', 'qwen-local'].includes(modelId));
+    mcpBridge.processUserRequest.mockImplementation(async (conversationId, text, files, { modelId }) => (
+      { response: 'ok', modelId: modelId || 'test-model', toolsUsed: [], toolResults: [] }
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a conversation answers with its own model unless a message overrides it', async () => {
+    const selected = await request(app).put('/api/chat/conversations/per-model/model').send({ modelId: 'deepseek' });
+    expect(selected.body).toMatchObject({ conversationId: 'per-model', modelId: 'deepseek' });
+
+    const own = await request(app).post('/api/chat/message').send({ message: 'hi', conversationId: 'per-model' });
+    expect(modelUsed()).toBe('deepseek');
+    expect(own.body.modelId).toBe('deepseek');
+
+    const override = await request(app).post('/api/chat/message').send({ message: 'hi', conversationId: 'per-model', modelId: 'qwen-local' });
+    expect(modelUsed()).toBe('qwen-local');
+    expect(override.body.modelId).toBe('qwen-local');
+    expect(conversationStore.get('per-model').modelId).toBe('deepseek');
+  });
+
+  test('unavailable models are refused before anything is stored', async () => {
+    const calls = mcpBridge.processUserRequest.mock.calls.length;
+
+    const conversationModel = await request(app).put('/api/chat/conversations/no-model/model').send({ modelId: 'gpt-9' });
+    const messageModel = await request(app).post('/api/chat/message').send({ message: 'hi', conversationId: 'no-model', modelId: 'gpt-9' });
+
+    expect(conversationModel.status).toBe(400);
+    expect(messageModel.status).toBe(400);
+    expect(messageModel.body.error).toBe('Model gpt-9 not available');
+    expect(mcpBridge.processUserRequest.mock.calls.length).toBe(calls);
+    expect(conversationStore.has('no-model')).toBe(false);
+  });
+});
+
+describe('PUT /api/chat/history/:conversationId/messages/:messageId', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    mcpBridge.processUserRequest.mockImplementation(async (conversationId, text) => (
+      { response: `answer to ${text}`, modelId: 'test-model', toolsUsed: [], toolResults: [] }
+    ));
+  });
+
+  test('the edited text starts a sibling branch with its own answer', async () => {
+    const first = await request(app).post('/api/chat/message').send({ message: 'original', conversationId: 'edits' });
+    const questionId = first.body.message.parentId;
+
+    const edited = await request(app).put(`/api/chat/history/edits/messages/${questionId}`).send({ message: 'edited' });
+
+    expect(edited.status).toBe(200);
+    expect(edited.body.message.text).toBe('answer to edited');
+    expect(conversationStore.getMessages('edits').map(m => m.text)).toEqual(['edited', 'answer to edited']);
+    expect(conversationStore.getSiblingIds('edits', conversationStore.getMessage('edits', questionId))).toHaveLength(2);
+  });
+
+  test('the body is validated like a new chat message', async () => {
+    const first = await request(app).post('/api/chat/message').send({ message: 'original', conversationId: 'bad-edits' });
+    const url = `/api/chat/history/bad-edits/messages/${first.body.message.parentId}`;
+
+    const responses = await Promise.all([
+      request(app).put(url).send({}),
+      request(app).put(url).send({ message: 42 }),
+      request(app).put(url).send({ message: 'x', files: 'report.csv' }),
+      request(app).put(url).send({ message: 'x', async: true })
+    ]);
+
+    responses.forEach(res => {
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation error');
+    });
+    expect(conversationStore.getAllMessages('bad-edits')).toHaveLength(2);
+  });
+});
+
+describe('persona selection', () => {
+  const personaManager = require('../src/services/personaManager');
+
+  const personaUsed = () => mcpBridge.processUserRequest.mock.calls[mcpBridge.processUserRequest.mock.calls.length - 1][3].personaId;
+
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    await personaManager.initialize();
+    mcpBridge.processUserRequest.mockImplementation(async (conversationId, text, files, { personaId }) => (
+      { response: 'ok', modelId: 'test-model', personaId, toolsUsed: [], toolResults: [] }
+    ));
+  });
+
+  test('a conversation answers with its persona unless a message picks another', async () => {
+    const selected = await request(app).put('/api/chat/conversations/analyst/persona').send({ personaId: 'finance-analyst' });
+    expect(selected.status).toBe(200);
+
+    await request(app).post('/api/chat/message').send({ message: 'hi', conversationId: 'analyst' });
+    expect(personaUsed()).toBe('finance-analyst');
+
+    const unknown = await request(app).post('/api/chat/message').send({ message: 'hi', conversationId: 'analyst', personaId: 'nobody' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('Persona nobody not found');
+
+    await request(app).put('/api/chat/conversations/analyst/persona').send({ personaId: null });
+    await request(app).post('/api/chat/message').send({ message: 'hi', conversationId: 'analyst' });
+    expect(personaUsed()).toBeNull();
+  });
+});
+
+describe('conversation titles, tags and folders', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    await conversationStore.getOrCreate('labels-a');
+    await conversationStore.getOrCreate('labels-b');
+    await conversationStore.getOrCreate('labels-c');
+  });
+
+  const listIds = async (query) => {
+    const res = await request(app).get('/api/chat/conversations').query(query);
+    return res.body.conversations.map(c => c.conversationId).filter(id => id.startsWith('labels-')).sort();
+  };
+
+  test('renaming, tagging and filing are reflected in the list filters', async () => {
+    const renamed = await request(app).put('/api/chat/conversations/labels-a/title').send({ title: '  Budget 2025  ' });
+    expect(renamed.body).toMatchObject({ title: 'Budget 2025', titleSource: 'user' });
+
+    const tagged = await request(app).put('/api/chat/conversations/labels-a/tags').send({ tags: ['Finance', ' finance ', 'Q3'] });
+    expect(tagged.body.tags).toEqual(['Finance', 'Q3']);
+    await request(app).put('/api/chat/conversations/labels-b/tags').send({ tags: ['finance'] });
+    await request(app).put('/api/chat/conversations/labels-b/folder').send({ folder: 'Reports' });
+
+    expect(await listIds({ q: 'budget' })).toEqual(['labels-a']);
+    expect(await listIds({ tags: 'FINANCE' })).toEqual(['labels-a', 'labels-b']);
+    expect(await listIds({ tags: 'finance,q3' })).toEqual(['labels-a']);
+    expect(await listIds({ folder: 'reports' })).toEqual(['labels-b']);
+    expect(await listIds({ unfiled: 'true' })).toEqual(['labels-a', 'labels-c']);
+
+    const labels = await request(app).get('/api/chat/conversations/labels');
+    expect(labels.body.tags).toEqual(expect.arrayContaining([{ name: 'Finance', count: 2 }, { name: 'Q3', count: 1 }]));
+    expect(labels.body.folders).toEqual(expect.arrayContaining([{ name: 'Reports', count: 1 }]));
+
+    await request(app).put('/api/chat/conversations/labels-b/folder').send({ folder: null });
+    expect(await listIds({ unfiled: 'true' })).toEqual(['labels-a', 'labels-b', 'labels-c']);
+  });
+
+  test('labels are validated and unknown conversations are not created', async () => {
+    expect((await request(app).put('/api/chat/conversations/labels-a/title').send({ title: '   ' })).status).toBe(400);
+    expect((await request(app).put('/api/chat/conversations/labels-a/tags').send({ tags: 'finance' })).status).toBe(400);
+    expect((await request(app).put('/api/chat/conversations/nowhere/folder').send({ folder: 'Reports' })).status).toBe(404);
+    expect(conversationStore.has('nowhere')).toBe(false);
+  });
+
+  test('the list is paginated', async () => {
+    const res = await request(app).get('/api/chat/conversations').query({ limit: 1, offset: 1 });
+
+    expect(res.body).toMatchObject({ limit: 1, offset: 1 });
+    expect(res.body.conversations).toHaveLength(1);
+    expect(res.body.total).toBeGreaterThan(1);
+  });
+});
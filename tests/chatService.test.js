@@ -0,0 +1,165 @@
+// backend/tests/chatService.test.js
+jest.mock('../src/services/mcpBridge', () => ({
+  getCurrentModel: () => 'test-model',
+  resolveModel: () => Promise.resolve(null),
+  processUserRequest: jest.fn()
+}));
+jest.mock('../src/services/titleGenerator', () => ({
+  generateIfMissing: () => Promise.resolve(null)
+}));
+
+const mcpBridge = require('../src/services/mcpBridge');
+const chatService = require('../src/services/chatService');
+const conversationStore = require('../src/services/conversationStore');
+
+// Records what is emitted to each Socket.IO room
+const fakeIo = () => {
+  const emitted = [];
+  return {
+    emitted,
+    to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+  };
+};
+
+const waitFor = async (condition) => {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const answer = (response) => ({ response, modelId: 'test-model', toolsUsed: [], toolResults: [] });
+
+describe('chatService', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('tool progress is sent to the room and kept on the answer', async () => {
+    const io = fakeIo();
+    mcpBridge.processUserRequest.mockImplementation(async (conversationId, text, files, { onProgress }) => {
+      onProgress({ type: 'tools_selected', selectedTools: ['summarize'] });
+      onProgress({ type: 'tool_started', toolId: 'summarize' });
+      onProgress({ type: 'tool_completed', toolId: 'summarize', success: true, durationMs: 5 });
+      return answer('done');
+    });
+
+    const outcome = await chatService.processMessage(io, { message: 'summarize', conversationId: 'progress', requestId: 'req-progress' });
+    const types = ['request_started', 'tools_selected', 'tool_started', 'tool_completed'];
+
+    expect(outcome.message.progress.map(event => event.type)).toEqual(types);
+    expect(outcome.message.progress[0]).toMatchObject({ requestId: 'req-progress' });
+    expect(conversationStore.getMessage('progress', outcome.message.id).progress).toHaveLength(4);
+
+    const progressEvents = io.emitted.filter(e => e.event === 'message_progress');
+    expect(progressEvents.map(e => e.payload.type)).toEqual(types);
+    progressEvents.forEach(e => {
+      expect(e.room).toBe('progress');
+      expect(e.payload).toMatchObject({ conversationId: 'progress', messageId: outcome.message.id });
+    });
+  });
+
+  test('a request ID that is still running cannot be reused', async () => {
+    let finish;
+    mcpBridge.processUserRequest.mockImplementation(() => new Promise(resolve => {
+      finish = () => resolve(answer('done'));
+    }));
+
+    const first = chatService.processMessage(null, { message: 'first', conversationId: 'duplicate', requestId: 'req-dup' });
+
+    await expect(chatService.processMessage(null, { message: 'second', conversationId: 'duplicate', requestId: 'req-dup' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    await waitFor(() => finish);
+    finish();
+
+    expect((await first).message.text).toBe('done');
+    expect(conversationStore.getAllMessages('duplicate').map(m => m.text)).toEqual(['first', 'done']);
+    expect(chatService.getActiveRequests('duplicate')).toEqual([]);
+  });
+
+  test('turns started in the same millisecond get distinct IDs and answer their own question', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1750000000000);
+
+    // The second turn finishes first
+    const pending = [];
+    mcpBridge.processUserRequest.mockImplementation((conversationId, text) => new Promise(resolve => {
+      pending.push(() => resolve(answer(`answer to ${text}`)));
+    }));
+
+    const first = chatService.processMessage(null, { message: 'first', conversationId: 'same-ms' });
+    const second = chatService.processMessage(null, { message: 'second', conversationId: 'same-ms' });
+
+    await waitFor(() => pending.length === 2);
+    pending[1]();
+    pending[0]();
+
+    const outcomes = await Promise.all([first, second]);
+    const ids = outcomes.flatMap(outcome => [outcome.userMessage.id, outcome.message.id]);
+
+    expect(new Set(ids).size).toBe(4);
+    outcomes.forEach(outcome => {
+      expect(outcome.message.parentId).toBe(outcome.userMessage.id);
+      expect(outcome.message.text).toBe(`answer to ${outcome.userMessage.text}`);
+    });
+
+    expect(conversationStore.getAllMessages('same-ms')).toHaveLength(4);
+    // The active branch ends with the answer to the latest question, not the one that finished last
+    const [, latestQuestion, latestAnswer] = conversationStore.getMessages('same-ms');
+    expect(latestAnswer.parentId).toBe(latestQuestion.id);
+  });
+
+  test('attached files are used on every turn unless excluded', async () => {
+    const file = (id) => ({ id, name: `${id}.csv`, size: 10, type: 'text/csv' });
+    const filesUsed = () => mcpBridge.processUserRequest.mock.calls[mcpBridge.processUserRequest.mock.calls.length - 1][2].map(f => f.id);
+    mcpBridge.processUserRequest.mockResolvedValue(answer('ok'));
+
+    // Files sent with attachFiles stay on the conversation
+    await chatService.processMessage(null, { message: 'load', conversationId: 'attached', files: [file('sales')], attachFiles: true });
+    expect(conversationStore.getAttachedFiles('attached').map(f => f.id)).toEqual(['sales']);
+
+    await chatService.processMessage(null, { message: 'again', conversationId: 'attached' });
+    expect(filesUsed()).toEqual(['sales']);
+
+    await chatService.processMessage(null, { message: 'with more', conversationId: 'attached', files: [file('costs')] });
+    expect(filesUsed()).toEqual(['sales', 'costs']);
+    expect(conversationStore.getAttachedFiles('attached')).toHaveLength(1);
+
+    await chatService.processMessage(null, { message: 'without', conversationId: 'attached', excludeFileIds: ['sales'] });
+    expect(filesUsed()).toEqual([]);
+
+    await chatService.processMessage(null, { message: 'only this', conversationId: 'attached', files: [file('costs')], useAttachedFiles: false });
+    expect(filesUsed()).toEqual(['costs']);
+
+    // The user message records which files the turn analyzed
+    const [lastQuestion] = conversationStore.getMessages('attached').slice(-2);
+    expect(lastQuestion.files.map(f => f.id)).toEqual(['costs']);
+
+    await conversationStore.detachFile('attached', 'sales');
+    await chatService.processMessage(null, { message: 'detached', conversationId: 'attached' });
+    expect(filesUsed()).toEqual([]);
+  });
+
+  test('invalid commands and tool mentions are rejected up front', () => {
+    expect(() => chatService.checkMessage('/nosuch')).toThrow(/Unknown command \/nosuch/);
+    expect(() => chatService.checkMessage('@nosuch level=3')).toThrow(/Unknown tool @nosuch/);
+    expect(() => chatService.checkMessage('ask @team about it')).not.toThrow();
+  });
+
+  test('suggestions are kept on the answer and picking one is noted on the next question', async () => {
+    mcpBridge.processUserRequest.mockResolvedValue({ ...answer('Two regions.'), suggestions: ['Which region grew?'] });
+
+    const first = await chatService.processMessage(null, { message: 'Regions?', conversationId: 'suggested' });
+    expect(first.message.suggestions).toEqual(['Which region grew?']);
+    expect(chatService.describeOutcome(first).suggestions).toEqual(['Which region grew?']);
+
+    const picked = await chatService.processMessage(null, { message: ' Which region grew? ', conversationId: 'suggested' });
+    const typed = await chatService.processMessage(null, { message: 'Something else', conversationId: 'suggested' });
+
+    expect(picked.userMessage.fromSuggestion).toBe(true);
+    expect(typed.userMessage.fromSuggestion).toBeUndefined();
+  });
+});
@@ -0,0 +1,76 @@
+// backend/tests/commandService.test.js
+const commandService = require('../src/services/commandService');
+const toolManager = require('../src/services/toolManager');
+const tools = require('../src/config/tools.json');
+
+describe('commandService', () => {
+  beforeAll(() => {
+    // Docker tools count as available once an endpoint is configured
+    toolManager.availableTools = tools.available_tools.filter(tool => tool.source === 'docker');
+    toolManager.dockerEndpoint = 'http://localhost:8000';
+  });
+
+  describe('parseCommand', () => {
+    test('splits the name and arguments', () => {
+      expect(commandService.parseCommand('  /Export  html now ')).toEqual({ name: 'export', args: ['html', 'now'] });
+      expect(commandService.parseCommand('/help')).toEqual({ name: 'help', args: [] });
+    });
+
+    test('ignores messages that are not commands', () => {
+      expect(commandService.parseCommand('what about /tmp?')).toBeNull();
+      expect(commandService.parseCommand('/ 42')).toBeNull();
+    });
+  });
+
+  describe('checkCommand', () => {
+    test('rejects unknown commands and bad arguments with a 400', () => {
+      expect(() => commandService.checkCommand({ name: 'nosuch', args: [] }))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => commandService.checkCommand({ name: 'model', args: [] })).toThrow(/Usage: \/model/);
+      expect(() => commandService.checkCommand({ name: 'export', args: ['docx'] })).toThrow(/Unsupported export format/);
+    });
+
+    test('accepts valid commands', () => {
+      expect(() => commandService.checkCommand({ name: 'export', args: ['md'] })).not.toThrow();
+      expect(() => commandService.checkCommand({ name: 'tools', args: [] })).not.toThrow();
+    });
+  });
+
+  describe('parseMentions', () => {
+    test('forces mentioned tools with typed parameters', () => {
+      const mentions = commandService.parseMentions('@video_processor frame_interval=10 extract_audio=yes summarize the clip');
+
+      expect(mentions.errors).toEqual([]);
+      expect(mentions.tools).toEqual([{ toolId: 'video_processor', parameters: { frame_interval: 10, extract_audio: true } }]);
+      expect(mentions.text).toBe('summarize the clip');
+    });
+
+    test('accepts quoted values', () => {
+      const mentions = commandService.parseMentions('@data_visualizer chart_type="stacked bar" plot it');
+      expect(mentions.tools[0].parameters).toEqual({ chart_type: 'stacked bar' });
+    });
+
+    test('keeps unknown @names and e-mail addresses as text', () => {
+      const mentions = commandService.parseMentions('ask @marketing or mail a@b.com');
+
+      expect(mentions.errors).toEqual([]);
+      expect(mentions.tools).toEqual([]);
+      expect(mentions.text).toBe('ask @marketing or mail a@b.com');
+    });
+
+    test('reports unknown tools with parameters, unknown parameters and bad values', () => {
+      expect(commandService.parseMentions('@nosuch level=3').errors[0]).toMatch(/Unknown tool @nosuch/);
+      expect(commandService.parseMentions('@text_processor depth=2').errors[0]).toMatch(/Unknown parameter depth/);
+      expect(commandService.parseMentions('@text_processor summarize=maybe').errors[0]).toMatch(/expected true or false/);
+    });
+
+    test('reports tools that are not available', () => {
+      toolManager.dockerEndpoint = null;
+      try {
+        expect(commandService.parseMentions('@text_processor').errors[0]).toMatch(/not available/);
+      } finally {
+        toolManager.dockerEndpoint = 'http://localhost:8000';
+      }
+    });
+  });
+});
@@ -0,0 +1,79 @@
+// backend/tests/contextManager.test.js
+const conversationStore = require('../src/services/conversationStore');
+const contextManager = require('../src/services/contextManager');
+const mcpConfig = require('../src/config/mcp.json');
+
+const turn = (index, extra = {}) => ({
+  userMessage: `Question ${index} ${'about revenue '.repeat(20)}`,
+  response: `Answer ${index}`,
+  toolResults: [],
+  ...extra
+});
+
+// A 1024-token input window leaves room for only the latest of these turns verbatim
+const createModel = () => {
+  const calls = [];
+  return {
+    id: 'test-model',
+    config: { config: { context_window: 2048, max_tokens: 1024 } },
+    calls,
+    generateResponse: () => new Promise(resolve => calls.push(resolve))
+  };
+};
+
+describe('contextManager', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+  });
+
+  beforeEach(() => {
+    contextManager.initialize({
+      ...mcpConfig,
+      context_management: { ...mcpConfig.context_management, max_interactions: 3, max_tool_result_chars: 20 }
+    });
+  });
+
+  test('interactions are stored with trimmed tool output and capped', async () => {
+    const toolResults = [
+      { toolId: 'table_extractor', success: true, result: { rows: 'x'.repeat(500) }, parameters: {}, fileIds: ['f1'] },
+      { toolId: 'forecast', success: false, error: 'Service unavailable' }
+    ];
+
+    for (let i = 1; i <= 5; i++) {
+      await contextManager.recordInteraction('capped', turn(i, { toolResults }));
+    }
+
+    const stored = conversationStore.getContext('capped');
+    expect(stored.map(interaction => interaction.response)).toEqual(['Answer 3', 'Answer 4', 'Answer 5']);
+    expect(stored[0].toolResults).toEqual([
+      { toolId: 'table_extractor', success: true, output: '{"rows":"xxxxxxxxxxx…' },
+      { toolId: 'forecast', success: false, error: 'Service unavailable' }
+    ]);
+    expect(contextManager.formatTurn(stored[0])).toContain('- table_extractor: {"rows":"xxxxxxxxxxx…');
+  });
+
+  test('the context is built without waiting for the model, using the summary once it exists', async () => {
+    const model = createModel();
+    for (let i = 1; i <= 3; i++) {
+      await contextManager.recordInteraction('compacting', turn(i));
+    }
+
+    // Nothing is summarized yet: older questions are listed and compaction starts in the background
+    const first = contextManager.getContext('compacting', model);
+    expect(first).toContain('Summary of earlier conversation:\n- Question 1');
+    expect(first).toContain('Answer 3');
+    expect(model.calls).toHaveLength(1);
+
+    // A second request meanwhile does not start another summarization
+    contextManager.getContext('compacting', model);
+    expect(model.calls).toHaveLength(1);
+
+    model.calls[0]('Revenue was discussed twice.');
+    await contextManager.pendingCompactions.get('compacting');
+
+    const second = contextManager.getContext('compacting', model);
+    expect(second).toContain('Summary of earlier conversation:\nRevenue was discussed twice.');
+    expect(second).not.toContain('- Question 1');
+    expect(model.calls).toHaveLength(1);
+  });
+});
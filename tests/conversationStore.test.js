@@ -0,0 +1,126 @@
+// backend/tests/conversationStore.test.js
+const fs = require('fs');
+const path = require('path');
+const conversationStore = require('../src/services/conversationStore');
+
+const message = (id, sender, extra = {}) => ({
+  id,
+  sender,
+  text: `${sender} ${id}`,
+  timestamp: new Date().toISOString(),
+  ...extra
+});
+
+const pathIds = (conversationId) => conversationStore.getMessages(conversationId).map(m => m.id);
+
+describe('conversationStore', () => {
+  const directory = path.join(process.env.DATA_DIR, 'conversations');
+
+  beforeAll(async () => {
+    await conversationStore.initialize();
+  });
+
+  test('conversations are created on first use and survive a restart', async () => {
+    await conversationStore.getOrCreate('persisted', { modelId: 'qwen-local' });
+    await conversationStore.addMessage('persisted', message('q1', 'user'));
+    await conversationStore.update('persisted', { title: 'Quarterly numbers' });
+
+    await conversationStore.initialize();
+
+    expect(conversationStore.get('persisted')).toMatchObject({ modelId: 'qwen-local', title: 'Quarterly numbers' });
+    expect(pathIds('persisted')).toEqual(['q1']);
+  });
+
+  test('concurrent writes to one conversation land in order', async () => {
+    await conversationStore.getOrCreate('ordered');
+    await Promise.all(['a', 'b', 'c', 'd'].map((title, index) =>
+      conversationStore.update('ordered', { title, order: index })));
+
+    const stored = JSON.parse(fs.readFileSync(path.join(directory, 'ordered.json'), 'utf8'));
+    expect(stored).toMatchObject({ title: 'd', order: 3 });
+    expect(fs.readdirSync(directory).filter(name => name.endsWith('.tmp'))).toEqual([]);
+  });
+
+  test('client-supplied IDs cannot escape the storage directory', async () => {
+    await conversationStore.getOrCreate('../escape');
+
+    expect(fs.existsSync(path.join(process.env.DATA_DIR, 'escape.json'))).toBe(false);
+    expect(fs.readdirSync(directory)).toContain(`${encodeURIComponent('../escape')}.json`);
+  });
+
+  test('deleting a conversation removes its file', async () => {
+    await conversationStore.getOrCreate('doomed');
+
+    expect(await conversationStore.delete('doomed')).toBe(true);
+    expect(conversationStore.has('doomed')).toBe(false);
+    expect(fs.existsSync(path.join(directory, 'doomed.json'))).toBe(false);
+    expect(await conversationStore.delete('doomed')).toBe(false);
+  });
+
+  test('another storage adapter can be plugged in', async () => {
+    const saved = [];
+    const adapter = {
+      initialize: async () => {},
+      loadAll: async () => [{ id: 'remote', messages: [] }],
+      save: async (conversation) => saved.push(conversation.id),
+      remove: async () => {}
+    };
+
+    await conversationStore.initialize(adapter);
+    try {
+      expect(conversationStore.list().map(c => c.id)).toEqual(['remote']);
+      await conversationStore.addMessage('remote', message('q1', 'user'));
+      expect(saved).toEqual(['remote']);
+    } finally {
+      conversationStore.adapter = null;
+      await conversationStore.initialize();
+    }
+  });
+});
+
+describe('conversationStore message tree', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+  });
+
+  test('new messages extend the active branch', async () => {
+    await conversationStore.addMessage('linear', message('q1', 'user'));
+    await conversationStore.addMessage('linear', message('a1', 'ai'));
+    await conversationStore.addMessage('linear', message('q2', 'user'));
+
+    expect(pathIds('linear')).toEqual(['q1', 'a1', 'q2']);
+    expect(conversationStore.getMessage('linear', 'q2').parentId).toBe('a1');
+  });
+
+  test('an explicit parent starts a branch that can be switched back from', async () => {
+    await conversationStore.addMessage('branching', message('q1', 'user'));
+    await conversationStore.addMessage('branching', message('a1', 'ai'));
+    await conversationStore.addMessage('branching', message('q2', 'user'));
+    await conversationStore.addMessage('branching', message('q2-edit', 'user', { parentId: 'a1' }));
+
+    expect(pathIds('branching')).toEqual(['q1', 'a1', 'q2-edit']);
+    expect(conversationStore.getSiblingIds('branching', conversationStore.getMessage('branching', 'q2')))
+      .toEqual(['q2', 'q2-edit']);
+
+    await conversationStore.setActiveMessage('branching', 'a1');
+    // Descends to the most recent reply
+    expect(pathIds('branching')).toEqual(['q1', 'a1', 'q2-edit']);
+
+    await conversationStore.setActiveMessage('branching', 'q2');
+    expect(pathIds('branching')).toEqual(['q1', 'a1', 'q2']);
+  });
+
+  test('a reply finishing after the next question keeps that question active', async () => {
+    await conversationStore.addMessage('concurrent', message('q1', 'user'));
+    await conversationStore.addMessage('concurrent', message('q2', 'user'));
+    await conversationStore.addMessage('concurrent', message('a1', 'ai', { parentId: 'q1' }));
+
+    expect(pathIds('concurrent')).toEqual(['q1', 'q2']);
+
+    await conversationStore.addMessage('concurrent', message('a2', 'ai', { parentId: 'q2' }));
+
+    expect(pathIds('concurrent')).toEqual(['q1', 'q2', 'a2']);
+    expect(conversationStore.getAllMessages('concurrent')).toHaveLength(4);
+    expect(conversationStore.getChildren('concurrent', 'q1').map(m => m.id)).toEqual(['q2', 'a1']);
+  });
+});
@@ -0,0 +1,72 @@
+// backend/tests/exportService.test.js
+const conversationStore = require('../src/services/conversationStore');
+const exportService = require('../src/services/exportService');
+
+const toolResults = [
+  {
+    toolId: 'table_extractor',
+    success: true,
+    result: { tables: [{ caption: 'Revenue | by region', data: [{ region: 'EU', revenue: 120 }, { region: 'US', revenue: 200 }] }] }
+  },
+  { toolId: 'forecast', success: false, error: 'Service unavailable' }
+];
+
+describe('exportService', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    await conversationStore.getOrCreate('report');
+    await conversationStore.update('report', { title: 'Q3 <review>' });
+    await conversationStore.addMessage('report', {
+      id: 'q1', sender: 'user', text: 'Revenue by region?', timestamp: '2025-01-01T00:00:00.000Z'
+    });
+    await conversationStore.addMessage('report', {
+      id: 'a1',
+      sender: 'ai',
+      text: 'US leads.',
+      timestamp: '2025-01-01T00:00:05.000Z',
+      modelId: 'claude-3-sonnet',
+      toolsUsed: ['table_extractor', 'forecast'],
+      toolResults,
+      confidence: 0.8
+    });
+  });
+
+  test('format names and aliases are resolved case-insensitively', () => {
+    expect(exportService.resolveFormat('MD')).toBe('markdown');
+    expect(exportService.resolveFormat('htm')).toBe('html');
+    expect(exportService.resolveFormat('docx')).toBeNull();
+    expect(exportService.getSupportedFormats()).toEqual(['markdown', 'html', 'json', 'pdf']);
+  });
+
+  test('Markdown renders tool output as tables and notes failed tools', async () => {
+    const exported = await exportService.exportConversation('report', 'md');
+
+    expect(exported).toMatchObject({ format: 'markdown', extension: 'md' });
+    expect(exported.body).toContain('# Q3 <review>');
+    expect(exported.body).toContain('_Confidence: 80% · Model: claude-3-sonnet · Tools: table_extractor, forecast_');
+    expect(exported.body).toContain('**Revenue | by region**');
+    expect(exported.body).toContain('| region | revenue |\n| --- | --- |\n| EU | 120 |\n| US | 200 |');
+    expect(exported.body).toContain('### Tool: forecast (failed)\n\n> Service unavailable');
+  });
+
+  test('HTML escapes conversation content', async () => {
+    const { body } = await exportService.exportConversation('report', 'html');
+
+    expect(body).toContain('Q3 &lt;review&gt;');
+    expect(body).not.toContain('<review>');
+  });
+
+  test('JSON keeps the selected branch and PDF produces a document', async () => {
+    const json = JSON.parse((await exportService.exportConversation('report', 'json')).body);
+    const pdf = await exportService.exportConversation('report', 'pdf');
+
+    expect(json).toMatchObject({ conversationId: 'report', messageCount: 2 });
+    expect(json.messages.map(m => m.id)).toEqual(['q1', 'a1']);
+    expect(Buffer.isBuffer(pdf.body)).toBe(true);
+    expect(pdf.body.subarray(0, 5).toString()).toBe('%PDF-');
+  });
+
+  test('unknown conversations export nothing', async () => {
+    await expect(exportService.exportConversation('missing', 'json')).resolves.toBeNull();
+  });
+});
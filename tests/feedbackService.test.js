@@ -0,0 +1,49 @@
+// backend/tests/feedbackService.test.js
+const feedbackService = require('../src/services/feedbackService');
+
+const answer = (id, extra = {}) => ({
+  id,
+  modelId: 'claude-3-sonnet',
+  toolsUsed: ['table_extractor'],
+  confidence: 0.8,
+  ...extra
+});
+
+describe('feedbackService', () => {
+  beforeAll(async () => {
+    await feedbackService.initialize();
+  });
+
+  test('rating a message again replaces the earlier rating and survives a restart', async () => {
+    const first = await feedbackService.submitFeedback('c1', answer('a1'), { rating: 'down', comment: 'Wrong total' });
+    const second = await feedbackService.submitFeedback('c1', answer('a1'), { rating: 'up' });
+
+    await feedbackService.initialize();
+
+    expect(second.id).toBe(first.id);
+    expect(second.createdAt).toBe(first.createdAt);
+    expect(feedbackService.getFeedback('c1', 'a1')).toMatchObject({ rating: 'up', comment: '', modelId: 'claude-3-sonnet' });
+  });
+
+  test('satisfaction is reported by model, tool and persona', async () => {
+    await feedbackService.submitFeedback('c2', answer('a1', { personaId: 'finance-analyst' }), { rating: 'up' });
+    await feedbackService.submitFeedback('c2', answer('a2', { modelId: 'deepseek', toolsUsed: [], confidence: 0.4 }), { rating: 'down' });
+
+    const report = feedbackService.getReport({ interval: 'month' });
+
+    expect(report.totals).toMatchObject({ count: 3, up: 2, down: 1, satisfaction: 0.667, averageConfidence: 0.667 });
+    expect(report.byModel.map(({ modelId, count, satisfaction }) => ({ modelId, count, satisfaction }))).toEqual([
+      { modelId: 'claude-3-sonnet', count: 2, satisfaction: 1 },
+      { modelId: 'deepseek', count: 1, satisfaction: 0 }
+    ]);
+    expect(report.byTool.map(group => group.toolId)).toEqual(['table_extractor', 'none']);
+    expect(report.byPersona.map(group => group.personaId)).toEqual(['default', 'finance-analyst']);
+    expect(report.timeline).toEqual([expect.objectContaining({ period: new Date().toISOString().substring(0, 7), count: 3 })]);
+  });
+
+  test('reports can be limited to a model and a time range', () => {
+    expect(feedbackService.getReport({ modelId: 'deepseek' }).totals.count).toBe(1);
+    expect(feedbackService.getReport({ to: '2000-01-01T00:00:00.000Z' }).totals).toMatchObject({ count: 0, satisfaction: null });
+    expect(feedbackService.getReport({ interval: 'year' }).interval).toBe('day');
+  });
+});
@@ -0,0 +1,132 @@
+// backend/tests/fileRegistry.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const fileRegistry = require('../src/services/fileRegistry');
+const conversationStore = require('../src/services/conversationStore');
+const filesRoutes = require('../src/routes/files');
+
+const app = express();
+app.use(express.json());
+app.use('/api/files', filesRoutes);
+
+const UPLOAD_DIR = path.resolve(__dirname, '../uploads');
+
+const upload = (id, extra = {}) => ({
+  id,
+  name: `${id}.csv`,
+  filename: `${id}.csv`,
+  size: 12,
+  type: 'text/csv',
+  path: path.join(UPLOAD_DIR, 'uploaded_content_test', `${id}.csv`),
+  uploadedAt: new Date().toISOString(),
+  ...extra
+});
+
+describe('fileRegistry', () => {
+  beforeAll(async () => {
+    await fileRegistry.initialize();
+  });
+
+  test('registered files and upload folders survive a restart', async () => {
+    await fileRegistry.register(upload('kept', { unknownField: 'dropped' }));
+    await fileRegistry.setPinned('kept', true);
+    await fileRegistry.trackUploadFolder(path.join(UPLOAD_DIR, 'uploaded_content_test'));
+
+    await fileRegistry.initialize();
+
+    expect(fileRegistry.get('kept')).toMatchObject({ name: 'kept.csv', type: 'text/csv', pinned: true, aliases: [], hash: null });
+    expect(fileRegistry.get('kept').unknownField).toBeUndefined();
+    expect(fileRegistry.getUploadFolders()).toContain('uploaded_content_test');
+    expect(await fileRegistry.setPinned('missing', true)).toBeNull();
+  });
+
+  test('stored paths are only trusted inside the uploads directory', () => {
+    expect(fileRegistry.resolvePath(upload('inside'))).toBe(path.join(UPLOAD_DIR, 'uploaded_content_test', 'inside.csv'));
+    expect(fileRegistry.resolvePath(upload('outside', { path: '/etc/passwd' }))).toBeNull();
+    expect(fileRegistry.resolvePath(upload('escape', { path: path.join(UPLOAD_DIR, '../package.json') }))).toBeNull();
+  });
+
+  test('removing a record never deletes files outside the uploads directory', async () => {
+    const outside = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bi-registry-')), 'report.csv');
+    fs.writeFileSync(outside, 'a,b\n1,2\n');
+
+    try {
+      await fileRegistry.register(upload('foreign', { path: outside }));
+
+      expect(await fileRegistry.remove('foreign')).toMatchObject({ id: 'foreign' });
+      expect(fileRegistry.get('foreign')).toBeNull();
+      expect(fs.existsSync(outside)).toBe(true);
+      expect(await fileRegistry.remove('foreign')).toBeNull();
+    } finally {
+      fs.rmSync(path.dirname(outside), { recursive: true, force: true });
+    }
+  });
+
+  test('identical uploads share one stored blob until the record is removed', async () => {
+    const folder = path.join(UPLOAD_DIR, 'uploaded_content_dedupe_test');
+    const hash = `dedupe-test-${Date.now()}`;
+    const blobPath = path.join(UPLOAD_DIR, 'blobs', `${hash}.csv`);
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, 'first.csv'), 'a,b\n1,2\n');
+    fs.writeFileSync(path.join(folder, 'second.csv'), 'a,b\n1,2\n');
+
+    try {
+      const [first, second] = await Promise.all([
+        fileRegistry.storeUpload(upload('dedupe-first', { name: 'first.csv', hash, path: path.join(folder, 'first.csv') })),
+        fileRegistry.storeUpload(upload('dedupe-second', { name: 'second.csv', hash, path: path.join(folder, 'second.csv') }))
+      ]);
+
+      expect(first).toMatchObject({ duplicate: false, record: { id: 'dedupe-first', path: blobPath } });
+      expect(second).toMatchObject({ duplicate: true, record: { id: 'dedupe-first', aliases: ['second.csv'] } });
+      expect(fileRegistry.get('dedupe-second')).toBeNull();
+      expect(fs.existsSync(folder)).toBe(false);
+      expect(fs.readFileSync(blobPath, 'utf8')).toBe('a,b\n1,2\n');
+
+      await fileRegistry.remove('dedupe-first');
+
+      expect(fs.existsSync(blobPath)).toBe(false);
+    } finally {
+      fs.rmSync(folder, { recursive: true, force: true });
+      fs.rmSync(blobPath, { force: true });
+      if (fs.existsSync(path.dirname(blobPath)) && fs.readdirSync(path.dirname(blobPath)).length === 0) {
+        fs.rmdirSync(path.dirname(blobPath));
+      }
+    }
+  });
+});
+
+describe('file routes', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    await fileRegistry.initialize();
+  });
+
+  test('unknown files are not found', async () => {
+    expect((await request(app).get('/api/files/nosuch')).status).toBe(404);
+    expect((await request(app).get('/api/files/download/nosuch')).status).toBe(404);
+    expect((await request(app).delete('/api/files/nosuch')).status).toBe(404);
+  });
+
+  test('metadata reports whether the content is still stored', async () => {
+    await fileRegistry.register(upload('gone'));
+
+    const res = await request(app).get('/api/files/gone');
+
+    expect(res.body.file).toMatchObject({ id: 'gone', name: 'gone.csv', exists: false });
+    expect((await request(app).get('/api/files/download/gone')).status).toBe(404);
+  });
+
+  test('deleting a file detaches it from every conversation', async () => {
+    await fileRegistry.register(upload('attached'));
+    await conversationStore.attachFiles('uses-file', [upload('attached'), upload('other')]);
+
+    const res = await request(app).delete('/api/files/attached');
+
+    expect(res.status).toBe(200);
+    expect(fileRegistry.get('attached')).toBeNull();
+    expect(conversationStore.getAttachedFiles('uses-file').map(f => f.id)).toEqual(['other']);
+  });
+});
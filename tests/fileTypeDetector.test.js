@@ -0,0 +1,86 @@
+// backend/tests/fileTypeDetector.test.js
+const fs = require('fs');
+const path = require('path');
+const fileTypeDetector = require('../src/services/fileTypeDetector');
+const { verifyFileType } = require('../src/middleware/fileUpload');
+
+const PDF = Buffer.from('%PDF-1.7\n1 0 obj\n<<>>\nendobj\n');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52]);
+const ZIP = Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0, 0, 0, 0, 0]);
+const EXE = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(62), Buffer.from([0x80, 0, 0, 0])]);
+
+let counter = 0;
+const upload = (originalname, content, mimetype) => {
+  const filePath = path.join(process.env.DATA_DIR, `${++counter}_${originalname}`);
+  fs.writeFileSync(filePath, content);
+  return { originalname, mimetype, path: filePath };
+};
+
+describe('fileTypeDetector', () => {
+  test('accepts content matching the declared type', async () => {
+    await expect(fileTypeDetector.verify(upload('report.pdf', PDF, 'application/pdf'))).resolves.toBe('application/pdf');
+    await expect(fileTypeDetector.verify(upload('chart.png', PNG, 'image/png'))).resolves.toBe('image/png');
+  });
+
+  test('rejects content that does not match the declared type', async () => {
+    await expect(fileTypeDetector.verify(upload('chart.png', PDF, 'image/png')))
+      .rejects.toMatchObject({ statusCode: 415, message: expect.stringMatching(/contains application\/pdf/) });
+  });
+
+  test('rejects executables whatever they are called', async () => {
+    await expect(fileTypeDetector.verify(upload('invoice.pdf', EXE, 'application/pdf')))
+      .rejects.toMatchObject({ statusCode: 415, message: expect.stringMatching(/executable/) });
+  });
+
+  describe('generic declared types', () => {
+    test.each(['application/octet-stream', 'binary/octet-stream', ''])('%j stores the detected type', async (mimetype) => {
+      await expect(fileTypeDetector.verify(upload('scan.bin', PDF, mimetype))).resolves.toBe('application/pdf');
+    });
+
+    test('text is typed by its extension', async () => {
+      await expect(fileTypeDetector.verify(upload('sales.csv', 'region,total\nnorth,12\n', 'application/octet-stream')))
+        .resolves.toBe('text/csv');
+      await expect(fileTypeDetector.verify(upload('notes', 'just some notes', 'application/octet-stream')))
+        .resolves.toBe('text/plain');
+    });
+
+    test('content types that are not allowed are still rejected', async () => {
+      await expect(verifyFileType(upload('archive.bin', ZIP, 'application/octet-stream')))
+        .rejects.toMatchObject({ statusCode: 415, message: expect.stringMatching(/application\/zip/) });
+    });
+  });
+
+  describe('text formats', () => {
+    const SVG = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"><rect/></svg>';
+
+    test('SVG is accepted when the content is SVG', async () => {
+      await expect(verifyFileType(upload('logo.svg', SVG, 'image/svg+xml'))).resolves.toBe('image/svg+xml');
+      await expect(verifyFileType(upload('logo.svg', SVG, 'application/octet-stream'))).resolves.toBe('image/svg+xml');
+    });
+
+    test('SVG, JSON and XML must look like what they claim to be', async () => {
+      await expect(fileTypeDetector.verify(upload('logo.svg', 'not a drawing', 'image/svg+xml')))
+        .rejects.toMatchObject({ statusCode: 415 });
+      await expect(fileTypeDetector.verify(upload('data.json', 'name,value', 'application/json')))
+        .rejects.toMatchObject({ statusCode: 415 });
+      await expect(fileTypeDetector.verify(upload('feed.xml', '{"a": 1}', 'application/xml')))
+        .rejects.toMatchObject({ statusCode: 415 });
+    });
+
+    test('JSON and XML are accepted when the content matches', async () => {
+      await expect(fileTypeDetector.verify(upload('data.json', '\uFEFF [{"a": 1}]', 'application/json')))
+        .resolves.toBe('application/json');
+      await expect(fileTypeDetector.verify(upload('feed.xml', '<feed/>', 'text/xml'))).resolves.toBe('text/xml');
+    });
+
+    test('text declared as another binary type is rejected', async () => {
+      await expect(fileTypeDetector.verify(upload('photo.png', 'hello', 'image/png')))
+        .rejects.toMatchObject({ statusCode: 415, message: expect.stringMatching(/contains text/) });
+    });
+  });
+
+  test('empty files get their own error', async () => {
+    await expect(fileTypeDetector.verify(upload('empty.pdf', '', 'application/pdf')))
+      .rejects.toMatchObject({ statusCode: 400, message: 'empty.pdf is empty' });
+  });
+});
@@ -0,0 +1,100 @@
+// backend/tests/jobService.test.js
+jest.mock('../src/services/mcpBridge', () => ({
+  getCurrentModel: () => 'test-model',
+  resolveModel: () => Promise.resolve(null),
+  processUserRequest: jest.fn()
+}));
+jest.mock('../src/services/titleGenerator', () => ({
+  generateIfMissing: () => Promise.resolve(null)
+}));
+
+const fs = require('fs');
+const path = require('path');
+const mcpBridge = require('../src/services/mcpBridge');
+const conversationStore = require('../src/services/conversationStore');
+const jobService = require('../src/services/jobService');
+const { RequestCancelledError } = require('../src/utils/errorHandler');
+
+const waitFor = async (condition) => {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+const finished = (job) => ['completed', 'failed', 'cancelled'].includes(job.state);
+
+describe('jobService', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    await jobService.initialize();
+  });
+
+  test('a queued job answers like a direct request and keeps its result', async () => {
+    mcpBridge.processUserRequest.mockResolvedValue({ response: 'Revenue grew', modelId: 'test-model', toolsUsed: [], toolResults: [] });
+
+    const job = await jobService.enqueue({ message: 'How is revenue?', conversationId: 'jobs' });
+    await waitFor(() => finished(job));
+
+    expect(job).toMatchObject({ state: 'completed', attempts: 1, error: null });
+    expect(job.result.message).toMatchObject({ id: job.messageId, text: 'Revenue grew', requestId: job.requestId });
+    expect(job.progress[0]).toMatchObject({ type: 'request_started', requestId: job.requestId });
+    expect(conversationStore.getMessage('jobs', job.userMessageId).text).toBe('How is revenue?');
+    expect(jobService.describe(job).params).toBeUndefined();
+  });
+
+  test('invalid commands and tool mentions are refused before a job is queued', async () => {
+    const before = jobService.list().length;
+
+    await expect(jobService.enqueue({ message: '/nosuch', conversationId: 'jobs' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(jobService.enqueue({ message: '@nosuch level=3', conversationId: 'jobs' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(jobService.list()).toHaveLength(before);
+  });
+
+  test('a running job can be cancelled', async () => {
+    mcpBridge.processUserRequest.mockImplementation((conversationId, text, files, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new RequestCancelledError()));
+    }));
+
+    const job = await jobService.enqueue({ message: 'slow', conversationId: 'jobs' });
+    await waitFor(() => job.messageId);
+    await jobService.cancel(job.id);
+    await waitFor(() => finished(job));
+
+    expect(job.state).toBe('cancelled');
+    expect(job.result.message).toMatchObject({ cancelled: true });
+  });
+
+  test('jobs cut off by a restart run again, answering the stored user message', async () => {
+    mcpBridge.processUserRequest.mockResolvedValue({ response: 'Recovered', modelId: 'test-model', toolsUsed: [], toolResults: [] });
+    await conversationStore.addMessage('restarted', { id: 'q1', sender: 'user', text: 'Still there?', timestamp: new Date().toISOString() });
+
+    const now = new Date().toISOString();
+    const interrupted = {
+      id: 'job-interrupted',
+      requestId: 'req-interrupted',
+      conversationId: 'restarted',
+      state: 'running',
+      params: { message: 'Still there?', conversationId: 'restarted', requestId: 'req-interrupted' },
+      userMessageId: 'q1',
+      messageId: null,
+      progress: [],
+      result: null,
+      error: null,
+      attempts: 1,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: now,
+      finishedAt: null
+    };
+    const exhausted = { ...interrupted, id: 'job-exhausted', requestId: 'req-exhausted', attempts: 3 };
+    fs.writeFileSync(path.join(process.env.DATA_DIR, 'jobs.json'), JSON.stringify({ jobs: [interrupted, exhausted] }));
+
+    await jobService.initialize();
+    const job = jobService.get('job-interrupted');
+    await waitFor(() => finished(job));
+
+    expect(job).toMatchObject({ state: 'completed', attempts: 2 });
+    expect(conversationStore.getAllMessages('restarted').filter(m => m.sender === 'user')).toHaveLength(1);
+    expect(jobService.get('job-exhausted')).toMatchObject({ state: 'failed', error: 'Job was interrupted too many times' });
+  });
+});
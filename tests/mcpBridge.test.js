@@ -0,0 +1,202 @@
+// backend/tests/mcpBridge.test.js
+const mcpBridge = require('../src/services/mcpBridge');
+const mcpConfig = require('../src/config/mcp.json');
+
+const toolResults = [{ toolId: 'summarize', success: true, result: { summary: 'Revenue grew' } }];
+
+// Claude streams `partial` before failing; the fallback model streams the whole answer
+const fakeModel = (partial) => ({
+  id: 'claude',
+  client: {
+    synthesizeResponse: async (userMessage, results, context, { onToken }) => {
+      partial.forEach(onToken);
+      throw new Error('connection reset');
+    }
+  },
+  generateResponseStream: async (prompt, systemPrompt, onToken) => {
+    onToken('Hello');
+    return 'Hello';
+  }
+});
+
+const synthesize = async (partial) => {
+  const events = [];
+  const response = await mcpBridge.synthesizeResponseWithClaude('hi', toolResults, '', {
+    model: fakeModel(partial),
+    onToken: (delta) => events.push(`delta:${delta}`),
+    onProgress: (event) => events.push(event.type)
+  });
+  return { response, events };
+};
+
+describe('mcpBridge Claude synthesis fallback', () => {
+  beforeAll(() => {
+    mcpBridge.config = mcpConfig;
+  });
+
+  test('a partially streamed answer is reset before the fallback restreams it', async () => {
+    const { response, events } = await synthesize(['Hel']);
+
+    expect(response).toBe('Hello');
+    expect(events).toEqual(['delta:Hel', 'response_reset', 'delta:Hello']);
+  });
+
+  test('no reset is sent when Claude fails before its first token', async () => {
+    const { events } = await synthesize([]);
+
+    expect(events).toEqual(['delta:Hello']);
+  });
+});
+
+describe('mcpBridge tool progress', () => {
+  const toolManager = require('../src/services/toolManager');
+  const toolResultCache = require('../src/services/toolResultCache');
+
+  beforeAll(() => {
+    mcpBridge.config = mcpConfig;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('every tool reports when it starts and how it finished', async () => {
+    jest.spyOn(toolResultCache, 'get').mockResolvedValue(null);
+    jest.spyOn(toolResultCache, 'set').mockResolvedValue();
+    jest.spyOn(toolManager, 'executeTool')
+      .mockResolvedValueOnce({ summary: 'ok' })
+      .mockRejectedValueOnce(new Error('tool offline'));
+
+    const events = [];
+    const report = (event) => events.push(event);
+    const results = [
+      await mcpBridge.executeTool('summarize', [], 'hi', {}, report),
+      await mcpBridge.executeTool('forecast', [], 'hi', {}, report)
+    ];
+
+    expect(results.map(r => r.success)).toEqual([true, false]);
+    expect(events).toEqual([
+      { type: 'tool_started', toolId: 'summarize' },
+      { type: 'tool_completed', toolId: 'summarize', success: true, durationMs: expect.any(Number) },
+      { type: 'tool_started', toolId: 'forecast' },
+      { type: 'tool_completed', toolId: 'forecast', success: false, error: 'tool offline', durationMs: expect.any(Number) }
+    ]);
+  });
+});
+
+describe('mcpBridge model resolution', () => {
+  const modelManager = require('../src/services/modelManager');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('the current model is the default; other IDs are loaded from the model manager', async () => {
+    const current = { id: 'claude-3-sonnet' };
+    const deepseek = { id: 'deepseek' };
+    mcpBridge.currentModel = current;
+    jest.spyOn(modelManager, 'getModel').mockResolvedValue(deepseek);
+
+    await expect(mcpBridge.resolveModel()).resolves.toBe(current);
+    await expect(mcpBridge.resolveModel('claude-3-sonnet')).resolves.toBe(current);
+    await expect(mcpBridge.resolveModel('deepseek')).resolves.toBe(deepseek);
+    expect(modelManager.getModel).toHaveBeenCalledTimes(1);
+    expect(mcpBridge.currentModel).toBe(current);
+  });
+});
+
+describe('mcpBridge failed tool retry', () => {
+  const conversationStore = require('../src/services/conversationStore');
+  const toolManager = require('../src/services/toolManager');
+  const toolResultCache = require('../src/services/toolResultCache');
+
+  const model = {
+    id: 'qwen-local',
+    generateResponse: async () => '["What changed last year?"]'
+  };
+
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    mcpBridge.config = mcpConfig;
+    mcpBridge.isInitialized = true;
+    mcpBridge.currentModel = model;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only failed tools run again, with the files and parameters they first ran with', async () => {
+    jest.spyOn(toolResultCache, 'get').mockResolvedValue(null);
+    jest.spyOn(toolResultCache, 'set').mockResolvedValue();
+    jest.spyOn(toolManager, 'executeTool').mockResolvedValue({ forecast: [1, 2, 3] });
+
+    const files = [
+      { id: 'f1', name: 'sales.csv', type: 'text/csv' },
+      { id: 'f2', name: 'costs.csv', type: 'text/csv' }
+    ];
+    const previousMessage = {
+      id: 'a1',
+      toolsUsed: ['summarize', 'forecast'],
+      toolResults: [
+        { toolId: 'summarize', success: true, result: { summary: 'ok' }, parameters: {}, fileIds: ['f1', 'f2'] },
+        { toolId: 'forecast', success: false, error: 'timeout', parameters: { horizon: 6 }, fileIds: ['f2'] }
+      ]
+    };
+
+    const result = await mcpBridge.retryFailedTools('retry', 'Forecast costs', previousMessage, files, { messageId: 'a2' });
+
+    expect(toolManager.executeTool).toHaveBeenCalledTimes(1);
+    const [toolId, parameters] = toolManager.executeTool.mock.calls[0];
+    expect(toolId).toBe('forecast');
+    expect(parameters.files.map(f => f.id)).toEqual(['f2']);
+    expect(parameters.parameters).toEqual({ horizon: 6 });
+
+    expect(result.retriedTools).toEqual(['forecast']);
+    expect(result.toolResults[0]).toBe(previousMessage.toolResults[0]);
+    expect(result.toolResults[1]).toMatchObject({ toolId: 'forecast', success: true, fileIds: ['f2'], parameters: { horizon: 6 } });
+    expect(result.toolsUsed).toEqual(['summarize', 'forecast']);
+  });
+});
+
+describe('mcpBridge follow-up suggestions', () => {
+  const toolResults = [{ toolId: 'table_extractor', success: true, result: { tables: 2 } }];
+
+  beforeAll(() => {
+    mcpBridge.config = mcpConfig;
+  });
+
+  afterEach(() => {
+    mcpBridge.config = mcpConfig;
+  });
+
+  test('suggestions are read from a JSON array, or from question lines', () => {
+    expect(mcpBridge.parseSuggestions('Sure:\n["Which region grew?", "Which region grew?", 3, "Why?"]', 5))
+      .toEqual(['Which region grew?', 'Why?']);
+    expect(mcpBridge.parseSuggestions('Here are some ideas:\n1. "What drove costs?"\n- How do margins compare?\nThanks', 5))
+      .toEqual(['What drove costs?', 'How do margins compare?']);
+    expect(mcpBridge.parseSuggestions('["A?", "B?", "C?"]', 2)).toEqual(['A?', 'B?']);
+  });
+
+  test('the prompt carries the tool results and the answer', async () => {
+    const model = { generateResponse: jest.fn(async () => '["Which table has totals?"]') };
+
+    const suggestions = await mcpBridge.suggestFollowUps('Extract tables', toolResults, 'Found two tables.', { model });
+
+    expect(suggestions).toEqual(['Which table has totals?']);
+    const [prompt, system] = model.generateResponse.mock.calls[0];
+    expect(prompt).toContain('"tables": 2');
+    expect(prompt).toContain('Found two tables.');
+    expect(system).toBe(mcpConfig.prompts.follow_up_questions.system);
+  });
+
+  test('an answer is complete without suggestions when they fail or are switched off', async () => {
+    const failing = { generateResponse: async () => { throw new Error('offline'); } };
+    await expect(mcpBridge.suggestFollowUps('q', toolResults, 'a', { model: failing })).resolves.toEqual([]);
+
+    const model = { generateResponse: jest.fn() };
+    mcpBridge.config = { ...mcpConfig, follow_up_suggestions: { enabled: false } };
+    await expect(mcpBridge.suggestFollowUps('q', toolResults, 'a', { model })).resolves.toEqual([]);
+    expect(model.generateResponse).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+// backend/tests/personaManager.test.js
+const express = require('express');
+const request = require('supertest');
+const personaManager = require('../src/services/personaManager');
+const personasRoutes = require('../src/routes/personas');
+
+const app = express();
+app.use(express.json());
+app.use('/api/personas', personasRoutes);
+
+describe('personaManager', () => {
+  beforeAll(async () => {
+    await personaManager.initialize();
+  });
+
+  test('custom personas are listed after the built-in ones and survive a restart', async () => {
+    const persona = await personaManager.create({
+      name: 'Auditor',
+      systemPrompt: 'Check every figure twice.',
+      tone: 'Skeptical',
+      unknownField: 'dropped'
+    });
+
+    await personaManager.initialize();
+
+    expect(personaManager.get(persona.id)).toMatchObject({ name: 'Auditor', tone: 'Skeptical', builtIn: false });
+    expect(personaManager.get(persona.id).unknownField).toBeUndefined();
+    expect(personaManager.list().map(p => p.id).slice(-1)).toEqual([persona.id]);
+    expect(personaManager.get('finance-analyst')).toMatchObject({ builtIn: true });
+  });
+
+  test('the system prompt includes tone and output format when set', () => {
+    expect(personaManager.buildSystemPrompt({ systemPrompt: 'Be brief.' })).toBe('Be brief.');
+    expect(personaManager.buildSystemPrompt({ systemPrompt: 'Be brief.', tone: 'Calm', outputFormat: 'Bullets' }))
+      .toBe('Be brief.\n\nTone: Calm\n\nOutput format: Bullets');
+  });
+
+  test('built-in personas cannot be changed through the API', async () => {
+    const updated = await request(app).put('/api/personas/finance-analyst').send({ tone: 'Casual' });
+    const deleted = await request(app).delete('/api/personas/finance-analyst');
+
+    expect(updated.status).toBe(403);
+    expect(deleted.status).toBe(403);
+    expect(personaManager.get('finance-analyst').tone).not.toBe('Casual');
+  });
+
+  test('custom personas are validated, updated and deleted through the API', async () => {
+    const invalid = await request(app).post('/api/personas').send({ name: 'No prompt' });
+    expect(invalid.status).toBe(400);
+
+    const created = await request(app).post('/api/personas').send({ name: 'Marketer', systemPrompt: 'Focus on campaigns.' });
+    const { id } = created.body.persona;
+
+    const updated = await request(app).put(`/api/personas/${id}`).send({ tone: 'Upbeat' });
+    expect(updated.body.persona).toMatchObject({ name: 'Marketer', tone: 'Upbeat' });
+
+    expect((await request(app).delete(`/api/personas/${id}`)).status).toBe(200);
+    expect(personaManager.get(id)).toBeNull();
+  });
+});
@@ -0,0 +1,89 @@
+// backend/tests/qwenClient.test.js
+const { EventEmitter } = require('events');
+const QwenClient = require('../src/models/qwen/qwenClient');
+const { RequestCancelledError } = require('../src/utils/errorHandler');
+
+// Stands in for the Python inference process: records what is written to stdin
+// and lets the test answer on stdout
+const createProcess = () => {
+  const lines = [];
+  return {
+    lines,
+    stdin: { write: (data) => lines.push(...data.trim().split('\n')) },
+    stdout: new EventEmitter(),
+    reply(payload) {
+      this.stdout.emit('data', Buffer.from(`${JSON.stringify(payload)}\n`));
+    }
+  };
+};
+
+const requests = (lines) => lines.filter(line => line.startsWith('{')).map(line => JSON.parse(line));
+
+describe('QwenClient cancellation', () => {
+  let client;
+  let inference;
+
+  beforeEach(() => {
+    client = new QwenClient({ config: { model_path: 'test-model' } });
+    inference = createProcess();
+    client.pythonProcess = inference;
+  });
+
+  test('requests run one at a time, tagged with their ID', async () => {
+    const first = client.sendRequest({ prompt: 'one' });
+    const second = client.sendRequest({ prompt: 'two' });
+
+    expect(requests(inference.lines)).toEqual([{ prompt: 'one', id: 1 }]);
+
+    inference.reply({ id: 1, success: true, response: 'first answer' });
+    await expect(first).resolves.toBe('first answer');
+    expect(requests(inference.lines)).toEqual([{ prompt: 'one', id: 1 }, { prompt: 'two', id: 2 }]);
+
+    inference.reply({ id: 2, success: true, response: 'second answer' });
+    await expect(second).resolves.toBe('second answer');
+  });
+
+  test('cancelling the running generation names it and leaves the next request alone', async () => {
+    const controller = new AbortController();
+    const first = client.sendRequest({ prompt: 'one' }, null, controller.signal);
+    const second = client.sendRequest({ prompt: 'two' });
+
+    controller.abort();
+    await expect(first).rejects.toBeInstanceOf(RequestCancelledError);
+
+    expect(inference.lines).toContain('CANCEL 1');
+    expect(requests(inference.lines).map(request => request.id)).toEqual([1, 2]);
+
+    // Late output from the cancelled generation is not taken as the next answer
+    inference.reply({ id: 1, success: true, response: 'stale answer' });
+    inference.reply({ id: 2, success: true, response: 'second answer' });
+    await expect(second).resolves.toBe('second answer');
+  });
+
+  test('a queued request is dropped without signalling the inference process', async () => {
+    const controller = new AbortController();
+    const first = client.sendRequest({ prompt: 'one' });
+    const queued = client.sendRequest({ prompt: 'two' }, null, controller.signal);
+
+    controller.abort();
+    await expect(queued).rejects.toBeInstanceOf(RequestCancelledError);
+    expect(inference.lines.some(line => line.startsWith('CANCEL'))).toBe(false);
+
+    inference.reply({ id: 1, success: true, response: 'first answer' });
+    await expect(first).resolves.toBe('first answer');
+    expect(requests(inference.lines).map(request => request.id)).toEqual([1]);
+  });
+
+  test('streamed tokens go only to the request they belong to', async () => {
+    const tokens = [];
+    const streaming = client.sendRequest({ prompt: 'one', stream: true }, delta => tokens.push(delta));
+
+    inference.reply({ id: 1, success: true, delta: 'Hel' });
+    inference.reply({ id: 7, success: true, delta: 'other' });
+    inference.reply({ id: 1, success: true, delta: 'lo' });
+    inference.reply({ id: 1, success: true, response: 'Hello' });
+
+    await expect(streaming).resolves.toBe('Hello');
+    expect(tokens).toEqual(['Hel', 'lo']);
+  });
+});
@@ -0,0 +1,94 @@
+// backend/tests/retentionService.test.js
+const conversationStore = require('../src/services/conversationStore');
+const fileRegistry = require('../src/services/fileRegistry');
+const shareService = require('../src/services/shareService');
+const retentionService = require('../src/services/retentionService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const longAgo = new Date(Date.now() - 30 * DAY).toISOString();
+
+const file = (id) => ({
+  id,
+  name: `${id}.csv`,
+  size: 100,
+  type: 'text/csv',
+  // Outside the uploads directory, so nothing on disk is ever touched
+  path: `/nonexistent/${id}.csv`,
+  uploadedAt: longAgo
+});
+
+// A conversation last changed a month ago, unless touched again
+const addConversation = async (conversationId, { attached = [], sent = [] } = {}) => {
+  if (attached.length > 0) {
+    await conversationStore.attachFiles(conversationId, attached.map(file));
+  }
+  await conversationStore.addMessage(conversationId, {
+    id: `${conversationId}-q1`,
+    sender: 'user',
+    text: 'Summarize these',
+    timestamp: longAgo,
+    ...(sent.length > 0 ? { files: sent.map(file) } : {})
+  });
+  conversationStore.get(conversationId).updatedAt = longAgo;
+};
+
+describe('retentionService', () => {
+  let share;
+
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    await fileRegistry.initialize();
+    await shareService.initialize();
+    await retentionService.initialize();
+
+    for (const id of ['attached-active', 'sent-active', 'sent-shared', 'sent-stale', 'unused', 'pinned']) {
+      await fileRegistry.register(file(id));
+    }
+    await fileRegistry.setPinned('pinned', true);
+
+    await addConversation('active', { attached: ['attached-active'], sent: ['sent-active'] });
+    conversationStore.get('active').updatedAt = new Date().toISOString();
+
+    await addConversation('shared', { sent: ['sent-shared'] });
+    ({ share } = await shareService.createShare('shared'));
+
+    await addConversation('stale', { sent: ['sent-stale'] });
+  });
+
+  test('files of active and shared conversations are protected, including files sent with messages', () => {
+    const protectedIds = retentionService.getProtectedFileIds();
+
+    expect(Array.from(protectedIds).sort()).toEqual(['attached-active', 'sent-active', 'sent-shared']);
+  });
+
+  test('a run purges only expired files nobody protects', async () => {
+    const report = await retentionService.run({ dryRun: true });
+
+    expect(report.purged.map(entry => entry.id).sort()).toEqual(['sent-stale', 'unused']);
+    expect(report.kept).toMatchObject({ pinned: 1, attached: 3 });
+    expect(fileRegistry.get('unused')).toBeTruthy();
+  });
+
+  test('a revoked share no longer protects its files', async () => {
+    await shareService.revokeShare('shared', share.id);
+
+    expect(retentionService.getProtectedFileIds().has('sent-shared')).toBe(false);
+  });
+
+  test('files without a type or conversation policy expire after the default hour', async () => {
+    const HOUR = 60 * 60 * 1000;
+    await fileRegistry.register({ ...file('default-recent'), uploadedAt: new Date(Date.now() - HOUR / 2).toISOString() });
+    await fileRegistry.register({ ...file('default-old'), uploadedAt: new Date(Date.now() - 2 * HOUR).toISOString() });
+
+    expect(retentionService.getSettings().defaultDuration).toBe(HOUR);
+    expect(retentionService.getPolicy(fileRegistry.get('default-old'), retentionService.getConversationPolicies()))
+      .toEqual({ source: 'default', duration: HOUR });
+
+    const report = await retentionService.run({ dryRun: true });
+    const purged = report.purged.map(entry => entry.id);
+
+    expect(purged).toContain('default-old');
+    expect(purged).not.toContain('default-recent');
+    expect(report.purged.find(entry => entry.id === 'default-old').policy).toBe('default');
+  });
+});
@@ -0,0 +1,76 @@
+// backend/tests/searchService.test.js
+const conversationStore = require('../src/services/conversationStore');
+const searchService = require('../src/services/searchService');
+
+describe('searchService', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+
+    await conversationStore.addMessage('sales', {
+      id: 'q1',
+      sender: 'user',
+      text: 'What was the quarterly revenue in Zürich?',
+      timestamp: '2024-01-10T10:00:00.000Z'
+    });
+    await conversationStore.addMessage('sales', {
+      id: 'a1',
+      sender: 'ai',
+      text: 'Revenue grew 12% over the quarter.',
+      timestamp: '2024-01-10T10:00:05.000Z',
+      modelId: 'claude-3-sonnet',
+      toolsUsed: ['excel_processor'],
+      toolResults: [{ toolId: 'excel_processor', success: true, result: { sheets: [{ name: 'Revenue by region' }] } }]
+    });
+    await conversationStore.addMessage('support', {
+      id: 'q2',
+      sender: 'user',
+      text: 'The revenue report <script> failed to load',
+      timestamp: '2024-03-01T09:00:00.000Z'
+    });
+  });
+
+  test('matches terms across conversations and highlights them', () => {
+    const { results, total } = searchService.search('revenue');
+
+    expect(total).toBe(4);
+    expect(results.every(result => result.snippet.includes('<mark>'))).toBe(true);
+  });
+
+  test('phrases require the words in order', () => {
+    expect(searchService.search('"quarterly revenue"').results.map(r => r.messageId)).toEqual(['q1']);
+    expect(searchService.search('"revenue quarterly"').total).toBe(0);
+  });
+
+  test('a trailing * matches prefixes and accents are ignored', () => {
+    expect(searchService.search('quart*').results.map(r => r.messageId).sort()).toEqual(['a1', 'q1']);
+    expect(searchService.search('zurich').results.map(r => r.messageId)).toEqual(['q1']);
+  });
+
+  test('tool output is searchable and filters narrow the results', () => {
+    const toolResults = searchService.search('region', { type: 'tool_result' }).results;
+    expect(toolResults).toHaveLength(1);
+    expect(toolResults[0]).toMatchObject({ messageId: 'a1', toolId: 'excel_processor' });
+
+    expect(searchService.search('revenue', { conversationId: 'support' }).results.map(r => r.messageId)).toEqual(['q2']);
+    expect(searchService.search('revenue', { from: '2024-02-01' }).results.map(r => r.messageId)).toEqual(['q2']);
+    expect(searchService.search('revenue', { modelId: 'claude-3-sonnet', type: 'message' }).results.map(r => r.messageId)).toEqual(['a1']);
+  });
+
+  test('snippets escape message HTML', () => {
+    const [result] = searchService.search('report').results;
+    expect(result.snippet).toContain('&lt;script&gt;');
+  });
+
+  test('new messages are picked up by the index', async () => {
+    expect(searchService.search('forecast').total).toBe(0);
+
+    await conversationStore.addMessage('support', {
+      id: 'q3',
+      sender: 'user',
+      text: 'Can you forecast next quarter?',
+      timestamp: '2024-03-01T09:05:00.000Z'
+    });
+
+    expect(searchService.search('forecast').results.map(r => r.messageId)).toEqual(['q3']);
+  });
+});
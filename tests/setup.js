@@ -0,0 +1,12 @@
+// backend/tests/setup.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Each test file gets its own data directory; services read DATA_DIR when first required
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bi-backend-test-'));
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+afterAll(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
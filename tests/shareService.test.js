@@ -0,0 +1,81 @@
+// backend/tests/shareService.test.js
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const conversationStore = require('../src/services/conversationStore');
+const shareService = require('../src/services/shareService');
+const sharedRoutes = require('../src/routes/shared');
+
+const app = express();
+app.use('/api/shared', sharedRoutes);
+
+describe('shareService', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    await shareService.initialize();
+
+    await conversationStore.addMessage('shared', {
+      id: 'q1',
+      sender: 'user',
+      text: 'Summarize the report',
+      timestamp: new Date().toISOString(),
+      files: [{ id: 'f1', name: 'passwd', size: 10, type: 'text/plain', path: '/etc/passwd' }]
+    });
+  });
+
+  test('a share link opens the conversation without exposing file paths', async () => {
+    const { share, token } = await shareService.createShare('shared');
+
+    const res = await request(app).get(`/api/shared/${token}`);
+
+    expect(share).toMatchObject({ conversationId: 'shared', active: true });
+    expect(share.tokenHash).toBeUndefined();
+    expect(res.status).toBe(200);
+    expect(res.body.messages.map(m => m.text)).toEqual(['Summarize the report']);
+    expect(res.body.files).toEqual([{ id: 'f1', name: 'passwd', size: 10, type: 'text/plain' }]);
+    expect(JSON.stringify(res.body)).not.toContain('/etc/passwd');
+  });
+
+  test('shared files outside the uploads directory are never served', async () => {
+    const { token } = await shareService.createShare('shared');
+
+    const res = await request(app).get(`/api/shared/${token}/files/f1`);
+
+    expect(res.status).toBe(404);
+  });
+
+  test('only token hashes are stored, and shares survive a restart', async () => {
+    const { share, token } = await shareService.createShare('shared');
+
+    await shareService.initialize();
+
+    const stored = fs.readFileSync(path.join(process.env.DATA_DIR, 'shares.json'), 'utf8');
+    expect(stored).not.toContain(token);
+    expect(shareService.resolveToken(token)).toMatchObject({ id: share.id });
+  });
+
+  test('revoked and expired links stop working', async () => {
+    const revoked = await shareService.createShare('shared');
+    const expired = await shareService.createShare('shared', { expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    await shareService.revokeShare('shared', revoked.share.id);
+
+    expect(shareService.resolveToken(revoked.token)).toBeNull();
+    expect(shareService.resolveToken(expired.token)).toBeNull();
+    expect((await request(app).get(`/api/shared/${revoked.token}`)).status).toBe(404);
+    expect(shareService.listShares('shared').find(s => s.id === revoked.share.id)).toMatchObject({ active: false });
+    expect(await shareService.revokeShare('other', revoked.share.id)).toBeNull();
+  });
+
+  test('deleting the conversation removes its shares', async () => {
+    await conversationStore.getOrCreate('short-lived');
+    const { token } = await shareService.createShare('short-lived');
+
+    await conversationStore.delete('short-lived');
+    expect(shareService.resolveToken(token)).toBeNull();
+
+    expect(await shareService.removeConversationShares('short-lived')).toBe(1);
+    expect(shareService.listShares('short-lived')).toEqual([]);
+  });
+});
@@ -0,0 +1,121 @@
+// backend/tests/socketHandlers.test.js
+jest.mock('../src/services/mcpBridge', () => ({
+  getCurrentModel: () => 'test-model',
+  resolveModel: () => Promise.resolve(null),
+  processUserRequest: jest.fn()
+}));
+jest.mock('../src/services/titleGenerator', () => ({
+  generateIfMissing: () => Promise.resolve(null)
+}));
+
+const mcpBridge = require('../src/services/mcpBridge');
+const chatService = require('../src/services/chatService');
+const conversationStore = require('../src/services/conversationStore');
+const { registerSocketHandlers } = require('../src/socketHandlers');
+const { RequestCancelledError } = require('../src/utils/errorHandler');
+
+// Minimal Socket.IO server and socket that record what is emitted
+const connect = (id = 'socket-1') => {
+  const emitted = [];
+  const handlers = {};
+  const room = (name) => ({ emit: (event, payload) => emitted.push({ room: name, event, payload }) });
+
+  const socket = {
+    id,
+    handshake: {},
+    on: (event, handler) => { handlers[event] = handler; },
+    join: () => {},
+    leave: () => {},
+    to: room,
+    emit: (event, payload) => emitted.push({ room: null, event, payload })
+  };
+
+  registerSocketHandlers({
+    on: (event, onConnection) => onConnection(socket),
+    to: room
+  });
+
+  // Calls a handler the way Socket.IO does and resolves with its acknowledgement
+  const send = (event, payload) => new Promise(resolve => handlers[event](payload, resolve));
+
+  return { emitted, handlers, send };
+};
+
+describe('socket cancel_request', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+  });
+
+  test('a missing or empty payload is answered instead of crashing', async () => {
+    const { send } = connect();
+
+    await expect(send('cancel_request', null)).resolves.toEqual({ error: 'Request ID or conversation ID is required' });
+    await expect(send('cancel_request', {})).resolves.toEqual({ error: 'Request ID or conversation ID is required' });
+  });
+
+  test('an in-flight request is cancelled by its ID', async () => {
+    mcpBridge.processUserRequest.mockImplementation((conversationId, text, files, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new RequestCancelledError()));
+    }));
+
+    const { send } = connect();
+    const turn = chatService.processMessage(null, { message: 'slow', conversationId: 'cancel-me', requestId: 'req-cancel' });
+
+    while (chatService.getActiveRequests('cancel-me').every(request => !request.messageId)) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    const { cancelled } = await send('cancel_request', { requestId: 'req-cancel' });
+    const outcome = await turn;
+
+    expect(cancelled).toEqual([{ requestId: 'req-cancel', conversationId: 'cancel-me', messageId: outcome.message.id }]);
+    expect(outcome).toMatchObject({ cancelled: true, requestId: 'req-cancel' });
+    await expect(send('cancel_request', { requestId: 'req-cancel' })).resolves.toEqual({ cancelled: [] });
+  });
+});
+
+describe('socket typing', () => {
+  test('payloads without a conversation ID are ignored', () => {
+    const { handlers, emitted } = connect('typist');
+
+    [null, undefined, {}, { conversationId: 42 }, 'room'].forEach(payload => {
+      expect(() => handlers.typing(payload)).not.toThrow();
+    });
+    expect(emitted.filter(e => e.event === 'typing')).toEqual([]);
+  });
+
+  test('typing is shown to the rest of the room', async () => {
+    const { handlers, emitted, send } = connect('typist-2');
+    await send('join_conversation', { conversationId: 'typing-room', user: { name: 'Ada' } });
+
+    handlers.typing({ conversationId: 'typing-room' });
+    handlers.typing({ conversationId: 'typing-room', isTyping: false });
+
+    expect(emitted.filter(e => e.event === 'typing').map(e => [e.room, e.payload.name, e.payload.isTyping]))
+      .toEqual([['typing-room', 'Ada', true], ['typing-room', 'Ada', false]]);
+  });
+});
+
+describe('socket send_message', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+  });
+
+  test('invalid messages are answered with the validation error', async () => {
+    const { send } = connect();
+
+    await expect(send('send_message', null)).resolves.toMatchObject({ error: 'Validation error' });
+    await expect(send('send_message', { message: 42, conversationId: 'c1' })).resolves.toMatchObject({ error: 'Validation error' });
+  });
+
+  test('the acknowledgement has the same shape as the REST reply', async () => {
+    mcpBridge.processUserRequest.mockResolvedValue({ response: 'Revenue grew', modelId: 'test-model', toolsUsed: ['summarize'], toolResults: [], confidence: 0.9 });
+    const { send, emitted } = connect();
+
+    const ack = await send('send_message', { message: 'How is revenue?', conversationId: 'socket-chat', requestId: 'req-socket' });
+
+    expect(emitted.find(e => e.event === 'message_accepted').payload).toEqual({ conversationId: 'socket-chat', requestId: 'req-socket' });
+    expect(Object.keys(ack).sort()).toEqual(['confidence', 'message', 'modelId', 'requestId', 'suggestions', 'toolsUsed']);
+    expect(ack).toMatchObject({ requestId: 'req-socket', modelId: 'test-model', toolsUsed: ['summarize'], confidence: 0.9 });
+  });
+});
@@ -0,0 +1,62 @@
+// backend/tests/titleGenerator.test.js
+const conversationStore = require('../src/services/conversationStore');
+const titleGenerator = require('../src/services/titleGenerator');
+const mcpConfig = require('../src/config/mcp.json');
+
+const addExchange = async (conversationId, question, answer = 'Here is the breakdown.') => {
+  await conversationStore.addMessage(conversationId, { id: 'q1', sender: 'user', text: question, timestamp: new Date().toISOString() });
+  await conversationStore.addMessage(conversationId, { id: 'a1', sender: 'ai', parentId: 'q1', text: answer, timestamp: new Date().toISOString() });
+};
+
+const modelReplying = (reply) => ({ generateResponse: jest.fn(async () => reply) });
+
+describe('titleGenerator', () => {
+  beforeAll(async () => {
+    await conversationStore.initialize();
+    titleGenerator.initialize(mcpConfig);
+  });
+
+  test('the model title is cleaned of quotes and labels', async () => {
+    await addExchange('titled', 'How did revenue develop by region?');
+
+    const conversation = await titleGenerator.generateIfMissing('titled', modelReplying('Title: "Regional revenue trends."\nExtra line'));
+
+    expect(conversation).toMatchObject({ title: 'Regional revenue trends', titleSource: 'generated' });
+  });
+
+  test('the first question is used when the model fails', async () => {
+    await addExchange('fallback', `Please compare ${'the quarterly figures '.repeat(10)}`);
+    const model = { generateResponse: async () => { throw new Error('offline'); } };
+
+    const conversation = await titleGenerator.generateIfMissing('fallback', model);
+
+    expect(conversation.titleSource).toBe('message');
+    expect(conversation.title.startsWith('Please compare the quarterly figures')).toBe(true);
+    expect(conversation.title.length).toBeLessThanOrEqual(80);
+    expect(conversation.title.endsWith('…')).toBe(true);
+  });
+
+  test('one generation runs per conversation and never replaces a user title', async () => {
+    await addExchange('renamed', 'What are the top costs?');
+    let reply;
+    const model = { generateResponse: jest.fn(() => new Promise(resolve => { reply = resolve; })) };
+
+    const first = titleGenerator.generateIfMissing('renamed', model);
+    const second = titleGenerator.generateIfMissing('renamed', model);
+    await conversationStore.update('renamed', { title: 'My costs', titleSource: 'user' });
+    reply('Top cost drivers');
+
+    await expect(first).resolves.toBeNull();
+    await expect(second).resolves.toBeNull();
+    expect(model.generateResponse).toHaveBeenCalledTimes(1);
+    expect(conversationStore.get('renamed')).toMatchObject({ title: 'My costs', titleSource: 'user' });
+  });
+
+  test('conversations without a complete first exchange are left untitled', async () => {
+    await conversationStore.addMessage('unanswered', { id: 'q1', sender: 'user', text: 'Hello?', timestamp: new Date().toISOString() });
+    const model = modelReplying('Greeting');
+
+    await expect(titleGenerator.generateIfMissing('unanswered', model)).resolves.toBeNull();
+    expect(model.generateResponse).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,63 @@
+// backend/tests/toolResultCache.test.js
+const fs = require('fs');
+const path = require('path');
+const toolResultCache = require('../src/services/toolResultCache');
+const fileRegistry = require('../src/services/fileRegistry');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const age = (key, ms) => {
+  const past = new Date(Date.now() - ms);
+  fs.utimesSync(toolResultCache.getPath(key), past, past);
+};
+
+describe('toolResultCache', () => {
+  beforeAll(async () => {
+    await fileRegistry.initialize();
+    await fileRegistry.register({ id: 'first', name: 'a.csv', hash: 'hash-a' });
+    await fileRegistry.register({ id: 'second', name: 'b.csv', hash: 'hash-b' });
+    await fileRegistry.register({ id: 'unhashed', name: 'c.csv' });
+  });
+
+  beforeEach(() => {
+    toolResultCache.initialize({ tool_result_cache: { max_entries: 2 } });
+    fs.rmSync(toolResultCache.directory, { recursive: true, force: true });
+  });
+
+  test('keys depend on file content and parameters, not on order or upload', () => {
+    const key = toolResultCache.getKey('stats', [{ id: 'first' }, { id: 'second' }], { a: 1, b: 2 }, 'summarize');
+
+    expect(toolResultCache.getKey('stats', [{ id: 'second' }, { id: 'first' }], { b: 2, a: 1 }, 'summarize')).toBe(key);
+    expect(toolResultCache.getKey('stats', [{ id: 'first' }], { a: 1, b: 2 }, 'summarize')).not.toBe(key);
+    expect(toolResultCache.getKey('stats', [{ id: 'first' }, { id: 'unhashed' }], {}, '')).toBeNull();
+    expect(toolResultCache.getKey('stats', [], {}, '')).toBeNull();
+  });
+
+  test('least recently used entries are evicted beyond max_entries', async () => {
+    await toolResultCache.set('older', 'stats', { rows: 1 });
+    await toolResultCache.set('newer', 'stats', { rows: 2 });
+    age('older', 60000);
+    age('newer', 30000);
+
+    expect(await toolResultCache.get('older')).toMatchObject({ toolId: 'stats', result: { rows: 1 } });
+    await toolResultCache.set('latest', 'stats', { rows: 3 });
+
+    expect(fs.readdirSync(toolResultCache.directory).sort()).toEqual(['latest.json', 'older.json']);
+    expect(await toolResultCache.get('newer')).toBeNull();
+  });
+
+  test('the sweep drops expired entries that are never read again', async () => {
+    await toolResultCache.set('stale', 'stats', { rows: 1 });
+    await toolResultCache.set('fresh', 'stats', { rows: 2 });
+    age('stale', 8 * DAY);
+
+    expect(await toolResultCache.prune()).toBe(1);
+    expect(fs.existsSync(toolResultCache.getPath('stale'))).toBe(false);
+    expect(await toolResultCache.get('fresh')).not.toBeNull();
+  });
+
+  test('a missing cache directory prunes nothing', async () => {
+    expect(fs.existsSync(path.dirname(toolResultCache.getPath('any')))).toBe(false);
+    expect(await toolResultCache.prune()).toBe(0);
+  });
+});
@@ -0,0 +1,108 @@
+// backend/tests/uploadSessionService.test.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const uploadSessionService = require('../src/services/uploadSessionService');
+const fileRegistry = require('../src/services/fileRegistry');
+
+const PARTIAL_DIR = path.resolve(__dirname, '../uploads/partial');
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+const chunk = (buffer) => Readable.from([buffer]);
+
+describe('uploadSessionService', () => {
+  const content = Buffer.from('region,total\nnorth,12\nsouth,30\n');
+  // Only what these tests create is cleaned up; the uploads directory is shared with the app
+  const createdIds = [];
+  const finalizedFolders = [];
+
+  const create = async (options = {}) => {
+    const session = await uploadSessionService.create({ name: 'sales.csv', size: content.length, type: 'text/csv', ...options });
+    createdIds.push(session.id);
+    return session;
+  };
+
+  beforeAll(async () => {
+    await fileRegistry.initialize();
+    await uploadSessionService.initialize();
+  });
+
+  afterAll(async () => {
+    for (const uploadId of createdIds) {
+      await uploadSessionService.remove(uploadId);
+    }
+    finalizedFolders.forEach(folder => fs.rmSync(folder, { recursive: true, force: true }));
+    try {
+      fs.rmdirSync(PARTIAL_DIR);
+    } catch (error) {
+      // Still holds other uploads
+    }
+  });
+
+  test('an upload resumes from the offset the server reports', async () => {
+    const session = await create({ sha256: sha256(content) });
+
+    expect(await uploadSessionService.writeChunk(session.id, 0, chunk(content.subarray(0, 10)))).toBe(10);
+
+    // After a dropped connection the client asks where to continue
+    const { offset } = await uploadSessionService.describe(uploadSessionService.get(session.id));
+    expect(offset).toBe(10);
+
+    await expect(uploadSessionService.writeChunk(session.id, 0, chunk(content)))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(await uploadSessionService.writeChunk(session.id, offset, chunk(content.subarray(offset)))).toBe(content.length);
+
+    const file = await uploadSessionService.finalize(session.id);
+    finalizedFolders.push(path.dirname(file.path));
+
+    expect(file).toMatchObject({ originalname: 'sales.csv', mimetype: 'text/csv', size: content.length, hash: sha256(content) });
+    expect(fs.readFileSync(file.path)).toEqual(content);
+    expect(uploadSessionService.get(session.id)).toBeNull();
+    expect(fileRegistry.getUploadFolders()).toContain(path.basename(path.dirname(file.path)));
+  });
+
+  test('an incomplete upload cannot be finalized', async () => {
+    const session = await create({ sha256: sha256(content) });
+    await uploadSessionService.writeChunk(session.id, 0, chunk(content.subarray(0, 5)));
+
+    await expect(uploadSessionService.finalize(session.id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('bytes past the declared size are refused', async () => {
+    const session = await create();
+
+    await expect(uploadSessionService.writeChunk(session.id, 0, chunk(Buffer.concat([content, Buffer.from('extra')]))))
+      .rejects.toMatchObject({ statusCode: 413 });
+    expect(await uploadSessionService.getOffset(session)).toBe(content.length);
+  });
+
+  test('a checksum mismatch discards the upload', async () => {
+    const session = await create();
+    await uploadSessionService.writeChunk(session.id, 0, chunk(content));
+
+    await expect(uploadSessionService.finalize(session.id, sha256(Buffer.from('something else'))))
+      .rejects.toMatchObject({ statusCode: 422 });
+
+    expect(uploadSessionService.get(session.id)).toBeNull();
+    expect(fs.existsSync(uploadSessionService.getPartPath(session))).toBe(false);
+  });
+
+  test('a checksum is required to finalize', async () => {
+    const session = await create();
+    await uploadSessionService.writeChunk(session.id, 0, chunk(content));
+
+    await expect(uploadSessionService.finalize(session.id)).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('sessions survive a restart', async () => {
+    const session = await create();
+    await uploadSessionService.writeChunk(session.id, 0, chunk(content.subarray(0, 7)));
+
+    await uploadSessionService.initialize();
+
+    expect(uploadSessionService.get(session.id)).toMatchObject({ name: 'sales.csv' });
+    expect(await uploadSessionService.getOffset(uploadSessionService.get(session.id))).toBe(7);
+  });
+});